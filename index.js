@@ -2,16 +2,25 @@ import express from "express";
 import bodyParser from "body-parser";
 import webhookRoutes from "./src/routes/webhook.js";
 import notificationRoutes from "./src/routes/notification.js";
+import messageStatusRoutes from "./src/routes/messageStatus.js";
+import catalogRoutes from "./src/routes/catalog.js";
+import { catalogService } from "./src/services/catalogService.js";
 
 const app = express();
 
-// Configurar body parser
-app.use(bodyParser.json());
+// Configurar body parser (guardando el cuerpo crudo para verificar la firma de Meta)
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // 🔹 Configurar rutas
 app.use('/', webhookRoutes);
 app.use('/', notificationRoutes);
+app.use('/', messageStatusRoutes);
+app.use('/', catalogRoutes);
 
 // 🔹 Manejo de errores 404 (Ruta no encontrada)
 app.use((req, res, next) => {
@@ -30,4 +39,9 @@ app.use((err, req, res, next) => {
 });
 
 // 🔹 Iniciar servidor
-app.listen(3000, () => console.log("🚀 Webhook en puerto 3000"));
+app.listen(3000, () => {
+  console.log("🚀 Webhook en puerto 3000");
+
+  // Copia local del catálogo para las búsquedas de productos
+  catalogService.start();
+});
@@ -0,0 +1,43 @@
+/**
+ * Exporta la máquina de estados de la conversación como diagrama
+ *
+ * Genera el diagrama a partir del registro de src/controllers/stateMachine.js
+ * (estados, transiciones y comandos globales) para revisarlo en un PR o
+ * pegarlo en https://mermaid.live.
+ *
+ * Uso:
+ *   node scripts/diagramaEstados.js [mermaid|dot] [archivo]
+ *
+ * Ejemplo:
+ *   node scripts/diagramaEstados.js
+ *   node scripts/diagramaEstados.js dot estados.dot
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// dotenv y los servicios registran mensajes al cargarse: se envían a stderr
+// para que stdout contenga solo el diagrama
+console.log = console.error;
+
+dotenv.config();
+
+const [formato = 'mermaid', archivo] = process.argv.slice(2);
+
+if (!['mermaid', 'dot'].includes(formato)) {
+  console.error('Uso: node scripts/diagramaEstados.js [mermaid|dot] [archivo]');
+  process.exit(1);
+}
+
+const { exportarDiagrama } = await import('../src/controllers/stateMachine.js');
+const diagrama = exportarDiagrama(formato);
+
+if (archivo) {
+  fs.writeFileSync(archivo, diagrama + '\n');
+  console.error(`✅ Diagrama guardado en ${archivo}`);
+} else {
+  process.stdout.write(diagrama + '\n');
+}
+
+// Los servicios dejan intervalos de limpieza activos
+process.exit(0);
@@ -0,0 +1,55 @@
+/**
+ * Servidor local que simula el backend FastAPI (api-manicero-lucas)
+ *
+ * Atiende los endpoints que usa apiService.js con los datos de src/data
+ * (usuarios, productos, pedidos y pagos), para correr el bot completo sin el
+ * backend real. La lógica está en src/mocks/backendMock.js:
+ * - Búsqueda de productos aproximada (tildes, mayúsculas, errores de tipeo)
+ * - Los pedidos descuentan stock y registran un pago pendiente
+ *
+ * Por defecto los cambios se pierden al detener el servidor. Con --persist se
+ * guardan en .data/backend-mock (src/data no se modifica) y el servidor parte
+ * de esos archivos la próxima vez; para volver a los datos originales basta
+ * con borrar esa carpeta.
+ *
+ * Uso:
+ *   node scripts/mockBackend.js [puerto] [--persist]
+ *
+ * Ejemplo:
+ *   node scripts/mockBackend.js
+ *   node scripts/mockBackend.js 8001 --persist
+ *
+ * El bot debe apuntar al servidor con API_BASE_URL=http://localhost:8000
+ */
+
+import express from 'express';
+import { BackendMock } from '../src/mocks/backendMock.js';
+
+const args = process.argv.slice(2);
+const persistir = args.includes('--persist');
+const puerto = parseInt(args.find(arg => !arg.startsWith('--'))) || 8000;
+
+const backend = new BackendMock({ persistir });
+const app = express();
+
+app.use(express.json());
+
+app.use((req, res) => {
+  const { status, data } = backend.handle(req.method, req.originalUrl, req.body ?? null);
+  const icono = status < 400 ? '✅' : '❌';
+
+  console.log(`${icono} ${req.method} ${req.originalUrl} → ${status}`);
+  res.status(status).json(data);
+});
+
+// JSON inválido en el cuerpo de la petición
+app.use((err, req, res, next) => {
+  console.error(`❌ ${req.method} ${req.originalUrl}: ${err.message}`);
+  res.status(err.status || 500).json({ detail: err.message });
+});
+
+app.listen(puerto, () => {
+  console.log(`🧪 Backend simulado en http://localhost:${puerto}`);
+  console.log(`📂 Datos: ${persistir ? `src/data, los cambios se guardan en ${backend.persistDir}` : 'src/data (en memoria, los cambios no se guardan)'}`);
+  console.log(`👥 ${backend.usuarios.length} clientes, 📦 ${backend.productos.length} productos, 🧾 ${backend.pedidos.length} pedidos`);
+});
@@ -0,0 +1,240 @@
+/**
+ * Servidor local que simula la API de WhatsApp Cloud, con consola de chat
+ *
+ * Levanta un servidor que imita POST /{version}/{phone_number_id}/messages
+ * (ver src/mocks/graphApiMock.js) y abre una consola en la terminal para
+ * conversar con el bot como si fuera un cliente: cada línea se envía firmada
+ * al webhook del bot y sus respuestas aparecen en la consola.
+ *
+ * El bot debe correr apuntando a este servidor:
+ *   META_API_BASE_URL=http://localhost:8090
+ *   WEBHOOK_TEST_MODE=true
+ *   WEBHOOK_TEST_SECRET=<el mismo valor que usa este script>
+ *
+ * Uso:
+ *   node scripts/mockGraphApi.js [puerto] [--webhook URL] [--telefono NUMERO] [--ventana] [--estados]
+ *
+ *   --webhook   URL del webhook del bot (default: http://localhost:3000/webhook)
+ *   --telefono  Número del cliente simulado (default: 56911112222)
+ *   --ventana   Rechaza mensajes libres fuera de la ventana de 24 horas (131047)
+ *   --estados   Envía al webhook los estados sent y delivered de cada mensaje
+ *
+ * Comandos de la consola:
+ *   <texto>             Envía un mensaje de texto
+ *   /opcion <id>        Responde a un botón o lista con ese ID
+ *   /ubicacion lat,lon  Comparte una ubicación
+ *   /telefono <numero>  Cambia el cliente simulado
+ *   /error <codigo> [n] Hace fallar los próximos n envíos del bot con ese código de Meta
+ *   /mensajes           Muestra los mensajes registrados del cliente actual
+ *   /salir              Detiene el servidor
+ *
+ * Endpoints de control (para pruebas automatizadas):
+ *   GET    /_mock/mensajes?telefono=...   Mensajes registrados
+ *   DELETE /_mock/mensajes                Limpia mensajes y errores pendientes
+ *   POST   /_mock/errores                 { codigo, veces, telefono } fuerza errores
+ *   POST   /_mock/entrante                { telefono, texto | opcion | ubicacion } envía al webhook
+ */
+
+import axios from 'axios';
+import dotenv from 'dotenv';
+import express from 'express';
+import readline from 'readline';
+import { GraphApiMock, ERRORES_GRAPH, describirMensajeSaliente } from '../src/mocks/graphApiMock.js';
+import { construirMensajeEntrante, construirEstadoEntrega, construirPayloadWebhook } from '../src/mocks/webhookPayload.js';
+import { firmarPayload } from '../src/utils/webhookSignature.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+
+// Valor de una opción con argumento (ej: --webhook http://...)
+function opcion(nombre, porDefecto) {
+  const indice = args.indexOf(nombre);
+  return indice >= 0 && args[indice + 1] ? args[indice + 1] : porDefecto;
+}
+
+const puerto = parseInt(args[0]) || 8090;
+const webhookUrl = opcion('--webhook', 'http://localhost:3000/webhook');
+const enviarEstados = args.includes('--estados');
+let telefono = opcion('--telefono', '56911112222');
+
+const secret = process.env.WEBHOOK_TEST_SECRET;
+if (!secret) {
+  console.error('❌ WEBHOOK_TEST_SECRET no está configurado en .env');
+  process.exit(1);
+}
+
+let consola = null;
+
+// Mostrar una línea sin romper lo que el usuario está escribiendo
+function mostrar(texto) {
+  if (!consola) {
+    console.log(texto);
+    return;
+  }
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+  console.log(texto);
+  consola.prompt(true);
+}
+
+// Enviar un payload firmado al webhook del bot
+async function enviarAlWebhook(payload) {
+  const rawBody = JSON.stringify(payload);
+
+  await axios.post(webhookUrl, rawBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': firmarPayload(rawBody, secret)
+    },
+    timeout: 5000
+  });
+}
+
+async function enviarEntrante(numero, contenido) {
+  const mensaje = construirMensajeEntrante(numero, contenido);
+  graph.registrarEntrante(numero);
+  await enviarAlWebhook(construirPayloadWebhook({ messages: [mensaje] }));
+  return mensaje.id;
+}
+
+// Estados de entrega que Meta envía después de aceptar un mensaje
+function programarEstados({ wamid, to }) {
+  ['sent', 'delivered'].forEach((estado, indice) => {
+    setTimeout(() => {
+      enviarAlWebhook(construirPayloadWebhook({ statuses: [construirEstadoEntrega(wamid, to, estado)] }))
+        .catch(error => mostrar(`⚠️ No se pudo enviar el estado ${estado}: ${error.message}`));
+    }, 300 * (indice + 1));
+  });
+}
+
+const graph = new GraphApiMock({
+  accessToken: process.env.ACCESS_TOKEN || process.env.META_TOKEN,
+  phoneNumberId: process.env.PHONE_NUMBER_ID,
+  validarVentana: args.includes('--ventana'),
+  onMensaje: (mensaje) => {
+    const lineas = describirMensajeSaliente(mensaje.payload).split('\n');
+    mostrar(lineas.map(linea => `🤖 ${mensaje.to === telefono ? '' : `[${mensaje.to}] `}${linea}`).join('\n'));
+    if (enviarEstados) programarEstados(mensaje);
+  }
+});
+
+// ============================================
+// SERVIDOR
+// ============================================
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+app.get('/_mock/mensajes', (req, res) => {
+  res.json(graph.obtenerMensajes(req.query.telefono));
+});
+
+app.delete('/_mock/mensajes', (req, res) => {
+  graph.limpiar();
+  res.json({ success: true });
+});
+
+app.post('/_mock/errores', (req, res) => {
+  const { codigo, veces = 1, telefono: numero = null } = req.body || {};
+  if (!ERRORES_GRAPH[codigo]) {
+    return res.status(400).json({ error: `Código no soportado. Disponibles: ${Object.keys(ERRORES_GRAPH).join(', ')}` });
+  }
+  graph.simularError(Number(codigo), { veces, telefono: numero });
+  res.json({ success: true });
+});
+
+app.post('/_mock/entrante', async (req, res) => {
+  const { telefono: numero = telefono, ...contenido } = req.body || {};
+  try {
+    const id = await enviarEntrante(numero, contenido);
+    res.json({ success: true, id });
+  } catch (error) {
+    res.status(502).json({ error: `Webhook no disponible: ${error.message}` });
+  }
+});
+
+app.use((req, res) => {
+  const { status, data } = graph.handle(req.method, req.originalUrl, req.body ?? null, req.get('authorization') || '');
+  if (status >= 400) {
+    mostrar(`❌ Graph ${status}: ${data.error.message}`);
+  }
+  res.status(status).json(data);
+});
+
+// JSON inválido en el cuerpo de la petición
+app.use((err, req, res, next) => {
+  res.status(err.status || 500).json({ error: { message: err.message, type: 'OAuthException', code: 100 } });
+});
+
+// ============================================
+// CONSOLA
+// ============================================
+
+async function ejecutarComando(linea) {
+  const [comando, ...resto] = linea.split(' ');
+  const argumento = resto.join(' ').trim();
+
+  switch (comando) {
+    case '/salir':
+      process.exit(0);
+      break;
+
+    case '/telefono':
+      if (!argumento) return mostrar('Uso: /telefono <numero>');
+      telefono = argumento;
+      consola.setPrompt(`👤 ${telefono}> `);
+      return mostrar(`📱 Cliente simulado: ${telefono}`);
+
+    case '/opcion':
+      if (!argumento) return mostrar('Uso: /opcion <id>');
+      return enviarEntrante(telefono, { opcion: argumento });
+
+    case '/ubicacion': {
+      const [latitude, longitude] = argumento.split(',').map(Number);
+      if (Number.isNaN(latitude) || Number.isNaN(longitude)) return mostrar('Uso: /ubicacion lat,lon');
+      return enviarEntrante(telefono, { ubicacion: { latitude, longitude } });
+    }
+
+    case '/error': {
+      const [codigo, veces = '1'] = resto;
+      if (!ERRORES_GRAPH[codigo]) {
+        return mostrar(`Códigos disponibles: ${Object.keys(ERRORES_GRAPH).join(', ')}`);
+      }
+      graph.simularError(Number(codigo), { veces: parseInt(veces) || 1 });
+      return mostrar(`💥 Los próximos ${parseInt(veces) || 1} envío(s) fallarán con ${codigo}`);
+    }
+
+    case '/mensajes':
+      return mostrar(graph.obtenerMensajes(telefono)
+        .map(m => `${new Date(m.timestamp).toLocaleTimeString('es-CL')} ${m.wamid}\n   ${describirMensajeSaliente(m.payload).split('\n')[0]}`)
+        .join('\n') || '(sin mensajes)');
+
+    default:
+      return enviarEntrante(telefono, { texto: linea });
+  }
+}
+
+app.listen(puerto, () => {
+  console.log(`🧪 API de WhatsApp simulada en http://localhost:${puerto}`);
+  console.log(`📨 Webhook del bot: ${webhookUrl}`);
+  console.log(`ℹ️  Inicia el bot con META_API_BASE_URL=http://localhost:${puerto} y WEBHOOK_TEST_MODE=true`);
+  console.log('ℹ️  Escribe un mensaje para el bot o /salir para terminar\n');
+
+  consola = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: `👤 ${telefono}> ` });
+  consola.prompt();
+
+  consola.on('line', async (entrada) => {
+    const linea = entrada.trim();
+    if (linea) {
+      try {
+        await ejecutarComando(linea);
+      } catch (error) {
+        mostrar(`❌ No se pudo enviar al webhook: ${error.response?.status || error.message}`);
+      }
+    }
+    consola.prompt();
+  });
+
+  consola.on('close', () => process.exit(0));
+});
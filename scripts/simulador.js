@@ -0,0 +1,322 @@
+/**
+ * Simulador de conversaciones sin conexión
+ *
+ * Reproduce conversaciones guionadas (YAML o JSON) contra los flujos del bot
+ * sin WhatsApp, sin backend y sin Mistral:
+ * - Los envíos a la API de WhatsApp se capturan en vez de salir a internet
+ * - El backend se reemplaza por src/mocks/backendMock.js (datos de src/data)
+ * - Mistral responde con las `respuestasIA` del escenario, o falla para que
+ *   el bot use su extracción de respaldo
+ *
+ * Cada paso envía un mensaje del cliente y puede verificar las respuestas del
+ * bot y el estado en que queda la conversación. Termina con código 1 si algún
+ * escenario falla, para usarlo como suite de regresión.
+ *
+ * Uso:
+ *   node scripts/simulador.js [archivo|carpeta] [--verbose] [--logs]
+ *
+ *   --verbose  Muestra la conversación completa de cada escenario
+ *   --logs     Muestra los logs internos del bot
+ *
+ * Ejemplo:
+ *   node scripts/simulador.js
+ *   node scripts/simulador.js simulaciones/pedido-retiro.yaml --verbose
+ *
+ * Formato de un escenario:
+ *   nombre: Pedido con retiro en tienda
+ *   telefono: "56911112222"
+ *   cliente: { nombre: Paola Velásquez }   # opcional: lo registra en el backend
+ *   estadoInicial: menu                    # opcional: parte con sesión activa
+ *   backendSinIdempotencia: true           # opcional: el backend ignora clave_idempotencia
+ *   respuestasIA:                          # opcional: mensaje del cliente -> respuesta
+ *     2 kilos de almendras: '[{"nombre": "almendras", "cantidad": 2}]'
+ *   pasos:
+ *     - cliente: hola                      # texto del cliente
+ *       respuestaIA: '[]'                  # opcional: respuesta de Mistral en este paso
+ *       espera:
+ *         contiene: [Bienvenido]           # texto presente en las respuestas
+ *         noContiene: error                # texto ausente en las respuestas
+ *         estado: menu                     # estado final de la conversación
+ *         mensajes: 1                      # cantidad de respuestas
+ *         botones: [Retiro en tienda]      # botones u opciones de lista
+ *     - opcion: "1"                        # respuesta a un botón o lista (id)
+ *       catalogo:                          # opcional: cambia productos del backend antes del paso
+ *         Almendras: { stock: 1, precio_minorista: 8000 }
+ *       invalidarCatalogo: true            # opcional: el bot vuelve a descargar el catálogo
+ *                                          # (sin esto conserva su copia local)
+ *       tiempoAgotado: /api/v1/bot/crear-pedido-completo   # opcional: la próxima petición a
+ *                                          # esa ruta se procesa pero responde con timeout
+ *                                          # (con una lista, en ese orden)
+ *       backendCaido: true                 # opcional: el backend no responde desde este paso
+ *                                          # (false lo restablece)
+ *     - procesarColaPedidos: true          # paso sin mensaje del cliente: reenvía los pedidos
+ *                                          # en cola (orderOutboxService) sin esperar su turno
+ *     - ubicacion: { latitude: -33.45, longitude: -70.66 }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+// Debe definirse antes de cargar los servicios: cada simulación parte en memoria
+process.env.STORAGE_DRIVER = 'memory';
+
+// Las respuestasIA simulan a Mistral: se ignora el proveedor de IA del .env
+process.env.LLM_PROVIDER = 'mistral';
+process.env.LLM_MODEL = '';
+for (const tarea of ['SEARCH_TERM', 'PRODUCTS', 'DETECTION']) {
+  process.env[`LLM_${tarea}_PROVIDER`] = '';
+  process.env[`LLM_${tarea}_MODEL`] = '';
+}
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const mostrarLogs = args.includes('--logs');
+const objetivo = args.find(arg => !arg.startsWith('--')) || 'simulaciones';
+
+const salida = console.log.bind(console);
+
+// Los servicios registran mucho en consola: solo se muestran con --logs
+if (!mostrarLogs) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// ============================================
+// CARGA DE ESCENARIOS
+// ============================================
+
+function leerEscenarios(ruta) {
+  if (!fs.existsSync(ruta)) {
+    salida(`❌ No existe ${ruta}`);
+    process.exit(1);
+  }
+
+  const archivos = fs.statSync(ruta).isDirectory()
+    ? fs.readdirSync(ruta)
+      .filter(nombre => /\.(ya?ml|json)$/.test(nombre))
+      .sort()
+      .map(nombre => path.join(ruta, nombre))
+    : [ruta];
+
+  return archivos.flatMap(archivo => {
+    const contenido = fs.readFileSync(archivo, 'utf8');
+    const datos = archivo.endsWith('.json') ? JSON.parse(contenido) : YAML.parse(contenido);
+    return (Array.isArray(datos) ? datos : [datos]).map(escenario => ({ ...escenario, archivo }));
+  });
+}
+
+// ============================================
+// TRANSPORTE SIMULADO
+// ============================================
+
+const { BackendMock } = await import('../src/mocks/backendMock.js');
+const { instalarTransporteSimulado } = await import('../src/mocks/transportMock.js');
+const { construirMensajeEntrante } = await import('../src/mocks/webhookPayload.js');
+const { describirMensajeSaliente, opcionesMensajeSaliente } = await import('../src/mocks/graphApiMock.js');
+
+// Estado de la simulación en curso (el transporte se instala una sola vez)
+let backend = new BackendMock();
+let respuestasIA = {};
+let respuestaIAPaso = null;
+let mensajeActual = '';
+let salientes = [];
+let rutasConTiempoAgotado = [];
+let backendCaido = false;
+
+instalarTransporteSimulado({
+  backend: {
+    handle: (method, url, body) => {
+      // Backend caído: la petición no llega a procesarse
+      if (backendCaido) return { sinConexion: true };
+
+      const respuesta = backend.handle(method, url, body);
+
+      // El backend procesa la petición, pero el bot no alcanza a recibir la respuesta
+      // (las rutas se consumen en orden: las demás peticiones responden normalmente)
+      if (!rutasConTiempoAgotado.length || !url.startsWith(rutasConTiempoAgotado[0])) return respuesta;
+      rutasConTiempoAgotado.shift();
+      return { ...respuesta, tiempoAgotado: true };
+    }
+  },
+  onMensajeSaliente: (payload) => {
+    // Confirmaciones de lectura y similares no son mensajes al cliente
+    if (payload.to && payload.type) salientes.push(payload);
+  },
+  // Mistral responde según el mensaje del cliente (el prompt lo incluye junto a ejemplos)
+  responderIA: () => {
+    if (respuestaIAPaso !== null) return respuestaIAPaso;
+    const clave = Object.keys(respuestasIA).find(texto => texto.toLowerCase().trim() === mensajeActual);
+    return clave ? respuestasIA[clave] : null;
+  }
+});
+
+// Los servicios se cargan después de instalar el transporte
+const { clearAllStores } = await import('../src/storage/storageAdapter.js');
+const { procesarMensajeEntrante } = await import('../src/controllers/flowController.js');
+const { parseInboundMessage } = await import('../src/utils/inboundMessage.js');
+const { getState, setState } = await import('../src/services/conversationStateService.js');
+const { sessionService } = await import('../src/services/sessionService.js');
+const { customerWindowService } = await import('../src/services/customerWindowService.js');
+const { orderOutboxService } = await import('../src/services/orderOutboxService.js');
+const { circuitoAPI } = await import('../src/services/apiService.js');
+const { catalogService } = await import('../src/services/catalogService.js');
+
+// ============================================
+// EJECUCIÓN
+// ============================================
+
+let contadorEntrantes = 0;
+
+// Mensaje con el formato de `value.messages[i]` del webhook de Meta
+function construirMensajeMeta(telefono, paso) {
+  return construirMensajeEntrante(telefono, {
+    texto: paso.cliente,
+    opcion: paso.opcion,
+    ubicacion: paso.ubicacion,
+    id: `wamid.SIMIN${String(++contadorEntrantes).padStart(6, '0')}`
+  });
+}
+
+function comoLista(valor) {
+  if (valor === undefined || valor === null) return [];
+  return (Array.isArray(valor) ? valor : [valor]).map(String);
+}
+
+/**
+ * Verificar las expectativas de un paso
+ * @returns {Array<string>} - Descripción de cada expectativa que no se cumplió
+ */
+function verificarPaso(espera, respuestas, estado) {
+  const fallos = [];
+  const texto = respuestas.map(describirMensajeSaliente).join('\n').toLowerCase();
+  const opciones = respuestas.flatMap(opcionesMensajeSaliente).map(titulo => titulo.toLowerCase());
+
+  for (const esperado of comoLista(espera.contiene)) {
+    if (!texto.includes(esperado.toLowerCase())) fallos.push(`debía contener "${esperado}"`);
+  }
+  for (const prohibido of comoLista(espera.noContiene)) {
+    if (texto.includes(prohibido.toLowerCase())) fallos.push(`no debía contener "${prohibido}"`);
+  }
+  for (const boton of comoLista(espera.botones)) {
+    if (!opciones.some(titulo => titulo.includes(boton.toLowerCase()))) fallos.push(`faltó la opción "${boton}"`);
+  }
+  if (espera.estado && estado !== espera.estado) {
+    fallos.push(`estado esperado "${espera.estado}", quedó "${estado}"`);
+  }
+  if (espera.mensajes !== undefined && respuestas.length !== espera.mensajes) {
+    fallos.push(`se esperaban ${espera.mensajes} mensaje(s), llegaron ${respuestas.length}`);
+  }
+
+  return fallos;
+}
+
+function describirPaso(paso) {
+  if (paso.procesarColaPedidos) return '[cola de pedidos]';
+  if (paso.opcion !== undefined) return `[opción ${paso.opcion}]`;
+  if (paso.ubicacion) return `[ubicación ${paso.ubicacion.latitude}, ${paso.ubicacion.longitude}]`;
+  return String(paso.cliente);
+}
+
+/**
+ * Cambiar productos del backend simulado (campos con el formato de src/data/productos.json)
+ * @param {Object} [catalogo] - Nombre del producto -> campos a cambiar
+ */
+function actualizarCatalogo(catalogo = {}) {
+  for (const [nombre, cambios] of Object.entries(catalogo)) {
+    const producto = backend.productos.find(p => p.nombre === nombre);
+    if (!producto) throw new Error(`Producto "${nombre}" no existe en src/data/productos.json`);
+    Object.assign(producto, cambios);
+  }
+}
+
+/**
+ * Ejecutar un escenario completo
+ * @returns {Promise<{ fallos: Array<string>, transcripcion: Array<string> }>}
+ */
+async function ejecutarEscenario(escenario) {
+  const telefono = String(escenario.telefono || '56900000000');
+  const fallos = [];
+  const transcripcion = [];
+
+  clearAllStores();
+  backend = new BackendMock({ idempotencia: !escenario.backendSinIdempotencia });
+  respuestasIA = escenario.respuestasIA || {};
+  rutasConTiempoAgotado = [];
+  backendCaido = false;
+  circuitoAPI.reiniciar();
+  await catalogService.refresh();
+
+  if (escenario.cliente?.nombre && !backend.validarTelefono(telefono).data.registrado) {
+    backend.agregarCliente(telefono, escenario.cliente.nombre);
+  }
+  if (escenario.estadoInicial) {
+    sessionService.updateSession(telefono);
+    setState(telefono, escenario.estadoInicial);
+  }
+
+  for (const [indice, paso] of (escenario.pasos || []).entries()) {
+    salientes = [];
+    respuestaIAPaso = paso.respuestaIA ?? null;
+    mensajeActual = String(paso.cliente ?? '').toLowerCase().trim();
+
+    transcripcion.push(`  ${paso.procesarColaPedidos ? '⚙️' : '👤'} ${describirPaso(paso)}`);
+    try {
+      actualizarCatalogo(paso.catalogo);
+      if (paso.invalidarCatalogo) await catalogService.invalidate();
+      if (paso.tiempoAgotado) rutasConTiempoAgotado.push(...comoLista(paso.tiempoAgotado));
+      if (paso.backendCaido !== undefined) backendCaido = Boolean(paso.backendCaido);
+
+      if (paso.procesarColaPedidos) {
+        await orderOutboxService.processDue({ todos: true });
+      } else {
+        const inbound = parseInboundMessage(construirMensajeMeta(telefono, paso));
+        customerWindowService.registerInbound(telefono, inbound.timestamp);
+        await procesarMensajeEntrante(inbound);
+      }
+    } catch (error) {
+      fallos.push(`paso ${indice + 1} (${describirPaso(paso)}): lanzó ${error.name}: ${error.message}`);
+      break;
+    }
+
+    const respuestas = salientes;
+    const estado = getState(telefono);
+    for (const respuesta of respuestas) {
+      transcripcion.push(describirMensajeSaliente(respuesta).split('\n').map(linea => `  🤖 ${linea}`).join('\n'));
+    }
+    transcripcion.push(`     📍 ${estado}`);
+
+    for (const fallo of verificarPaso(paso.espera || {}, respuestas, estado)) {
+      fallos.push(`paso ${indice + 1} (${describirPaso(paso)}): ${fallo}`);
+    }
+  }
+
+  return { fallos, transcripcion };
+}
+
+const escenarios = leerEscenarios(objetivo);
+let fallidos = 0;
+
+salida(`🎭 Simulando ${escenarios.length} conversación(es) de ${objetivo}\n`);
+
+for (const escenario of escenarios) {
+  const nombre = escenario.nombre || path.basename(escenario.archivo);
+  const { fallos, transcripcion } = await ejecutarEscenario(escenario);
+
+  if (fallos.length > 0) fallidos++;
+  salida(`${fallos.length === 0 ? '✅' : '❌'} ${nombre}`);
+
+  if (verbose || fallos.length > 0) {
+    salida(transcripcion.join('\n'));
+  }
+  for (const fallo of fallos) {
+    salida(`  ❌ ${fallo}`);
+  }
+  if (verbose || fallos.length > 0) salida('');
+}
+
+salida(`\n📊 ${escenarios.length - fallidos}/${escenarios.length} conversaciones correctas`);
+
+// Los servicios dejan intervalos de limpieza activos
+process.exit(fallidos > 0 ? 1 : 0);
@@ -0,0 +1,53 @@
+/**
+ * Envía un mensaje simulado y firmado al webhook local
+ *
+ * Construye un payload con la misma estructura que envía Meta, lo firma con
+ * WEBHOOK_TEST_SECRET (el bot debe correr con WEBHOOK_TEST_MODE=true) y lo
+ * envía a POST /webhook.
+ *
+ * Uso:
+ *   node scripts/simularWebhook.js <telefono> "<mensaje>" [url]
+ *
+ * Ejemplo:
+ *   node scripts/simularWebhook.js 56911112222 "hola"
+ *   node scripts/simularWebhook.js 56911112222 "menu" http://localhost:3000/webhook
+ */
+
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { firmarPayload } from '../src/utils/webhookSignature.js';
+import { construirMensajeEntrante, construirPayloadWebhook } from '../src/mocks/webhookPayload.js';
+
+dotenv.config();
+
+const [telefono, texto, url = 'http://localhost:3000/webhook'] = process.argv.slice(2);
+
+if (!telefono || !texto) {
+  console.error('Uso: node scripts/simularWebhook.js <telefono> "<mensaje>" [url]');
+  process.exit(1);
+}
+
+const secret = process.env.WEBHOOK_TEST_SECRET;
+if (!secret) {
+  console.error('❌ WEBHOOK_TEST_SECRET no está configurado en .env');
+  process.exit(1);
+}
+
+const payload = construirPayloadWebhook({
+  messages: [construirMensajeEntrante(telefono, { texto })]
+});
+
+const rawBody = JSON.stringify(payload);
+
+try {
+  const response = await axios.post(url, rawBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature-256': firmarPayload(rawBody, secret)
+    }
+  });
+  console.log(`✅ Mensaje simulado enviado a ${url} - Status: ${response.status}`);
+} catch (error) {
+  console.error(`❌ Error enviando mensaje simulado: ${error.response?.status || error.message}`);
+  process.exit(1);
+}
@@ -1,5 +1,4 @@
 import dotenv from 'dotenv';
-import axios from 'axios';
 
 // Cargar variables de entorno
 dotenv.config();
@@ -7,33 +6,19 @@ dotenv.config();
 // Configuración de Meta/WhatsApp
 export const META_CONFIG = {
   VERIFY_TOKEN: process.env.VERIFY_TOKEN,
-  ACCESS_TOKEN: process.env.ACCESS_TOKEN,
+  // META_TOKEN se acepta por compatibilidad con configuraciones antiguas
+  ACCESS_TOKEN: process.env.ACCESS_TOKEN || process.env.META_TOKEN,
   PHONE_NUMBER_ID: process.env.PHONE_NUMBER_ID,
-  API_VERSION: 'v22.0'
+  API_BASE_URL: process.env.META_API_BASE_URL || 'https://graph.facebook.com',
+  API_VERSION: process.env.META_API_VERSION || 'v22.0',
+  // Timeout de cada petición a la API (ms)
+  TIMEOUT: parseInt(process.env.META_API_TIMEOUT) || 10000,
+  // Reintentos ante errores transitorios (límites de envío, 5xx, red)
+  MAX_RETRIES: parseInt(process.env.META_MAX_RETRIES ?? '3'),
+  RETRY_BASE_DELAY_MS: parseInt(process.env.META_RETRY_BASE_DELAY_MS) || 1000,
+  // Secreto de la app para verificar X-Hub-Signature-256 en POST /webhook
+  APP_SECRET: process.env.APP_SECRET,
+  // Modo de prueba: acepta payloads simulados firmados con WEBHOOK_TEST_SECRET
+  WEBHOOK_TEST_MODE: process.env.WEBHOOK_TEST_MODE === 'true',
+  WEBHOOK_TEST_SECRET: process.env.WEBHOOK_TEST_SECRET
 };
-
-// Función para enviar mensajes a través de la API de WhatsApp
-export async function enviarMensaje(numero, texto) {
-  const url = `https://graph.facebook.com/${META_CONFIG.API_VERSION}/${META_CONFIG.PHONE_NUMBER_ID}/messages`;
-  
-  try {
-    await axios.post(
-      url,
-      {
-        messaging_product: "whatsapp",
-        to: numero,
-        text: { body: texto },
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${META_CONFIG.ACCESS_TOKEN}`,
-        },
-      }
-    );
-    console.log(`✅ Mensaje enviado a ${numero}: ${texto}`);
-  } catch (error) {
-    console.error("❌ Error enviando mensaje:", error.response?.data || error.message);
-    throw error;
-  }
-}
\ No newline at end of file
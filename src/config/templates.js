@@ -0,0 +1,75 @@
+/**
+ * Registro local de plantillas de WhatsApp aprobadas por Meta
+ *
+ * Cada entrada describe cuántos parámetros espera la plantilla en cada
+ * componente. El TemplateBuilder valida contra este registro antes de enviar,
+ * así un error de parámetros se detecta aquí y no como un rechazo de Meta.
+ *
+ * Al aprobar una plantilla nueva en el panel de Meta, agregarla aquí con el
+ * mismo nombre e idioma.
+ *
+ * Estructura:
+ * {
+ *   idioma: string,                     // Código de idioma aprobado (ej: 'es')
+ *   descripcion: string,                // Texto de referencia con los {{n}}
+ *   header: { tipo, parametros } | null, // tipo: 'text' | 'image' | 'document' | 'video'
+ *   body: { parametros: number },
+ *   botones: Array<{ tipo, parametros }> // tipo: 'quick_reply' | 'url' (en orden de índice)
+ * }
+ */
+
+export const TEMPLATES = {
+  // Plantilla de ejemplo que Meta crea en todas las cuentas
+  hello_world: {
+    idioma: 'en_US',
+    descripcion: 'Hello World',
+    header: null,
+    body: { parametros: 0 },
+    botones: []
+  },
+
+  // Reemplazo genérico de mensajes libres fuera de la ventana de 24 horas
+  // (configurar con WINDOW_FALLBACK_TEMPLATE=aviso_mensaje_pendiente)
+  aviso_mensaje_pendiente: {
+    idioma: 'es',
+    descripcion: 'Hola 👋 Tienes novedades de El Manicero Lucas. Respóndenos este mensaje para continuar la conversación.',
+    header: null,
+    body: { parametros: 0 },
+    botones: []
+  },
+
+  actualizacion_pedido: {
+    idioma: 'es',
+    descripcion: 'Tu pedido #{{1}} cambió de estado a: {{2}}. ¡Gracias por tu preferencia!',
+    header: null,
+    body: { parametros: 2 },
+    botones: [
+      { tipo: 'quick_reply', parametros: 1 } // "Ver menú" (payload: menu)
+    ]
+  },
+
+  recordatorio_pago: {
+    idioma: 'es',
+    descripcion: 'Hola {{1}}, tu pedido #{{2}} por {{3}} está pendiente de pago desde el {{4}}.',
+    header: null,
+    body: { parametros: 4 },
+    botones: []
+  },
+
+  comprobante_pedido: {
+    idioma: 'es',
+    descripcion: '[documento] Adjuntamos el comprobante de tu pedido #{{1}}.',
+    header: { tipo: 'document', parametros: 1 },
+    body: { parametros: 1 },
+    botones: []
+  }
+};
+
+/**
+ * Obtiene la definición de una plantilla registrada
+ * @param {string} nombre - Nombre de la plantilla en Meta
+ * @returns {Object|null}
+ */
+export function getTemplateDefinition(nombre) {
+  return TEMPLATES[nombre] || null;
+}
@@ -1,62 +1,33 @@
 import { flujoBienvenida } from "../flows/flujoBienvenida.js";
-import { manejarMenu, mostrarMenuPrincipal, manejarFAQEspecifica, manejarOpcionPedidos } from "../flows/menuFlow.js";
-import {
-  iniciarBusquedaProductos,
-  procesarConsultaBusqueda,
-  procesarSeleccionProducto,
-  procesarAccionDetalles,
-  busquedaRapidaProducto
-} from "../flows/productSearchFlow.js";
-import {
-  iniciarPedido,
-  procesarListaProductos,
-  procesarSeleccionAmbigua,
-  procesarAgregarMas,
-  procesarModalidadEnvio,
-  procesarDireccion,
-  procesarCiudad,
-  procesarComuna,
-  procesarCourier,
-  procesarConfirmacion
-} from "../flows/orderFlow.js";
-import { getState, setState, clearState, STATES } from "../services/conversationStateService.js";
+import { mostrarMenuPrincipal } from "../flows/menuFlow.js";
+import { busquedaRapidaProducto } from "../flows/productSearchFlow.js";
+import { procesarUbicacionEnvio, procesarComprobantePago, procesarEdicionCarrito } from "../flows/orderFlow.js";
+import { getState, STATES, getPendingPayment, hasPendingContinuation } from "../services/conversationStateService.js";
+import { getDefinicionEstado, buscarComandoGlobal } from "./stateMachine.js";
+import { MESSAGE_TYPES } from "../utils/inboundMessage.js";
 import { GreetingDetector } from "../utils/greetingDetector.js";
 import { FAQDetector } from "../utils/faqDetector.js";
 import { FarewellDetector } from "../utils/farewellDetector.js";
 import { productQueryDetector } from "../utils/productQueryDetector.js";
-import { sendMessage } from "../services/messageService.js";
+import { cartEditDetector } from "../utils/cartEditDetector.js";
+import { sendMessage, sendContinuation, VER_MAS_ID } from "../services/messageService.js";
 import { sessionService } from "../services/sessionService.js";
-import { nlpService } from "../services/nlpService.js";
-import { buscarProductoConMistral, formatearRespuestaProducto } from "../services/productService.js";
 import { cartService } from "../services/cartService.js";
+import { nlpService } from "../services/nlpService.js";
+import { backendDisponible } from "../services/apiService.js";
 
 const greetingDetector = new GreetingDetector();
 const faqDetector = new FAQDetector();
 const farewellDetector = new FarewellDetector();
 
-// Estados donde NO debemos usar NLP/Mistral (flujo del menú y selecciones específicas)
-const ESTADOS_FLUJO_MENU = [
-  STATES.MENU,
-  STATES.WAITING_NAME,
-  STATES.WAITING_LASTNAME,
-  STATES.PRODUCT_SEARCH_WAITING_SELECTION, // Esperando selección numérica
-
-  // Estados de pedidos - NO usar NLP/Mistral aquí
-  STATES.ORDER_REQUESTING_PRODUCTS,        // Usuario escribe lista de productos
-  STATES.ORDER_SELECTING_AMBIGUOUS,        // Usuario selecciona productos ambiguos
-  STATES.ORDER_ADDING_MORE,                // Usuario decide si agregar más
-  STATES.ORDER_DELIVERY_METHOD,            // Usuario selecciona modalidad
-  STATES.ORDER_DELIVERY_ADDRESS,           // Usuario ingresa dirección
-  STATES.ORDER_DELIVERY_CITY,              // Usuario ingresa ciudad
-  STATES.ORDER_DELIVERY_COMUNA,            // Usuario ingresa comuna
-  STATES.ORDER_COURIER_SELECTION,          // Usuario selecciona courier
-  STATES.ORDER_CONFIRMING                  // Usuario confirma pedido
-];
+// Comandos para pedir la siguiente parte de un mensaje largo
+// ("más" a secas no: en ORDER_ADDING_MORE significa "agregar más")
+const COMANDOS_VER_MAS = [VER_MAS_ID, "ver más", "ver mas", "continuar"];
 
 // Función para determinar si debemos analizar con NLP/Mistral
-function debeAnalizarConIA(estado, mensaje) {
-  // No analizar si está en flujo de menú
-  if (ESTADOS_FLUJO_MENU.includes(estado)) {
+function debeAnalizarConIA(definicion, mensaje) {
+  // No analizar en estados que no lo declaran (menú, selecciones, pedidos)
+  if (!definicion.analizarConIA) {
     return false;
   }
 
@@ -69,8 +40,70 @@ function debeAnalizarConIA(estado, mensaje) {
   return true;
 }
 
+// Respuesta para tipos de mensaje que el bot no puede interpretar
+const MENSAJE_TIPO_NO_SOPORTADO = `🙏 Lo siento, por ahora solo puedo leer mensajes de texto.
+
+Por favor, escríbeme lo que necesitas o escribe *"menú"* para ver las opciones disponibles.`;
+
+// Respuesta cuando el backend no está disponible (circuito abierto)
+const MENSAJE_MODO_DEGRADADO = `⚠️ *Pedidos no disponibles por el momento*
+
+Nuestro sistema de pedidos tiene problemas técnicos, así que por ahora no podemos tomar pedidos ni consultar tus pedidos. Intenta nuevamente en unos minutos.
+
+Mientras tanto puedes:
+• Consultar precios de nuestros productos
+• Revisar las preguntas frecuentes
+
+Escribe *"menú"* para ver las opciones.`;
+
+/**
+ * Enruta un mensaje entrante según su tipo
+ *
+ * - Texto y respuestas a botones/listas: flujo normal de conversación
+ * - Ubicación: se usa como dirección de envío si el pedido la está esperando
+ * - Imagen: se registra como comprobante si hay un pedido con pago pendiente
+ * - Reacciones: se ignoran
+ * - Otros tipos: respuesta indicando que solo se lee texto
+ *
+ * @param {Object} inbound - Mensaje normalizado (ver utils/inboundMessage.js)
+ */
+export async function procesarMensajeEntrante(inbound) {
+  const { from, type } = inbound;
+
+  if (type === MESSAGE_TYPES.TEXT || type === MESSAGE_TYPES.INTERACTIVE) {
+    await procesarMensaje(from, inbound.text);
+    return;
+  }
+
+  if (type === MESSAGE_TYPES.REACTION) {
+    console.log(`👍 Reacción de ${from} ignorada: ${inbound.reaction.emoji || '(eliminada)'}`);
+    return;
+  }
+
+  const sesionActiva = sessionService.sessions.has(from) && !sessionService.isSessionExpired(from);
+  if (sesionActiva) {
+    sessionService.updateSession(from);
+  }
+
+  // Ubicación compartida mientras el pedido espera la dirección de envío
+  if (type === MESSAGE_TYPES.LOCATION && sesionActiva && getState(from) === STATES.ORDER_DELIVERY_ADDRESS) {
+    await procesarUbicacionEnvio(from, inbound.location);
+    return;
+  }
+
+  // Imagen mientras hay un pedido esperando el comprobante de transferencia
+  if (type === MESSAGE_TYPES.IMAGE && getPendingPayment(from)) {
+    const procesado = await procesarComprobantePago(from, inbound.media);
+    if (procesado) return;
+  }
+
+  console.log(`🚫 Tipo de mensaje no soportado de ${from}: ${type} (estado: ${getState(from)})`);
+  await sendMessage(from, MENSAJE_TIPO_NO_SOPORTADO);
+}
+
 export async function procesarMensaje(from, message) {
   const currentState = getState(from);
+  const definicion = getDefinicionEstado(currentState);
   const messageText = message.toLowerCase().trim();
 
   console.log(`📩 Mensaje de ${from}: ${message}`);
@@ -80,7 +113,7 @@ export async function procesarMensaje(from, message) {
   // ANÁLISIS CON IA (NLP/Mistral) - SOLO CUANDO CORRESPONDA
   // ============================================
   let nlpAnalysis = null;
-  let debeUsarIA = debeAnalizarConIA(currentState, message);
+  let debeUsarIA = debeAnalizarConIA(definicion, message);
 
   // Detectar si es consulta de producto (se usa en múltiples lugares)
   const esConsultaProducto = productQueryDetector.isProductQuery(message);
@@ -166,6 +199,12 @@ Tu sesión ha expirado por inactividad (15 minutos).
   // Actualizar timestamp de actividad de la sesión
   sessionService.updateSession(from);
 
+  // Siguiente parte de un mensaje largo enviado por partes ("ver más")
+  if (COMANDOS_VER_MAS.includes(messageText) && hasPendingContinuation(from)) {
+    await sendContinuation(from);
+    return;
+  }
+
   // ============================================
   // ANÁLISIS INTELIGENTE - SOLO CUANDO CORRESPONDA
   // ============================================
@@ -183,8 +222,7 @@ Tu sesión ha expirado por inactividad (15 minutos).
     const isNlpGreeting = await nlpService.isGreeting(message);
     const isDetectorGreeting = greetingDetector.isGreeting(message);
 
-    if ((isNlpGreeting || isDetectorGreeting) &&
-      [STATES.INITIAL, STATES.PRODUCTOS, STATES.PEDIDOS, STATES.FAQ].includes(currentState)) {
+    if ((isNlpGreeting || isDetectorGreeting) && definicion.saludoReinicia) {
       console.log(`👋 Saludo detectado de ${from} (NLP: ${isNlpGreeting}, Detector: ${isDetectorGreeting})`);
       await flujoBienvenida(from);
       return;
@@ -194,22 +232,9 @@ Tu sesión ha expirado por inactividad (15 minutos).
     // IMPORTANTE: No detectar como ayuda si es una consulta de producto
     const isHelpRequest = await nlpService.isHelpRequest(message);
 
-    // Estados donde el usuario está en contexto de productos y NO debe tratarse como ayuda
-    const estadosContextoProducto = [
-      STATES.PRODUCTOS,
-      STATES.PRODUCT_SEARCH_WAITING_QUERY,
-      STATES.PRODUCT_SEARCH_WAITING_SELECTION,
-      STATES.PRODUCT_SEARCH_SHOWING_DETAILS,
-
-      // Estados de pedidos - contexto de producto activo
-      STATES.ORDER_REQUESTING_PRODUCTS,
-      STATES.ORDER_SELECTING_AMBIGUOUS,
-      STATES.ORDER_ADDING_MORE
-    ];
-
     if (isHelpRequest && nlpAnalysis.nlp.confidence > 0.7 &&
       !esConsultaProducto &&
-      !estadosContextoProducto.includes(currentState)) {
+      !definicion.contextoProducto) {
       console.log(`🆘 Solicitud de ayuda detectada de ${from}`);
       await sendMessage(from, "Por supuesto, estoy aquí para ayudarte. 😊\n\nEscribe *menú* para ver todas las opciones disponibles o dime específicamente qué necesitas.");
       await mostrarMenuPrincipal(from);
@@ -221,7 +246,7 @@ Tu sesión ha expirado por inactividad (15 minutos).
     if (nlpAnalysis.nlp.sentiment &&
       nlpAnalysis.nlp.sentiment.score < -0.5 &&
       !esConsultaProducto &&
-      !estadosContextoProducto.includes(currentState)) {
+      !definicion.contextoProducto) {
       console.log(`😔 Sentimiento negativo detectado de ${from} (score: ${nlpAnalysis.nlp.sentiment.score})`);
       await sendMessage(from, "Entiendo que puedas estar frustrado. 😔\n\nEstoy aquí para ayudarte de la mejor manera posible. ¿Podrías decirme específicamente en qué puedo asistirte?\n\nEscribe *menú* para ver todas las opciones disponibles.");
       return;
@@ -231,18 +256,8 @@ Tu sesión ha expirado por inactividad (15 minutos).
   // ============================================
   // DETECCIÓN DE CONSULTAS DE PRODUCTOS - CONTEXT-AWARE
   // ============================================
-  // Solo detectar productos fuera de flujos específicos de menú/selección
-  const estadosQueNoPermiteBusquedaRapida = [
-    STATES.PRODUCTOS, // Ya está en la sección de productos (se maneja en switch-case)
-    STATES.PEDIDOS,
-    STATES.FAQ, // Ya está en la sección de FAQ
-    STATES.PRODUCT_SEARCH_WAITING_QUERY,
-    STATES.PRODUCT_SEARCH_WAITING_SELECTION,
-    STATES.PRODUCT_SEARCH_SHOWING_DETAILS
-  ];
-
-  // Usar la detección que ya se hizo arriba (para evitar duplicados)
-  if (debeUsarIA && esConsultaProducto && !estadosQueNoPermiteBusquedaRapida.includes(currentState)) {
+  // Solo en estados que permiten la búsqueda rápida (fuera de menú/selección)
+  if (debeUsarIA && esConsultaProducto && definicion.busquedaRapida) {
     console.log(`🛍️ Consulta de producto detectada: "${message}"`);
     const seProcesoProducto = await busquedaRapidaProducto(from, message);
     if (seProcesoProducto) {
@@ -255,7 +270,7 @@ Tu sesión ha expirado por inactividad (15 minutos).
   // DETECCIÓN DE FAQs - SOLO EN CONTEXTO DE FAQ
   // ============================================
   // Solo detectar FAQs cuando el usuario está en el menú de FAQ
-  if (currentState === STATES.FAQ) {
+  if (definicion.detectarFAQ) {
     const faqType = faqDetector.detectFAQ(message);
     if (faqType) {
       const faqResponse = faqDetector.getAutoResponse(faqType);
@@ -268,197 +283,41 @@ Tu sesión ha expirado por inactividad (15 minutos).
   }
 
   // ============================================
-  // COMANDO ESPECIAL PARA VOLVER AL MENÚ Y ENRUTAMIENTO POR PALABRAS CLAVE
+  // EDICIÓN DEL CARRITO - SOLO EN EL FLUJO DE PEDIDOS
   // ============================================
-  if (messageText === "menu" || messageText === "menú") {
-    await mostrarMenuPrincipal(from);
-    return;
-  }
-
-  // Enrutamiento directo a PEDIDOS
-  // IMPORTANTE: No activar si el usuario dice "confirmar pedido" o si ya está en un flujo de pedido activo
-  const isOrderState = currentState.startsWith('order_');
-  if ((messageText.includes("pedido") || messageText.includes("crear pedido") || messageText.includes("quiero hacer un pedido")) && !messageText.includes("confirmar") && !isOrderState) {
-    console.log(`📦 Palabra clave 'pedido' detectada - Iniciando flujo de pedido`);
-    await iniciarPedido(from);
-    return;
-  }
-
-  // Enrutamiento directo a CARRITO
-  if (messageText.includes("carrito") || messageText.includes("canasta") || messageText.includes("ver pedido")) {
-    console.log(`🛒 Palabra clave 'carrito' detectada - Mostrando resumen`);
-    const resumen = cartService.getFormattedSummary(from);
-    await sendMessage(from, resumen);
-    return;
-  }
-
-  // Enrutamiento directo a PRECIOS / CONSULTAS
-  if (messageText.includes("precio") || messageText.includes("consultar") || messageText.includes("valor") || messageText.includes("costo")) {
-    console.log(`💰 Palabra clave de precios/consulta detectada - Iniciando búsqueda`);
-    await iniciarBusquedaProductos(from);
-    return;
-  }
-
-  // Manejar estados de conversación
-  switch (currentState) {
-    case STATES.INITIAL:
-      await flujoBienvenida(from);
-      break;
-
-    case STATES.WAITING_NAME:
-      await flujoBienvenida(from, message, 'nombre');
-      break;
-
-    case STATES.WAITING_LASTNAME:
-      await flujoBienvenida(from, message, 'apellido');
-      break;
-
-    case STATES.MENU:
-      await manejarMenu(from, message);
-      break;
-
-    case STATES.PRODUCTOS:
-      await manejarSeccionEspecifica(from, message, 'productos');
-      break;
-
-    case STATES.PEDIDOS:
-      await manejarOpcionPedidos(from, message);
-      break;
-
-    case STATES.FAQ:
-      await manejarPreguntasFAQ(from, message);
-      break;
-
-    // ============================================
-    // ESTADOS DE BÚSQUEDA DE PRODUCTOS
-    // ============================================
-    case STATES.PRODUCT_SEARCH_WAITING_QUERY:
-      // Usuario está en el flujo de búsqueda y escribe qué busca
-      await procesarConsultaBusqueda(from, message);
-      break;
-
-    case STATES.PRODUCT_SEARCH_WAITING_SELECTION:
-      // Usuario está seleccionando un producto de la lista (número)
-      await procesarSeleccionProducto(from, message);
-      break;
-
-    case STATES.PRODUCT_SEARCH_SHOWING_DETAILS:
-      // Usuario está viendo detalles y puede agregar al carrito o buscar otro
-      await procesarAccionDetalles(from, message);
-      break;
-
-    // ============================================
-    // ESTADOS DEL FLUJO DE PEDIDOS (CARRITO)
-    // ============================================
-    case STATES.ORDER_REQUESTING_PRODUCTS:
-      // Usuario está escribiendo su lista de productos
-      await procesarListaProductos(from, message);
-      break;
-
-    case STATES.ORDER_SELECTING_AMBIGUOUS:
-      // Usuario está seleccionando productos de opciones ambiguas
-      await procesarSeleccionAmbigua(from, message);
-      break;
-
-    case STATES.ORDER_ADDING_MORE:
-      // Usuario decide si agregar más productos o finalizar
-      await procesarAgregarMas(from, message);
-      break;
-
-    case STATES.ORDER_DELIVERY_METHOD:
-      // Usuario selecciona modalidad de envío (retiro o domicilio)
-      await procesarModalidadEnvio(from, message);
-      break;
-
-    case STATES.ORDER_DELIVERY_ADDRESS:
-      // Usuario ingresa dirección de envío
-      await procesarDireccion(from, message);
-      break;
-
-    case STATES.ORDER_DELIVERY_CITY:
-      // Usuario ingresa ciudad
-      await procesarCiudad(from, message);
-      break;
-
-    case STATES.ORDER_DELIVERY_COMUNA:
-      // Usuario ingresa comuna
-      await procesarComuna(from, message);
-      break;
-
-    case STATES.ORDER_COURIER_SELECTION:
-      // Usuario selecciona courier
-      await procesarCourier(from, message);
-      break;
-
-    case STATES.ORDER_CONFIRMING:
-      // Usuario confirma o cancela el pedido
-      await procesarConfirmacion(from, message);
-      break;
-
-    default:
-      await flujoBienvenida(from);
-      break;
-  }
-}
-
-async function manejarSeccionEspecifica(from, message, seccion) {
-  const messageText = message.toLowerCase().trim();
-
-  if (messageText === "menu" || messageText === "menú") {
-    await mostrarMenuPrincipal(from);
-    return;
-  }
-
-  // Si está en la sección de productos, procesar directamente como consulta de búsqueda
-  if (seccion === 'productos') {
-    console.log(`🔍 Procesando mensaje en sección PRODUCTOS para ${from}: "${message}"`);
-
-    // Verificar si es una consulta de producto
-    const esConsultaProducto = productQueryDetector.isProductQuery(message);
-
-    if (esConsultaProducto) {
-      // Procesar directamente como consulta de búsqueda
-      console.log(`✅ Consulta de producto detectada en sección PRODUCTOS`);
-      await procesarConsultaBusqueda(from, message);
-    } else {
-      // Si no es consulta de producto, iniciar flujo de búsqueda
-      console.log(`ℹ️ No es consulta de producto, mostrando mensaje de bienvenida`);
-      await iniciarBusquedaProductos(from);
+  // Antes de los comandos globales: "vacía el carrito" no es "ver carrito".
+  // Con el carrito vacío no hay nada que editar: "solo 2 kilos de almendras"
+  // es un pedido
+  if (definicion.edicionCarrito && cartService.hasItems(from)) {
+    const edicion = cartEditDetector.detectEdit(message);
+    if (edicion && await procesarEdicionCarrito(from, edicion)) {
+      return;
     }
-    return;
   }
 
-  // Aquí puedes agregar lógica específica para cada sección
-  const respuesta = `Mensaje recibido en sección ${seccion}: "${message}"
-
-Un representante revisará tu consulta y te responderá pronto.
+  const comando = buscarComandoGlobal(currentState, messageText);
 
-Escribe *"menu"* para volver al menú principal.`;
-
-  await sendMessage(from, respuesta);
-}
-
-async function manejarPreguntasFAQ(from, message) {
-  const messageText = message.toLowerCase().trim();
-
-  if (messageText === "menu" || messageText === "menú") {
-    await mostrarMenuPrincipal(from);
+  // ============================================
+  // MODO DEGRADADO - BACKEND NO DISPONIBLE
+  // ============================================
+  // Con el circuito del backend abierto no se toman pedidos, pero las FAQs,
+  // el menú y las búsquedas guardadas siguen respondiendo. El estado no
+  // cambia: el cliente puede reintentar donde estaba
+  const requiereBackend = comando ? comando.requiereBackend : definicion.requiereBackend;
+  if (requiereBackend && !backendDisponible()) {
+    console.log(`🔴 Modo degradado para ${from}: backend no disponible (estado: ${currentState})`);
+    await sendMessage(from, MENSAJE_MODO_DEGRADADO);
     return;
   }
 
-  // Verificar si es un número del 1 al 6 para las preguntas específicas
-  const opcionNum = parseInt(messageText);
-  if (opcionNum >= 1 && opcionNum <= 6) {
-    await manejarFAQEspecifica(from, messageText);
+  // ============================================
+  // COMANDOS GLOBALES (menú, pedido, carrito, precios)
+  // ============================================
+  if (comando) {
+    await comando.ejecutar(from);
     return;
   }
 
-  // Si no es un número válido, tratar como consulta general
-  const respuesta = `❓ Pregunta recibida: "${message}"
-
-Un representante revisará tu consulta y te responderá pronto.
-
-¿Algo más? Escribe *"menu"* para volver al menú principal.`;
-
-  await sendMessage(from, respuesta);
+  // Manejar el mensaje según el estado (ver stateMachine.js)
+  await definicion.handler(from, message);
 }
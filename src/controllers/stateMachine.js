@@ -0,0 +1,606 @@
+/**
+ * Máquina de estados de la conversación
+ *
+ * Registro declarativo de los estados de STATES. Cada estado declara:
+ * - handler: función que procesa el mensaje del cliente en ese estado
+ * - transiciones: estados a los que puede pasar su handler
+ * - comandosGlobales: comandos de COMANDOS_GLOBALES que aplican en el estado
+ * - analizarConIA: si el mensaje pasa por NLP/Mistral antes del handler
+ * - contextoProducto: el cliente está hablando de productos (no se trata
+ *   como solicitud de ayuda ni se responde por sentimiento negativo)
+ * - busquedaRapida: se permite la búsqueda rápida de productos
+ * - saludoReinicia: un saludo reinicia el flujo de bienvenida
+ * - detectarFAQ: se buscan preguntas frecuentes en el texto
+ * - edicionCarrito: se reconocen ediciones del carrito ("quita las nueces",
+ *   "cambia las almendras a 5", "vacía el carrito") antes del handler
+ * - reprompt: función que vuelve a pedir el dato del estado cuando el cliente
+ *   escribe "atrás" (los estados sin reprompt se saltan al retroceder)
+ * - requiereBackend: el handler necesita el backend; con el circuito del
+ *   backend abierto se responde en modo degradado (ver flowController.js)
+ *
+ * procesarMensaje (flowController.js) lee este registro en lugar de tener
+ * las reglas repartidas. Cada setState se valida contra las transiciones
+ * permitidas: por defecto solo se registra una advertencia y con
+ * STATE_MACHINE_STRICT=true se lanza InvalidTransitionError.
+ *
+ * Para agregar un estado: agregarlo a STATES y declararlo aquí.
+ */
+
+import { flujoBienvenida } from "../flows/flujoBienvenida.js";
+import {
+  manejarMenu,
+  mostrarMenuPrincipal,
+  manejarOpcionPedidos,
+  manejarPreguntasFAQ,
+  manejarConsultasProductos,
+  manejarSubmenuPedidos,
+  manejarPreguntasFrecuentes
+} from "../flows/menuFlow.js";
+import {
+  iniciarBusquedaProductos,
+  manejarSeccionProductos,
+  procesarConsultaBusqueda,
+  procesarSeleccionProducto,
+  procesarAccionDetalles,
+  repetirListaProductos,
+  repetirDetallesProducto
+} from "../flows/productSearchFlow.js";
+import {
+  iniciarPedido,
+  solicitarListaProductos,
+  preguntarAgregarMas,
+  solicitarModalidadEnvio,
+  solicitarDireccion,
+  solicitarCiudad,
+  solicitarComuna,
+  solicitarCourier,
+  solicitarAceptarCambios,
+  solicitarConfirmacionFinal,
+  procesarListaProductos,
+  procesarSeleccionAmbigua,
+  procesarAgregarMas,
+  procesarModalidadEnvio,
+  procesarDireccion,
+  procesarCiudad,
+  procesarComuna,
+  procesarCourier,
+  procesarAceptarCambios,
+  procesarConfirmacion
+} from "../flows/orderFlow.js";
+import { getState, setState, popPreviousState, STATES, onStateChange } from "../services/conversationStateService.js";
+import { sendMessage } from "../services/messageService.js";
+import { cartService } from "../services/cartService.js";
+import { InvalidTransitionError } from "../utils/errors.js";
+
+export const STATE_MACHINE_CONFIG = {
+  STRICT: process.env.STATE_MACHINE_STRICT === 'true'
+};
+
+// ============================================
+// COMANDOS GLOBALES
+// ============================================
+
+/**
+ * Comandos por palabra clave que se revisan antes del handler del estado.
+ * Se evalúan en el orden en que están declarados. Los que declaran
+ * `requiereBackend` no se ejecutan en modo degradado.
+ */
+export const COMANDOS_GLOBALES = {
+  menu: {
+    descripcion: 'Volver al menú principal',
+    destinos: [STATES.MENU],
+    coincide: (texto) => texto === "menu" || texto === "menú",
+    ejecutar: (from) => mostrarMenuPrincipal(from)
+  },
+
+  // El destino depende de la pila de navegación (ver volverAtras)
+  atras: {
+    descripcion: 'Volver al paso anterior',
+    destinos: [],
+    coincide: (texto) => ["atrás", "atras", "volver", "regresar"].includes(texto),
+    ejecutar: (from) => volverAtras(from)
+  },
+
+  // No se activa con "confirmar pedido" (lo procesa ORDER_CONFIRMING)
+  pedido: {
+    descripcion: 'Iniciar un pedido nuevo',
+    destinos: [STATES.ORDER_REQUESTING_PRODUCTS],
+    requiereBackend: true,
+    coincide: (texto) => (texto.includes("pedido") || texto.includes("crear pedido") || texto.includes("quiero hacer un pedido")) && !texto.includes("confirmar"),
+    ejecutar: async (from) => {
+      console.log(`📦 Palabra clave 'pedido' detectada - Iniciando flujo de pedido`);
+      await iniciarPedido(from);
+    }
+  },
+
+  carrito: {
+    descripcion: 'Ver el resumen del carrito',
+    destinos: [],
+    coincide: (texto) => texto.includes("carrito") || texto.includes("canasta") || texto.includes("ver pedido"),
+    ejecutar: async (from) => {
+      console.log(`🛒 Palabra clave 'carrito' detectada - Mostrando resumen`);
+      const resumen = cartService.getFormattedSummary(from);
+      await sendMessage(from, resumen, { continuacion: true });
+    }
+  },
+
+  precio: {
+    descripcion: 'Consultar precios de productos',
+    destinos: [STATES.PRODUCT_SEARCH_WAITING_QUERY],
+    coincide: (texto) => texto.includes("precio") || texto.includes("consultar") || texto.includes("valor") || texto.includes("costo"),
+    ejecutar: async (from) => {
+      console.log(`💰 Palabra clave de precios/consulta detectada - Iniciando búsqueda`);
+      await iniciarBusquedaProductos(from);
+    }
+  }
+};
+
+// Todos los comandos, y todos menos "pedido" (dentro del flujo de pedidos)
+const TODOS_LOS_COMANDOS = Object.keys(COMANDOS_GLOBALES);
+const COMANDOS_EN_PEDIDO = TODOS_LOS_COMANDOS.filter(nombre => nombre !== 'pedido');
+
+// Estados a los que lleva el flujo de bienvenida (saludos, sesión expirada)
+const DESTINOS_BIENVENIDA = [STATES.INITIAL, STATES.WAITING_NAME, STATES.MENU];
+
+// Destinos de la búsqueda rápida de productos
+const DESTINOS_BUSQUEDA_RAPIDA = [
+  STATES.PRODUCT_SEARCH_SHOWING_DETAILS,
+  STATES.PRODUCT_SEARCH_WAITING_SELECTION
+];
+
+// Destinos de una edición del carrito (ver procesarEdicionCarrito)
+const DESTINOS_EDICION_CARRITO = [
+  STATES.ORDER_REQUESTING_PRODUCTS,
+  STATES.ORDER_ADDING_MORE
+];
+
+/**
+ * Transiciones permitidas desde cualquier estado: reinicio de la conversación
+ * por sesión expirada o por inactividad (bienvenida y menú principal)
+ */
+export const TRANSICIONES_UNIVERSALES = DESTINOS_BIENVENIDA;
+
+// ============================================
+// REGISTRO DE ESTADOS
+// ============================================
+
+const DEFINICION_POR_DEFECTO = {
+  transiciones: [],
+  reprompt: null,
+  comandosGlobales: TODOS_LOS_COMANDOS,
+  analizarConIA: false,
+  contextoProducto: false,
+  busquedaRapida: false,
+  saludoReinicia: false,
+  detectarFAQ: false,
+  edicionCarrito: false,
+  requiereBackend: false
+};
+
+// Estados declarados en STATES sin flujo propio: reinician la bienvenida
+// (sus destinos ya están cubiertos por TRANSICIONES_UNIVERSALES)
+const estadoReservado = (descripcion, comandosGlobales) => ({
+  descripcion,
+  handler: (from) => flujoBienvenida(from),
+  transiciones: [],
+  comandosGlobales,
+  analizarConIA: true,
+  busquedaRapida: true
+});
+
+const DEFINICIONES = {
+  [STATES.INITIAL]: {
+    descripcion: 'Inicio de la conversación',
+    handler: (from) => flujoBienvenida(from),
+    transiciones: DESTINOS_BIENVENIDA,
+    analizarConIA: true,
+    busquedaRapida: true,
+    saludoReinicia: true
+  },
+
+  [STATES.WAITING_NAME]: {
+    descripcion: 'Registro: esperando nombre y apellido',
+    handler: (from, message) => flujoBienvenida(from, message, 'nombre'),
+    transiciones: DESTINOS_BIENVENIDA
+  },
+
+  // Sin uso actual: el registro pide nombre y apellido juntos
+  [STATES.WAITING_LASTNAME]: {
+    descripcion: 'Registro: esperando apellido',
+    handler: (from, message) => flujoBienvenida(from, message, 'apellido'),
+    transiciones: DESTINOS_BIENVENIDA
+  },
+
+  [STATES.MENU]: {
+    descripcion: 'Menú principal',
+    handler: manejarMenu,
+    reprompt: mostrarMenuPrincipal,
+    transiciones: [STATES.PRODUCTOS, STATES.PEDIDOS, STATES.FAQ]
+  },
+
+  [STATES.PRODUCTOS]: {
+    descripcion: 'Sección de productos',
+    handler: manejarSeccionProductos,
+    reprompt: manejarConsultasProductos,
+    transiciones: [
+      STATES.PRODUCT_SEARCH_WAITING_QUERY,
+      STATES.PRODUCT_SEARCH_WAITING_SELECTION,
+      STATES.PRODUCT_SEARCH_SHOWING_DETAILS
+    ],
+    analizarConIA: true,
+    contextoProducto: true,
+    saludoReinicia: true
+  },
+
+  [STATES.PEDIDOS]: {
+    descripcion: 'Submenú de pedidos',
+    handler: manejarOpcionPedidos,
+    reprompt: manejarSubmenuPedidos,
+    transiciones: [STATES.ORDER_REQUESTING_PRODUCTS],
+    analizarConIA: true,
+    saludoReinicia: true,
+    requiereBackend: true
+  },
+
+  [STATES.FAQ]: {
+    descripcion: 'Preguntas frecuentes',
+    handler: manejarPreguntasFAQ,
+    reprompt: manejarPreguntasFrecuentes,
+    transiciones: [],
+    analizarConIA: true,
+    saludoReinicia: true,
+    detectarFAQ: true
+  },
+
+  // ============================================
+  // BÚSQUEDA DE PRODUCTOS
+  // ============================================
+  [STATES.PRODUCT_SEARCH_WAITING_QUERY]: {
+    descripcion: 'Búsqueda: esperando qué producto busca',
+    handler: procesarConsultaBusqueda,
+    reprompt: iniciarBusquedaProductos,
+    transiciones: [STATES.PRODUCT_SEARCH_WAITING_SELECTION, STATES.PRODUCT_SEARCH_SHOWING_DETAILS],
+    analizarConIA: true,
+    contextoProducto: true
+  },
+
+  [STATES.PRODUCT_SEARCH_WAITING_SELECTION]: {
+    descripcion: 'Búsqueda: esperando selección de la lista',
+    handler: procesarSeleccionProducto,
+    reprompt: repetirListaProductos,
+    transiciones: [STATES.PRODUCTOS, STATES.PRODUCT_SEARCH_SHOWING_DETAILS],
+    contextoProducto: true
+  },
+
+  [STATES.PRODUCT_SEARCH_SHOWING_DETAILS]: {
+    descripcion: 'Búsqueda: mostrando detalles de un producto',
+    handler: procesarAccionDetalles,
+    reprompt: repetirDetallesProducto,
+    transiciones: [STATES.PRODUCTOS, STATES.PRODUCT_SEARCH_WAITING_QUERY],
+    analizarConIA: true,
+    contextoProducto: true
+  },
+
+  [STATES.PRODUCT_SEARCH_SHOWING_RESULTS]: estadoReservado('Reservado: mostrando resultados', TODOS_LOS_COMANDOS),
+
+  // ============================================
+  // FLUJO DE PEDIDOS (CARRITO)
+  // ============================================
+  [STATES.ORDER_REQUESTING_PRODUCTS]: {
+    descripcion: 'Pedido: esperando lista de productos',
+    handler: procesarListaProductos,
+    reprompt: solicitarListaProductos,
+    transiciones: [STATES.ORDER_SELECTING_AMBIGUOUS, STATES.ORDER_ADDING_MORE],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    contextoProducto: true,
+    edicionCarrito: true,
+    requiereBackend: true
+  },
+
+  // Sin reprompt: volver a elegir agregaría de nuevo los productos al carrito
+  [STATES.ORDER_SELECTING_AMBIGUOUS]: {
+    descripcion: 'Pedido: eligiendo entre productos ambiguos',
+    handler: procesarSeleccionAmbigua,
+    transiciones: [STATES.ORDER_REQUESTING_PRODUCTS, STATES.ORDER_ADDING_MORE],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    contextoProducto: true
+  },
+
+  [STATES.ORDER_ADDING_MORE]: {
+    descripcion: 'Pedido: agregar más productos o finalizar',
+    handler: procesarAgregarMas,
+    reprompt: preguntarAgregarMas,
+    transiciones: [STATES.ORDER_REQUESTING_PRODUCTS, STATES.ORDER_DELIVERY_METHOD],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    contextoProducto: true,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_DELIVERY_METHOD]: {
+    descripcion: 'Pedido: retiro en tienda o envío a domicilio',
+    handler: procesarModalidadEnvio,
+    reprompt: solicitarModalidadEnvio,
+    transiciones: [STATES.ORDER_CONFIRMING, STATES.ORDER_REVIEWING_CHANGES, STATES.ORDER_ADDING_MORE, STATES.ORDER_DELIVERY_ADDRESS],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_DELIVERY_ADDRESS]: {
+    descripcion: 'Pedido: esperando dirección de envío',
+    handler: procesarDireccion,
+    reprompt: (from) => solicitarDireccion(from),
+    transiciones: [STATES.ORDER_DELIVERY_CITY],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_DELIVERY_CITY]: {
+    descripcion: 'Pedido: esperando ciudad',
+    handler: procesarCiudad,
+    reprompt: (from) => solicitarCiudad(from),
+    transiciones: [STATES.ORDER_DELIVERY_COMUNA],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_DELIVERY_COMUNA]: {
+    descripcion: 'Pedido: esperando comuna',
+    handler: procesarComuna,
+    reprompt: (from) => solicitarComuna(from),
+    transiciones: [STATES.ORDER_COURIER_SELECTION],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_COURIER_SELECTION]: {
+    descripcion: 'Pedido: eligiendo empresa de despacho',
+    handler: procesarCourier,
+    reprompt: (from) => solicitarCourier(from),
+    transiciones: [STATES.ORDER_CONFIRMING, STATES.ORDER_REVIEWING_CHANGES],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  // Cambios de precio o stock detectados al revalidar el carrito (ver revalidarCarrito)
+  [STATES.ORDER_REVIEWING_CHANGES]: {
+    descripcion: 'Pedido: aceptando el carrito revalidado',
+    handler: procesarAceptarCambios,
+    reprompt: solicitarAceptarCambios,
+    transiciones: [STATES.ORDER_CONFIRMING, STATES.ORDER_ADDING_MORE],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_CONFIRMING]: {
+    descripcion: 'Pedido: esperando confirmación final',
+    handler: procesarConfirmacion,
+    reprompt: solicitarConfirmacionFinal,
+    transiciones: [],
+    comandosGlobales: COMANDOS_EN_PEDIDO,
+    edicionCarrito: true
+  },
+
+  [STATES.ORDER_CONFIRM_ADD_PRODUCT]: estadoReservado('Reservado: confirmar producto agregado', COMANDOS_EN_PEDIDO),
+  [STATES.ORDER_QUANTITY_INPUT]: estadoReservado('Reservado: ingresar cantidad', COMANDOS_EN_PEDIDO),
+  [STATES.ORDER_SELECTING_NUMBER]: estadoReservado('Reservado: seleccionar por número', COMANDOS_EN_PEDIDO)
+};
+
+// Registro final con los valores por defecto aplicados
+export const REGISTRO_ESTADOS = Object.fromEntries(
+  Object.entries(DEFINICIONES).map(([estado, definicion]) => [
+    estado,
+    { ...DEFINICION_POR_DEFECTO, ...definicion, estado }
+  ])
+);
+
+// Verificar que todos los estados de STATES estén declarados
+for (const estado of Object.values(STATES)) {
+  if (!REGISTRO_ESTADOS[estado]) {
+    console.warn(`⚠️ Estado sin declarar en la máquina de estados: ${estado}`);
+  }
+}
+
+/**
+ * Obtener la definición de un estado
+ * Un estado desconocido se trata como INITIAL (reinicia la bienvenida)
+ *
+ * @param {string} estado - Estado actual del usuario
+ * @returns {Object} - Definición del estado
+ */
+export function getDefinicionEstado(estado) {
+  const definicion = REGISTRO_ESTADOS[estado];
+  if (!definicion) {
+    console.warn(`⚠️ Estado desconocido "${estado}" - se trata como ${STATES.INITIAL}`);
+    return REGISTRO_ESTADOS[STATES.INITIAL];
+  }
+  return definicion;
+}
+
+/**
+ * Buscar el comando global que coincide con el texto, según el estado
+ *
+ * @param {string} estado - Estado actual del usuario
+ * @param {string} texto - Mensaje en minúsculas y sin espacios extremos
+ * @returns {{ nombre: string, ejecutar: Function, requiereBackend: boolean }|null} - Comando encontrado
+ */
+export function buscarComandoGlobal(estado, texto) {
+  const { comandosGlobales } = getDefinicionEstado(estado);
+
+  for (const [nombre, comando] of Object.entries(COMANDOS_GLOBALES)) {
+    if (comandosGlobales.includes(nombre) && comando.coincide(texto)) {
+      return { nombre, ejecutar: comando.ejecutar, requiereBackend: Boolean(comando.requiereBackend) };
+    }
+  }
+  return null;
+}
+
+// ============================================
+// VALIDACIÓN DE TRANSICIONES
+// ============================================
+
+/**
+ * Obtener todos los estados a los que se puede pasar desde un estado:
+ * transiciones del handler, comandos globales, detecciones de IA
+ * (saludo, ayuda, búsqueda rápida), ediciones del carrito y transiciones
+ * universales
+ *
+ * @param {string} estado - Estado de origen
+ * @returns {Set<string>} - Estados de destino permitidos
+ */
+export function getTransicionesPermitidas(estado) {
+  const definicion = REGISTRO_ESTADOS[estado] || REGISTRO_ESTADOS[STATES.INITIAL];
+  const permitidas = new Set([...definicion.transiciones, ...TRANSICIONES_UNIVERSALES]);
+
+  for (const nombre of definicion.comandosGlobales) {
+    COMANDOS_GLOBALES[nombre].destinos.forEach(destino => permitidas.add(destino));
+  }
+
+  if (definicion.busquedaRapida && definicion.analizarConIA) {
+    DESTINOS_BUSQUEDA_RAPIDA.forEach(destino => permitidas.add(destino));
+  }
+
+  if (definicion.edicionCarrito) {
+    DESTINOS_EDICION_CARRITO.forEach(destino => permitidas.add(destino));
+  }
+
+  return permitidas;
+}
+
+/**
+ * Verificar si una transición está permitida
+ * Quedarse en el mismo estado siempre está permitido
+ *
+ * @param {string} desde - Estado actual
+ * @param {string} hacia - Estado nuevo
+ * @returns {boolean} - true si la transición es válida
+ */
+export function esTransicionValida(desde, hacia) {
+  if (!REGISTRO_ESTADOS[hacia]) return false;
+  if (desde === hacia) return true;
+  return getTransicionesPermitidas(desde).has(hacia);
+}
+
+// Validar cada cambio de estado (volver "atrás" siempre está permitido)
+onStateChange((telefono, desde, hacia, { retroceso }) => {
+  if (retroceso || esTransicionValida(desde, hacia)) return;
+
+  if (STATE_MACHINE_CONFIG.STRICT) {
+    throw new InvalidTransitionError(desde, hacia);
+  }
+  console.warn(`⚠️ Transición no declarada para ${telefono}: ${desde} → ${hacia}`);
+});
+
+// ============================================
+// NAVEGACIÓN ("atrás")
+// ============================================
+
+const MENSAJE_SIN_PASO_ANTERIOR = `↩️ No hay un paso anterior al que volver.
+
+Escribe *"menú"* para ver las opciones disponibles.`;
+
+/**
+ * Volver al paso anterior de la conversación
+ * Saca estados de la pila de navegación hasta encontrar uno con reprompt,
+ * vuelve a ese estado y repite su pregunta. Los datos ya ingresados (carrito,
+ * datos de envío, búsqueda) se conservan.
+ *
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function volverAtras(from) {
+  const estadoActual = getState(from);
+
+  let anterior = popPreviousState(from);
+  while (anterior && !REGISTRO_ESTADOS[anterior]?.reprompt) {
+    anterior = popPreviousState(from);
+  }
+
+  if (!anterior) {
+    console.log(`↩️ ${from} pidió volver atrás sin pasos anteriores (estado: ${estadoActual})`);
+    await sendMessage(from, MENSAJE_SIN_PASO_ANTERIOR);
+    return;
+  }
+
+  console.log(`↩️ ${from} vuelve atrás: ${estadoActual} → ${anterior}`);
+  setState(from, anterior, { retroceso: true });
+  await REGISTRO_ESTADOS[anterior].reprompt(from);
+}
+
+// ============================================
+// EXPORTACIÓN COMO DIAGRAMA
+// ============================================
+
+// Nodo que representa "desde cualquier estado" en los diagramas
+const NODO_GLOBAL = 'cualquier_estado';
+
+/**
+ * Armar la lista de aristas del diagrama
+ * Las transiciones universales y los comandos globales se dibujan desde un
+ * único nodo "cualquier estado" para no repetirlas en cada estado
+ *
+ * @returns {Array<{desde: string, hacia: string, etiqueta: string|null}>}
+ */
+function construirAristas() {
+  const aristas = [];
+  const estados = Object.keys(REGISTRO_ESTADOS);
+
+  for (const definicion of Object.values(REGISTRO_ESTADOS)) {
+    for (const destino of definicion.transiciones) {
+      aristas.push({ desde: definicion.estado, hacia: destino, etiqueta: null });
+    }
+  }
+
+  for (const destino of TRANSICIONES_UNIVERSALES) {
+    aristas.push({ desde: NODO_GLOBAL, hacia: destino, etiqueta: 'reinicio' });
+  }
+
+  for (const [nombre, comando] of Object.entries(COMANDOS_GLOBALES)) {
+    const excluidos = estados.filter(estado => !REGISTRO_ESTADOS[estado].comandosGlobales.includes(nombre));
+    const etiqueta = excluidos.length > 0 ? `${nombre} (salvo en ${excluidos.length} estados)` : nombre;
+    for (const destino of comando.destinos) {
+      aristas.push({ desde: NODO_GLOBAL, hacia: destino, etiqueta });
+    }
+  }
+
+  return aristas;
+}
+
+/**
+ * Exportar la máquina de estados como diagrama
+ *
+ * @param {string} [formato='mermaid'] - 'mermaid' (stateDiagram-v2) o 'dot' (Graphviz)
+ * @returns {string} - Diagrama en el formato pedido
+ */
+export function exportarDiagrama(formato = 'mermaid') {
+  const definiciones = Object.values(REGISTRO_ESTADOS);
+  const aristas = construirAristas();
+
+  if (formato === 'dot') {
+    const lineas = ['digraph conversacion {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+    lineas.push(`  ${NODO_GLOBAL} [label="Cualquier estado", style=dashed];`);
+    for (const definicion of definiciones) {
+      const ia = definicion.analizarConIA ? '\\n(IA)' : '';
+      lineas.push(`  ${definicion.estado} [label="${definicion.estado}\\n${definicion.descripcion}${ia}"];`);
+    }
+    for (const { desde, hacia, etiqueta } of aristas) {
+      const atributos = etiqueta ? ` [label="${etiqueta}", style=dashed]` : '';
+      lineas.push(`  ${desde} -> ${hacia}${atributos};`);
+    }
+    lineas.push('}');
+    return lineas.join('\n');
+  }
+
+  if (formato !== 'mermaid') {
+    throw new Error(`Formato de diagrama no soportado: ${formato}`);
+  }
+
+  const lineas = ['stateDiagram-v2', `  [*] --> ${STATES.INITIAL}`];
+  lineas.push(`  state "Cualquier estado" as ${NODO_GLOBAL}`);
+  for (const definicion of definiciones) {
+    const ia = definicion.analizarConIA ? ' (IA)' : '';
+    lineas.push(`  ${definicion.estado} : ${definicion.descripcion}${ia}`);
+  }
+  for (const { desde, hacia, etiqueta } of aristas) {
+    lineas.push(`  ${desde} --> ${hacia}${etiqueta ? ` : ${etiqueta}` : ''}`);
+  }
+  return lineas.join('\n');
+}
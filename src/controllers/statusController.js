@@ -0,0 +1,46 @@
+/**
+ * Controlador de estados de mensajes salientes
+ *
+ * Meta informa en el webhook (`value.statuses`) el estado de cada mensaje que
+ * envía el bot: sent, delivered, read o failed. Estos eventos no son mensajes
+ * del cliente, por lo que se procesan aparte del flujo de conversación.
+ */
+
+import { messageStatusService } from '../services/messageStatusService.js';
+import { CONTEXTO_NOTIFICACION_PEDIDO, manejarNotificacionFallida } from '../services/orderNotificationService.js';
+
+// Estados que informa Meta
+export const ESTADOS_MENSAJE = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+/**
+ * Procesa una actualización de estado de un mensaje enviado
+ *
+ * @param {Object} status - Objeto `value.statuses[i]` del webhook
+ * @param {Object} [trace] - Datos del lote del webhook { batchId, entryId, indice }
+ */
+export async function procesarEstadoMensaje(status, trace = {}) {
+  const { id, status: estado, recipient_id: telefono } = status;
+  const lote = trace.batchId ? ` [lote ${trace.batchId.slice(0, 8)}]` : '';
+
+  const record = messageStatusService.recordStatus(status);
+
+  if (estado === ESTADOS_MENSAJE.FAILED) {
+    const errores = (status.errors || [])
+      .map(error => `${error.code}: ${error.title || error.message}`)
+      .join(', ');
+    console.error(`❌ Mensaje ${id} a ${telefono} falló${lote}: ${errores || 'sin detalle'}`);
+
+    // Las notificaciones de pedidos se reintentan o generan una alerta
+    if (record.contexto?.tipo === CONTEXTO_NOTIFICACION_PEDIDO) {
+      await manejarNotificacionFallida(record);
+    }
+    return;
+  }
+
+  console.log(`📬 Estado de mensaje ${id} a ${telefono}: ${estado}${lote}`);
+}
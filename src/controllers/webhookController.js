@@ -1,5 +1,13 @@
-import { META_CONFIG, enviarMensaje } from '../config/meta.js';
-import { procesarMensaje } from './flowController.js';
+import crypto from 'crypto';
+import { META_CONFIG } from '../config/meta.js';
+import { sendMessage } from '../services/messageService.js';
+import { procesarMensajeEntrante } from './flowController.js';
+import { procesarEstadoMensaje } from './statusController.js';
+import { parseInboundMessage, describeInboundMessage } from '../utils/inboundMessage.js';
+import { verificarFirma } from '../utils/webhookSignature.js';
+import { messageDedupService } from '../services/messageDedupService.js';
+import { messageQueueService } from '../services/messageQueueService.js';
+import { customerWindowService } from '../services/customerWindowService.js';
 
 // 🔹 Verificación del webhook (GET)
 export const verificarWebhook = (req, res) => {
@@ -17,34 +25,119 @@ export const verificarWebhook = (req, res) => {
   return res.sendStatus(403);
 };
 
-// 🔹 Recepción de mensajes (POST)
-export const recibirMensaje = async (req, res) => {
-  const body = req.body;
+// 🔹 Validación de la firma X-Hub-Signature-256 (middleware para POST)
+export const validarFirmaWebhook = (req, res, next) => {
+  const signature = req.get("x-hub-signature-256");
+  const secrets = [META_CONFIG.APP_SECRET];
 
-  if (body.object) {
-    const entry = body.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const message = changes?.value?.messages?.[0];
+  // En modo de prueba también se aceptan payloads firmados con el secreto de prueba
+  if (META_CONFIG.WEBHOOK_TEST_MODE) {
+    secrets.push(META_CONFIG.WEBHOOK_TEST_SECRET);
+  }
 
-    if (message) {
-      const from = message.from; // número del cliente
-      const text = message.text?.body || "";
+  if (!secrets.some(Boolean)) {
+    console.error("❌ Webhook rechazado: APP_SECRET no está configurado");
+    return res.sendStatus(401);
+  }
 
-      console.log(`📩 Mensaje de ${from}: ${text}`);
+  if (!signature) {
+    console.warn(`❌ Webhook rechazado: petición sin firma desde ${req.ip}`);
+    return res.sendStatus(401);
+  }
 
-      try {
-        // Procesar mensaje usando el flujo de bienvenida
-        await procesarMensaje(from, text);
-      } catch (error) {
-        console.error("❌ Error procesando mensaje:", error);
-        // Fallback: enviar mensaje de error genérico
-        await enviarMensaje(from, "Lo siento, hubo un error procesando tu mensaje. Por favor intenta nuevamente.");
+  if (!verificarFirma(req.rawBody, signature, secrets)) {
+    console.warn(`❌ Webhook rechazado: firma inválida desde ${req.ip}`);
+    return res.sendStatus(401);
+  }
+
+  next();
+};
+
+/**
+ * Extrae todos los mensajes y estados de un payload del webhook
+ *
+ * Meta puede agrupar varios entries, changes y mensajes en una sola entrega.
+ * Cada evento conserva de qué entry y posición del lote proviene, y ambas
+ * listas se ordenan por timestamp (orden estable ante empates).
+ *
+ * @param {Object} body - Cuerpo del webhook
+ * @returns {{ mensajes: Array<Object>, estados: Array<Object> }}
+ */
+function extraerEventos(body) {
+  const mensajes = [];
+  const estados = [];
+  let indice = 0;
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+
+      for (const message of value.messages || []) {
+        mensajes.push({ evento: message, entryId: entry.id || null, indice: indice++ });
+      }
+
+      for (const status of value.statuses || []) {
+        estados.push({ evento: status, entryId: entry.id || null, indice: indice++ });
       }
     }
+  }
+
+  const porTimestamp = (a, b) =>
+    (parseInt(a.evento.timestamp) || 0) - (parseInt(b.evento.timestamp) || 0) || a.indice - b.indice;
+
+  return {
+    mensajes: mensajes.sort(porTimestamp),
+    estados: estados.sort(porTimestamp)
+  };
+}
+
+// 🔹 Recepción de mensajes (POST)
+// Se responde 200 de inmediato; los mensajes se procesan en la cola interna
+export const recibirMensaje = (req, res) => {
+  const body = req.body;
 
-    return res.sendStatus(200);
-  } else {
+  if (!body.object) {
     console.log("❌ Objeto de webhook no válido");
     return res.sendStatus(404);
   }
-};
\ No newline at end of file
+
+  const batchId = crypto.randomUUID();
+  const { mensajes, estados } = extraerEventos(body);
+
+  if (mensajes.length + estados.length > 1) {
+    console.log(`📦 Lote ${batchId.slice(0, 8)}: ${mensajes.length} mensaje(s), ${estados.length} estado(s)`);
+  }
+
+  for (const { evento: message, entryId, indice } of mensajes) {
+    // Meta reintenta entregas: un ID ya recibido se confirma sin reprocesar
+    if (!messageDedupService.registerMessage(message.id)) {
+      continue;
+    }
+
+    const inbound = parseInboundMessage(message);
+    const from = inbound.from; // número del cliente
+    inbound.trace = { batchId, entryId, indice };
+
+    // Cada mensaje del cliente abre (o renueva) la ventana de 24 horas
+    customerWindowService.registerInbound(from, inbound.timestamp);
+
+    console.log(`📩 Mensaje de ${from} (${inbound.type}) [lote ${batchId.slice(0, 8)} #${indice}]: ${describeInboundMessage(inbound)}`);
+
+    // Encolar: los mensajes de un mismo cliente se procesan en orden y de a uno
+    messageQueueService.enqueue(from, () => procesarMensajeEntrante(inbound), {
+      meta: { messageId: inbound.id, type: inbound.type, ...inbound.trace },
+      onFailure: async () => {
+        // Fallback: enviar mensaje de error genérico
+        await sendMessage(from, "Lo siento, hubo un error procesando tu mensaje. Por favor intenta nuevamente.");
+      }
+    });
+  }
+
+  for (const { evento: status, entryId, indice } of estados) {
+    procesarEstadoMensaje(status, { batchId, entryId, indice }).catch(error => {
+      console.error(`❌ Error procesando estado ${status.id}:`, error.message);
+    });
+  }
+
+  return res.sendStatus(200);
+};
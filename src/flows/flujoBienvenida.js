@@ -1,4 +1,5 @@
-import { sendMessage } from "../services/messageService.js";
+import { sendMessage, sendButtons } from "../services/messageService.js";
+import { BOTONES_MENU_PRINCIPAL } from "./menuFlow.js";
 import { validarTelefono, registrarCliente } from "../services/apiService.js";
 import {
   getState,
@@ -67,7 +68,7 @@ Por favor, selecciona una opción:
 
 Escribe el número de la opción que necesites. 💬`;
 
-        await sendMessage(from, mensajeRecurrente);
+        await sendButtons(from, textoSinInstruccion(mensajeRecurrente), BOTONES_MENU_PRINCIPAL, { fallbackText: mensajeRecurrente });
         setState(from, STATES.MENU);
         return;
       } else {
@@ -106,7 +107,7 @@ Por favor, selecciona una opción:
 
 Escribe el número de la opción que necesites. 💬`;
 
-    await sendMessage(from, mensajeRecurrente);
+    await sendButtons(from, textoSinInstruccion(mensajeRecurrente), BOTONES_MENU_PRINCIPAL, { fallbackText: mensajeRecurrente });
     setState(from, STATES.MENU);
     return;
   }
@@ -190,7 +191,7 @@ Por favor, selecciona una opción:
 
 Escribe el número de la opción que necesites. 💬`;
 
-          await sendMessage(from, mensajeRegistroCompleto);
+          await sendButtons(from, textoSinInstruccion(mensajeRegistroCompleto), BOTONES_MENU_PRINCIPAL, { fallbackText: mensajeRegistroCompleto });
           setState(from, STATES.MENU);
         } catch (error) {
           // Error al registrar en el backend
@@ -210,3 +211,18 @@ Por favor, intenta nuevamente o contacta con soporte.`);
     }
   }
 }
+
+/**
+ * Quita del mensaje de bienvenida la lista numerada y la instrucción de escribir
+ * el número, para usarlo como cuerpo de un mensaje con botones
+ *
+ * @param {string} mensaje - Mensaje de bienvenida con el menú en texto
+ * @returns {string} - Mensaje sin las opciones numeradas
+ */
+function textoSinInstruccion(mensaje) {
+  return mensaje
+    .split('\n')
+    .filter(linea => !/^\*\d\*\s-/.test(linea) && !linea.startsWith('Escribe el número'))
+    .join('\n')
+    .trim();
+}
@@ -1,9 +1,22 @@
-import { sendMessage } from "../services/messageService.js";
+import { sendMessage, sendButtons, sendList } from "../services/messageService.js";
 import { setState, STATES } from "../services/conversationStateService.js";
 import { iniciarPedido } from "./orderFlow.js";
 import { obtenerMisPedidos, validarTelefono } from "../services/apiService.js";
 import { getClienteId, setClienteId } from "../services/conversationStateService.js";
 
+// Botones del menú principal (el id es la opción que procesa manejarMenu)
+export const BOTONES_MENU_PRINCIPAL = [
+  { id: "1", title: "🛍️ Productos" },
+  { id: "2", title: "📦 Pedidos" },
+  { id: "3", title: "❓ Preguntas" }
+];
+
+// Botones del submenú de pedidos (el id es la opción que procesa manejarOpcionPedidos)
+const BOTONES_SUBMENU_PEDIDOS = [
+  { id: "1", title: "🛒 Crear pedido" },
+  { id: "2", title: "📦 Mis pedidos" }
+];
+
 export async function manejarMenu(from, opcion) {
   const opcionNum = parseInt(opcion.trim());
 
@@ -24,19 +37,21 @@ export async function manejarMenu(from, opcion) {
       break;
 
     default:
-      await sendMessage(from, `❌ Opción no válida. 
+      await sendButtons(from, "❌ Opción no válida.\n\nPor favor, selecciona una opción:", BOTONES_MENU_PRINCIPAL, {
+        fallbackText: `❌ Opción no válida. 
 
 Por favor, selecciona una opción válida:
 *1* - Consultas sobre productos
 *2* - Pedidos  
 *3* - Preguntas frecuentes
 
-Escribe solo el número (1, 2 o 3):`);
+Escribe solo el número (1, 2 o 3):`
+      });
       break;
   }
 }
 
-async function manejarConsultasProductos(from) {
+export async function manejarConsultasProductos(from) {
   const mensaje = `🛍️ *Consultas sobre Productos*
 
 ¡Perfecto! Estamos aquí para ayudarte con información sobre nuestros productos.
@@ -54,7 +69,7 @@ Escribe tu consulta o *"menu"* para volver al menú principal.`;
   await sendMessage(from, mensaje);
 }
 
-async function manejarSubmenuPedidos(from) {
+export async function manejarSubmenuPedidos(from) {
   const mensaje = `📦 *Sección de Pedidos*
 
 Selecciona una opción:
@@ -65,7 +80,9 @@ Selecciona una opción:
 Escribe el número de la opción (1 o 2).
 O escribe *"menu"* para volver al menú principal.`;
 
-  await sendMessage(from, mensaje);
+  await sendButtons(from, `📦 *Sección de Pedidos*
+
+Selecciona una opción o escribe *"menu"* para volver al menú principal.`, BOTONES_SUBMENU_PEDIDOS, { fallbackText: mensaje });
   setState(from, STATES.PEDIDOS);
 }
 
@@ -81,13 +98,15 @@ export async function manejarOpcionPedidos(from, opcion) {
     console.log(`📦 Usuario ${from} seleccionó Mis Pedidos`);
     await manejarMisPedidos(from);
   } else {
-    await sendMessage(from, `⚠️ Opción no válida.
+    await sendButtons(from, "⚠️ Opción no válida.\n\nPor favor, selecciona una opción:", BOTONES_SUBMENU_PEDIDOS, {
+      fallbackText: `⚠️ Opción no válida.
 
 Por favor, selecciona:
 *1* - Crear nuevo pedido
 *2* - Mis pedidos en curso
 
-Escribe el número (1 o 2):`);
+Escribe el número (1 o 2):`
+    });
   }
 }
 
@@ -176,7 +195,8 @@ Escribe *"crear pedido"* o selecciona la opción 1 del menú de pedidos.`);
 
     mensaje += `\nSi necesitas ayuda con algún pedido, contacta a soporte.`;
 
-    await sendMessage(from, mensaje);
+    // Con muchos pedidos el listado se envía por partes a pedido del cliente
+    await sendMessage(from, mensaje, { continuacion: true });
 
   } catch (error) {
     console.error(`❌ Error al obtener mis pedidos para ${from}:`, error);
@@ -184,7 +204,7 @@ Escribe *"crear pedido"* o selecciona la opción 1 del menú de pedidos.`);
   }
 }
 
-async function manejarPreguntasFrecuentes(from) {
+export async function manejarPreguntasFrecuentes(from) {
   const mensaje = `❓ *Preguntas Frecuentes*
 
 Selecciona el tema que te interesa:
@@ -200,7 +220,43 @@ Escribe el número de la pregunta que te interesa, o escribe tu propia consulta.
 
 También puedes escribir *"menu"* para volver al menú principal.`;
 
-  await sendMessage(from, mensaje);
+  await sendList(from, `❓ *Preguntas Frecuentes*
+
+Selecciona el tema que te interesa o escribe tu propia consulta.
+
+También puedes escribir *"menu"* para volver al menú principal.`, "Ver temas", [
+    {
+      title: "Temas",
+      rows: [
+        { id: "1", title: "🕒 Horarios", description: "Horarios de atención" },
+        { id: "2", title: "📍 Ubicación", description: "Ubicación y cómo llegar" },
+        { id: "3", title: "📦 Pedidos y entregas", description: "Pedidos y entregas a domicilio" },
+        { id: "4", title: "🚚 Despacho", description: "Empresas de despacho" },
+        { id: "5", title: "💳 Formas de pago" },
+        { id: "6", title: "📞 Soporte", description: "Contactar soporte" }
+      ]
+    }
+  ], { fallbackText: mensaje });
+}
+
+export async function manejarPreguntasFAQ(from, message) {
+  const messageText = message.toLowerCase().trim();
+
+  // Verificar si es un número del 1 al 6 para las preguntas específicas
+  const opcionNum = parseInt(messageText);
+  if (opcionNum >= 1 && opcionNum <= 6) {
+    await manejarFAQEspecifica(from, messageText);
+    return;
+  }
+
+  // Si no es un número válido, tratar como consulta general
+  const respuesta = `❓ Pregunta recibida: "${message}"
+
+Un representante revisará tu consulta y te responderá pronto.
+
+¿Algo más? Escribe *"menu"* para volver al menú principal.`;
+
+  await sendMessage(from, respuesta);
 }
 
 export async function manejarFAQEspecifica(from, opcion) {
@@ -300,6 +356,8 @@ Por favor, selecciona una opción:
 
 Escribe el número de la opción que necesites.`;
 
-  await sendMessage(from, mensaje);
+  await sendButtons(from, `📋 *Menú Principal*
+
+Por favor, selecciona una opción:`, BOTONES_MENU_PRINCIPAL, { fallbackText: mensaje });
   setState(from, STATES.MENU);
 }
\ No newline at end of file
@@ -6,18 +6,67 @@
  * 2. Manejar productos ambiguos (múltiples opciones)
  * 3. Seleccionar modalidad de envío (retiro o domicilio)
  * 4. Capturar datos de envío si es necesario
- * 5. Confirmar y crear el pedido en el backend
+ * 5. Revalidar precios y stock del carrito antes de confirmar
+ * 6. Confirmar y crear el pedido en el backend
  */
 
-import { sendMessage } from '../services/messageService.js';
-import { getState, setState, STATES, setOrderData, getOrderData, clearOrderData, getClienteId } from '../services/conversationStateService.js';
+import { sendMessage, sendButtons } from '../services/messageService.js';
+import {
+  getState,
+  setState,
+  STATES,
+  setOrderData,
+  getOrderData,
+  clearOrderData,
+  getClienteId,
+  setPendingPayment,
+  addPaymentReceipt
+} from '../services/conversationStateService.js';
 import { extractMultipleProductsWithQuantities } from '../services/mistralService.js';
-import { buscarProductos, crearPedidoCompleto } from '../services/apiService.js';
+import { catalogService } from '../services/catalogService.js';
 import { cartService } from '../services/cartService.js';
+import { orderIdempotencyService } from '../services/orderIdempotencyService.js';
+import { orderOutboxService } from '../services/orderOutboxService.js';
+import { WhatsAppError, OrderTimeoutError, BackendUnavailableError } from '../utils/errors.js';
+import { buscarAproximado } from '../utils/fuzzySearch.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Botones reutilizados en el flujo (el id es lo que procesa cada paso)
+const BOTONES_AGREGAR_MAS = [
+  { id: '1', title: '➕ Agregar más' },
+  { id: '2', title: '✅ Finalizar' }
+];
+
+const BOTONES_MODALIDAD_ENVIO = [
+  { id: '1', title: '🏪 Retiro en tienda' },
+  { id: '2', title: '📦 Envío a domicilio' }
+];
+
+const BOTONES_COURIER = [
+  { id: '1', title: 'Starken' },
+  { id: '2', title: 'Chevalier' },
+  { id: '3', title: 'Varmontt' }
+];
+
+// Nombre para mostrar de cada courier guardado en orderData
+const NOMBRES_COURIER = { starken: 'Starken', chevalier: 'Chevalier', varmontt: 'Varmontt' };
+
+const BOTONES_CONFIRMACION = [
+  { id: 'confirmar', title: '✅ Confirmar' },
+  { id: 'cancelar', title: '❌ Cancelar' }
+];
+
+// Total mínimo para envío a domicilio
+const MONTO_MINIMO_DOMICILIO = 50000;
+
+const BOTONES_CAMBIOS_CARRITO = [
+  { id: 'aceptar', title: '✅ Aceptar' },
+  { id: 'modificar', title: '✏️ Modificar' },
+  { id: 'cancelar', title: '❌ Cancelar' }
+];
+
 /**
  * Inicia el flujo de pedidos
  * @param {string} from - Número de teléfono del usuario
@@ -62,6 +111,25 @@ O escribe *"cancelar"* para volver al menú principal.`;
   }
 }
 
+/**
+ * Vuelve a pedir la lista de productos sin vaciar el carrito (al volver "atrás")
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function solicitarListaProductos(from) {
+  const resumenCarrito = cartService.hasItems(from)
+    ? `${cartService.getFormattedSummary(from)}
+
+━━━━━━━━━━━━━━━━━━━━
+
+`
+    : '';
+
+  await sendMessage(from, `${resumenCarrito}📝 *Escribe la lista de productos que deseas agregar:*
+
+O escribe *"cancelar"* para volver al menú principal.`);
+  setState(from, STATES.ORDER_REQUESTING_PRODUCTS);
+}
+
 /**
  * Procesa la lista de productos enviada por el usuario
  * @param {string} from - Número de teléfono del usuario
@@ -132,7 +200,8 @@ Escribe tu lista nuevamente:`);
     for (const prodExtraido of productosExtraidos) {
       console.log(`🔍 Buscando: ${prodExtraido.nombre} (cantidad: ${prodExtraido.cantidad})`);
 
-      const resultados = await buscarProductos(prodExtraido.nombre, 3);
+      // Búsqueda en el catálogo local: el stock se confirma con el backend antes de confirmar
+      const resultados = await catalogService.buscarProductos(prodExtraido.nombre, 3);
 
       if (resultados.length === 0) {
         // No encontrado
@@ -425,7 +494,7 @@ function parsearSelecciones(mensaje) {
  * Pregunta si quiere agregar más productos
  * @param {string} from - Número de teléfono del usuario
  */
-async function preguntarAgregarMas(from) {
+export async function preguntarAgregarMas(from) {
   // Mostrar resumen del carrito actual
   const resumenCarrito = cartService.getFormattedSummary(from);
 
@@ -440,7 +509,14 @@ async function preguntarAgregarMas(from) {
 
 Escribe el número de tu opción:`;
 
-  await sendMessage(from, mensaje);
+  await sendButtons(from, `${resumenCarrito}
+
+━━━━━━━━━━━━━━━━━━━━
+
+¿Deseas hacer algo más?`, BOTONES_AGREGAR_MAS, {
+    fallbackText: mensaje,
+    prompt: '¿Deseas hacer algo más?'
+  });
   setState(from, STATES.ORDER_ADDING_MORE);
 }
 
@@ -468,14 +544,16 @@ O escribe *"finalizar"* si ya no quieres agregar más.`);
 
     } else {
       // No entendió - volver a preguntar
-      await sendMessage(from, `⚠️ No entendí tu respuesta.
+      await sendButtons(from, '⚠️ No entendí tu respuesta.\n\nPor favor, selecciona una opción:', BOTONES_AGREGAR_MAS, {
+        fallbackText: `⚠️ No entendí tu respuesta.
 
 Por favor, selecciona una opción:
 
 *1* - Agregar más productos
 *2* - Finalizar y elegir modalidad de envío
 
-Escribe el número:`);
+Escribe el número:`
+      });
     }
 
   } catch (error) {
@@ -484,6 +562,155 @@ Escribe el número:`);
   }
 }
 
+// ============================================
+// EDICIÓN DEL CARRITO ("quita las nueces", "cambia las almendras a 5")
+// ============================================
+
+/**
+ * Busca la línea del carrito a la que se refiere el cliente
+ * Primero compara el texto con los productos del carrito; si no coincide
+ * ("los frutos secos de almendra"), extrae el nombre del producto igual que
+ * al agregar productos y vuelve a comparar.
+ *
+ * @param {Array<Object>} carrito - Items del carrito
+ * @param {string} texto - Texto del producto escrito por el cliente
+ * @returns {Promise<{ item: Object|null, opciones: Array<Object> }>} - Línea encontrada,
+ *   o varias opciones si el texto coincide igual de bien con más de una
+ */
+async function resolverLineaCarrito(carrito, texto) {
+  let coincidencias = buscarAproximado(texto, carrito);
+
+  if (coincidencias.length === 0) {
+    const extraidos = await extractMultipleProductsWithQuantities(texto);
+    for (const { nombre } of extraidos) {
+      coincidencias = buscarAproximado(nombre, carrito);
+      if (coincidencias.length > 0) break;
+    }
+  }
+
+  if (coincidencias.length === 0) {
+    return { item: null, opciones: [] };
+  }
+
+  const empatadas = coincidencias.filter(c => c.puntaje === coincidencias[0].puntaje);
+  if (empatadas.length > 1) {
+    return { item: null, opciones: empatadas.map(c => c.elemento) };
+  }
+
+  return { item: coincidencias[0].elemento, opciones: [] };
+}
+
+/**
+ * Aplica una edición del carrito detectada en el flujo de pedidos
+ * (ver utils/cartEditDetector.js) y muestra el carrito actualizado.
+ *
+ * Después de editar se vuelve a ORDER_ADDING_MORE, aunque el cliente ya
+ * estuviera en los datos de envío: la modalidad de envío depende del total.
+ * Si el carrito queda vacío se vuelve a pedir la lista de productos.
+ *
+ * Un cambio de cantidad que no corresponde a ninguna línea del carrito no
+ * es una edición ("solo 2 kilos de almendras" sin almendras en el carrito
+ * es un pedido): no se responde y el mensaje sigue al handler del estado.
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Object} edicion - Resultado de cartEditDetector.detectEdit
+ * @returns {Promise<boolean>} - true si el mensaje se trató como edición
+ */
+export async function procesarEdicionCarrito(from, edicion) {
+  try {
+    if (!cartService.hasItems(from)) {
+      return false;
+    }
+
+    if (edicion.accion === 'vaciar') {
+      console.log(`✏️ Edición de carrito de ${from}: vaciar`);
+      cartService.clearCart(from);
+      await sendMessage(from, '🧹 *Carrito vaciado*\n\nQuitamos todos los productos de tu pedido.');
+      await solicitarListaProductos(from);
+      return true;
+    }
+
+    const pendientes = edicion.accion === 'quitar' ? edicion.productos : edicion.cambios;
+
+    const lineas = [];
+    for (const { texto, cantidad } of pendientes) {
+      lineas.push({ texto, cantidad, ...await resolverLineaCarrito(cartService.getCart(from), texto) });
+    }
+
+    if (edicion.accion === 'cambiar' && lineas.every(({ item, opciones }) => !item && opciones.length === 0)) {
+      console.log(`ℹ️ Ningún producto de "${pendientes.map(p => p.texto).join(', ')}" está en el carrito de ${from}, no es una edición`);
+      return false;
+    }
+
+    console.log(`✏️ Edición de carrito de ${from}: ${edicion.accion}`);
+
+    const resultados = lineas.map(({ texto, cantidad, item, opciones }) => {
+      if (opciones.length > 0) {
+        const nombres = opciones.map(o => `*${o.nombre}*`).join(', ');
+        return `⚠️ "${texto}" coincide con ${nombres}. Escribe el nombre completo.`;
+      }
+      if (!item) {
+        return `⚠️ No encontré "${texto}" en tu carrito.`;
+      }
+      if (edicion.accion === 'cambiar') {
+        return cartService.updateQuantity(from, item.id_producto, cantidad).message;
+      }
+      // Quitar: sin cantidad (o con toda la cantidad) se quita la línea; si no, se descuentan las unidades
+      if (cantidad === null || cantidad >= item.cantidad) {
+        return cartService.removeFromCart(from, item.id_producto).message;
+      }
+      return cartService.updateQuantity(from, item.id_producto, item.cantidad - cantidad).message;
+    });
+
+    await sendMessage(from, resultados.join('\n'));
+
+    if (!cartService.hasItems(from)) {
+      await sendMessage(from, '🛒 Tu carrito quedó vacío.');
+      await solicitarListaProductos(from);
+      return true;
+    }
+
+    await preguntarAgregarMas(from);
+    return true;
+
+  } catch (error) {
+    console.error('❌ Error en procesarEdicionCarrito:', error.message);
+    await sendMessage(from, '❌ Hubo un error al modificar tu carrito. Por favor, intenta nuevamente.');
+    return true;
+  }
+}
+
+/**
+ * Verifica que el carrito alcance el monto mínimo para envío a domicilio
+ * Si no lo alcanza, se avisa al cliente y se vuelve a ORDER_ADDING_MORE para
+ * que agregue productos o elija retiro en tienda
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @returns {Promise<boolean>} - true si el total alcanza el mínimo
+ */
+async function verificarMontoMinimoDomicilio(from) {
+  const totales = cartService.getCartTotals(from);
+  if (totales.total >= MONTO_MINIMO_DOMICILIO) {
+    return true;
+  }
+
+  await sendMessage(from, `⚠️ *Monto mínimo no alcanzado*
+
+Para envíos a domicilio, el pedido debe ser mayor a $${MONTO_MINIMO_DOMICILIO.toLocaleString('es-CL')}.
+
+Tu pedido actual: $${totales.total.toLocaleString('es-CL')}
+Falta: $${(MONTO_MINIMO_DOMICILIO - totales.total).toLocaleString('es-CL')}
+
+¿Deseas agregar más productos o cambiar a retiro en tienda?
+
+*1* - Agregar más productos
+*2* - Cambiar a retiro en tienda
+*3* - Cancelar pedido`);
+
+  setState(from, STATES.ORDER_ADDING_MORE);
+  return false;
+}
+
 /**
  * Solicita la modalidad de envío
  * @param {string} from - Número de teléfono del usuario
@@ -518,7 +745,21 @@ export async function solicitarModalidadEnvio(from) {
 
 Escribe el número de tu opción (1 o 2):`;
 
-    await sendMessage(from, mensaje);
+    await sendButtons(from, `${resumenCarrito}
+
+━━━━━━━━━━━━━━━━━━━━
+
+🚚 *¿Cómo quieres recibir tu pedido?*
+
+🏪 *Retiro en tienda*
+_Pasaje Rosas 842 Local 5, Recoleta_
+_Horario: Lun-Vie 7:30-16:30, Sáb 7:30-14:00_
+
+📦 *Envío a domicilio*
+_Despachos sobre $50.000, solo a Regiones_`, BOTONES_MODALIDAD_ENVIO, {
+      fallbackText: mensaje,
+      prompt: '🚚 *¿Cómo quieres recibir tu pedido?*'
+    });
     setState(from, STATES.ORDER_DELIVERY_METHOD);
 
   } catch (error) {
@@ -554,56 +795,36 @@ Retirarás tu pedido en:
 
 Te notificaremos cuando tu pedido esté listo para retirar.`);
 
-      // Ir directo a confirmación final
-      await solicitarConfirmacionFinal(from);
+      // Ir directo a confirmación final (revalidando el carrito)
+      await revalidarCarrito(from);
 
     } else if (mensajeLower === '2' || mensajeLower.includes('domicilio') || mensajeLower.includes('envio') || mensajeLower.includes('envío')) {
       // Envío a domicilio
       setOrderData(from, { modalidad: 'domicilio' });
 
-      const totales = cartService.getCartTotals(from);
-
       // Verificar monto mínimo para envío
-      if (totales.total < 50000) {
-        await sendMessage(from, `⚠️ *Monto mínimo no alcanzado*
-
-Para envíos a domicilio, el pedido debe ser mayor a $50.000.
-
-Tu pedido actual: $${totales.total.toLocaleString('es-CL')}
-Falta: $${(50000 - totales.total).toLocaleString('es-CL')}
-
-¿Deseas agregar más productos o cambiar a retiro en tienda?
-
-*1* - Agregar más productos
-*2* - Cambiar a retiro en tienda
-*3* - Cancelar pedido`);
-
-        setState(from, STATES.ORDER_ADDING_MORE);
+      if (!(await verificarMontoMinimoDomicilio(from))) {
         return;
       }
 
-      await sendMessage(from, `✅ *Envío a domicilio seleccionado*
+      await solicitarDireccion(from, `✅ *Envío a domicilio seleccionado*
 
 📦 Despachos solo a Regiones
 ⏰ Horario de despacho: 9:00 AM - 3:00 PM
-🚚 Tiempo estimado: 1-5 días hábiles
-
-Por favor, proporciona tu *dirección de envío completa*:
-
-_Ejemplo: Avenida Principal 123, Departamento 4B_`);
-
-      setState(from, STATES.ORDER_DELIVERY_ADDRESS);
+🚚 Tiempo estimado: 1-5 días hábiles`);
 
     } else {
       // No entendió
-      await sendMessage(from, `⚠️ Opción no válida.
+      await sendButtons(from, '⚠️ Opción no válida.\n\nPor favor, selecciona la modalidad de entrega:', BOTONES_MODALIDAD_ENVIO, {
+        fallbackText: `⚠️ Opción no válida.
 
 Por favor, selecciona:
 
 *1* - Retiro en tienda
 *2* - Envío a domicilio
 
-Escribe el número (1 o 2):`);
+Escribe el número (1 o 2):`
+      });
     }
 
   } catch (error) {
@@ -612,6 +833,33 @@ Escribe el número (1 o 2):`);
   }
 }
 
+/**
+ * Encabezado de un paso al que se vuelve con "atrás", con el dato ya ingresado
+ * @param {string} etiqueta - Nombre del dato (ej: "Ciudad")
+ * @param {string|null} valorActual - Valor guardado en el pedido
+ * @returns {string}
+ */
+function encabezadoRetroceso(etiqueta, valorActual) {
+  return valorActual
+    ? `↩️ *Volvamos un paso*\n\n${etiqueta} actual: *${valorActual}*`
+    : '↩️ *Volvamos un paso*';
+}
+
+/**
+ * Solicita la dirección de envío
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} [encabezado] - Texto previo a la solicitud
+ */
+export async function solicitarDireccion(from, encabezado = encabezadoRetroceso('Dirección', getOrderData(from)?.direccion)) {
+  await sendMessage(from, `${encabezado}
+
+Por favor, proporciona tu *dirección de envío completa*:
+
+_Ejemplo: Avenida Principal 123, Departamento 4B_`);
+
+  setState(from, STATES.ORDER_DELIVERY_ADDRESS);
+}
+
 /**
  * Procesa la dirección de envío
  * @param {string} from - Número de teléfono del usuario
@@ -630,22 +878,67 @@ _Ejemplo: Avenida Principal 123, Departamento 4B_`);
       return;
     }
 
-    setOrderData(from, { direccion_envio: direccion, direccion });
+    await guardarDireccion(from, direccion, { ubicacion: null });
 
-    await sendMessage(from, `✅ Dirección guardada: ${direccion}
+  } catch (error) {
+    console.error('❌ Error en procesarDireccion:', error.message);
+    await sendMessage(from, '❌ Hubo un error. Por favor, intenta nuevamente.');
+  }
+}
 
-Ahora, ingresa tu *ciudad*:
+/**
+ * Procesa una ubicación compartida como dirección de envío
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Object} location - Ubicación recibida ({ latitude, longitude, name, address })
+ */
+export async function procesarUbicacionEnvio(from, location) {
+  try {
+    console.log(`📍 Ubicación recibida como dirección de envío para ${from}:`, location);
 
-_Ejemplo: Santiago, Valparaíso, Concepción_`);
+    // Usar la dirección que entrega WhatsApp; si no viene, dejar las coordenadas
+    const direccion = [location.name, location.address].filter(Boolean).join(', ') ||
+      `Ubicación compartida (${location.latitude}, ${location.longitude})`;
 
-    setState(from, STATES.ORDER_DELIVERY_CITY);
+    await guardarDireccion(from, direccion, {
+      ubicacion: {
+        latitude: location.latitude,
+        longitude: location.longitude
+      }
+    });
 
   } catch (error) {
-    console.error('❌ Error en procesarDireccion:', error.message);
-    await sendMessage(from, '❌ Hubo un error. Por favor, intenta nuevamente.');
+    console.error('❌ Error en procesarUbicacionEnvio:', error.message);
+    await sendMessage(from, '❌ Hubo un error al guardar tu ubicación. Por favor, escribe tu dirección.');
   }
 }
 
+/**
+ * Guarda la dirección de envío y solicita la ciudad
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} direccion - Dirección a guardar
+ * @param {Object} extra - Datos adicionales del pedido (ej: coordenadas)
+ */
+async function guardarDireccion(from, direccion, extra = {}) {
+  setOrderData(from, { direccion_envio: direccion, direccion, ...extra });
+
+  await solicitarCiudad(from, `✅ Dirección guardada: ${direccion}`);
+}
+
+/**
+ * Solicita la ciudad de envío
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} [encabezado] - Texto previo a la solicitud
+ */
+export async function solicitarCiudad(from, encabezado = encabezadoRetroceso('Ciudad', getOrderData(from)?.ciudad)) {
+  await sendMessage(from, `${encabezado}
+
+Ahora, ingresa tu *ciudad*:
+
+_Ejemplo: Santiago, Valparaíso, Concepción_`);
+
+  setState(from, STATES.ORDER_DELIVERY_CITY);
+}
+
 /**
  * Procesa la ciudad de envío
  * @param {string} from - Número de teléfono del usuario
@@ -664,13 +957,7 @@ Por favor, ingresa tu ciudad nuevamente:`);
 
     setOrderData(from, { ciudad });
 
-    await sendMessage(from, `✅ Ciudad guardada: ${ciudad}
-
-Ahora, ingresa tu *comuna*:
-
-_Ejemplo: Las Condes, Providencia, Ñuñoa_`);
-
-    setState(from, STATES.ORDER_DELIVERY_COMUNA);
+    await solicitarComuna(from, `✅ Ciudad guardada: ${ciudad}`);
 
   } catch (error) {
     console.error('❌ Error en procesarCiudad:', error.message);
@@ -678,6 +965,21 @@ _Ejemplo: Las Condes, Providencia, Ñuñoa_`);
   }
 }
 
+/**
+ * Solicita la comuna de envío
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} [encabezado] - Texto previo a la solicitud
+ */
+export async function solicitarComuna(from, encabezado = encabezadoRetroceso('Comuna', getOrderData(from)?.comuna)) {
+  await sendMessage(from, `${encabezado}
+
+Ahora, ingresa tu *comuna*:
+
+_Ejemplo: Las Condes, Providencia, Ñuñoa_`);
+
+  setState(from, STATES.ORDER_DELIVERY_COMUNA);
+}
+
 /**
  * Procesa la comuna de envío
  * @param {string} from - Número de teléfono del usuario
@@ -696,7 +998,21 @@ Por favor, ingresa tu comuna nuevamente:`);
 
     setOrderData(from, { comuna });
 
-    const mensajeCourier = `✅ Comuna guardada: ${comuna}
+    await solicitarCourier(from, `✅ Comuna guardada: ${comuna}`);
+
+  } catch (error) {
+    console.error('❌ Error en procesarComuna:', error.message);
+    await sendMessage(from, '❌ Hubo un error. Por favor, intenta nuevamente.');
+  }
+}
+
+/**
+ * Solicita la empresa de despacho
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} [encabezado] - Texto previo a la solicitud
+ */
+export async function solicitarCourier(from, encabezado = encabezadoRetroceso('Empresa de despacho', NOMBRES_COURIER[getOrderData(from)?.courier])) {
+  const mensajeCourier = `${encabezado}
 
 🚚 *Selecciona la empresa de despacho de tu preferencia:*
 
@@ -708,13 +1024,12 @@ Todas tienen cobertura nacional con tiempos de entrega de 1-5 días hábiles.
 
 Escribe el número de tu opción (1, 2 o 3):`;
 
-    await sendMessage(from, mensajeCourier);
-    setState(from, STATES.ORDER_COURIER_SELECTION);
+  await sendButtons(from, `${encabezado}
 
-  } catch (error) {
-    console.error('❌ Error en procesarComuna:', error.message);
-    await sendMessage(from, '❌ Hubo un error. Por favor, intenta nuevamente.');
-  }
+🚚 *Selecciona la empresa de despacho de tu preferencia:*
+
+Todas tienen cobertura nacional con tiempos de entrega de 1-5 días hábiles.`, BOTONES_COURIER, { fallbackText: mensajeCourier });
+  setState(from, STATES.ORDER_COURIER_SELECTION);
 }
 
 /**
@@ -738,7 +1053,8 @@ export async function procesarCourier(from, mensaje) {
       courier = 'varmontt';
       courierDisplay = 'Varmontt';
     } else {
-      await sendMessage(from, `⚠️ Opción no válida.
+      await sendButtons(from, '⚠️ Opción no válida.\n\nPor favor, selecciona una empresa de despacho:', BOTONES_COURIER, {
+        fallbackText: `⚠️ Opción no válida.
 
 Por favor, selecciona una empresa de despacho:
 
@@ -746,7 +1062,8 @@ Por favor, selecciona una empresa de despacho:
 *2* Chevalier
 *3* Varmontt
 
-Escribe el número (1, 2 o 3):`);
+Escribe el número (1, 2 o 3):`
+      });
       return;
     }
 
@@ -756,8 +1073,8 @@ Escribe el número (1, 2 o 3):`);
 
 Perfecto, ya tenemos todos los datos de envío.`);
 
-    // Ir a confirmación final del pedido
-    await solicitarConfirmacionFinal(from);
+    // Ir a confirmación final del pedido (revalidando el carrito)
+    await revalidarCarrito(from);
 
   } catch (error) {
     console.error('❌ Error en procesarCourier:', error.message);
@@ -765,6 +1082,150 @@ Perfecto, ya tenemos todos los datos de envío.`);
   }
 }
 
+// ============================================
+// REVALIDACIÓN DEL CARRITO
+// ============================================
+
+/**
+ * Describe un cambio detectado al revalidar el carrito
+ * @param {Object} cambio - { tipo, nombre, antes, despues } (ver cartService.revalidateCart)
+ * @returns {string}
+ */
+function describirCambioCarrito({ tipo, nombre, antes, despues }) {
+  if (tipo === 'agotado') {
+    return `❌ *${nombre}*: sin stock, lo quitamos del carrito`;
+  }
+  if (tipo === 'stock') {
+    return `📉 *${nombre}*: solo quedan ${despues}, ajustamos la cantidad (antes ${antes})`;
+  }
+  return `💲 *${nombre}*: el precio cambió de $${antes.toLocaleString('es-CL')} a $${despues.toLocaleString('es-CL')}`;
+}
+
+/**
+ * Revalida precios y stock del carrito contra el backend antes de la confirmación final
+ *
+ * El carrito guarda los precios y el stock del momento de la búsqueda. Si algo
+ * cambió, se ajusta el carrito y el cliente debe aceptar los cambios antes de
+ * ver el resumen final. Si el backend no responde se sigue con el carrito
+ * guardado (el backend vuelve a validar el stock al crear el pedido).
+ *
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function revalidarCarrito(from) {
+  let cambios;
+  try {
+    ({ cambios } = await cartService.revalidateCart(from));
+  } catch (error) {
+    console.error('⚠️ No se pudo revalidar el carrito, se usa el guardado:', error.message);
+    await solicitarConfirmacionFinal(from);
+    return;
+  }
+
+  if (cambios.length === 0) {
+    await solicitarConfirmacionFinal(from);
+    return;
+  }
+
+  if (!cartService.hasItems(from)) {
+    await sendMessage(from, `⚠️ *Tu carrito cambió*
+
+${cambios.map(describirCambioCarrito).join('\n')}
+
+Ya no quedan productos disponibles en tu carrito.`);
+    await solicitarListaProductos(from);
+    return;
+  }
+
+  setOrderData(from, { cambiosCarrito: cambios });
+  await solicitarAceptarCambios(from);
+}
+
+/**
+ * Muestra los cambios del carrito revalidado y pide aceptarlos
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function solicitarAceptarCambios(from) {
+  const cambios = getOrderData(from)?.cambiosCarrito || [];
+
+  const mensaje = `⚠️ *Tu carrito cambió*
+
+Revisamos el stock y los precios antes de confirmar:
+
+${cambios.map(describirCambioCarrito).join('\n')}
+
+${cartService.getFormattedSummary(from)}
+
+━━━━━━━━━━━━━━━━━━━━
+
+¿Aceptas el carrito actualizado?`;
+
+  await sendButtons(from, mensaje, BOTONES_CAMBIOS_CARRITO, {
+    fallbackText: `${mensaje}
+
+*1* - Aceptar y continuar
+*2* - Modificar el carrito
+*3* - Cancelar pedido
+
+Escribe el número de tu opción:`,
+    prompt: '¿Aceptas el carrito actualizado?'
+  });
+  setState(from, STATES.ORDER_REVIEWING_CHANGES);
+}
+
+/**
+ * Procesa la respuesta a los cambios del carrito revalidado
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} mensaje - Respuesta del usuario
+ */
+export async function procesarAceptarCambios(from, mensaje) {
+  try {
+    const mensajeLower = mensaje.toLowerCase().trim();
+
+    if (['1', 'aceptar', 'acepto', 'si', 'sí', 'ok'].includes(mensajeLower)) {
+      setOrderData(from, { cambiosCarrito: null });
+
+      // Los cambios pueden bajar el total del mínimo para envío a domicilio
+      if (getOrderData(from)?.modalidad === 'domicilio' && !(await verificarMontoMinimoDomicilio(from))) {
+        return;
+      }
+
+      await solicitarConfirmacionFinal(from);
+
+    } else if (mensajeLower === '2' || mensajeLower.includes('modificar')) {
+      setOrderData(from, { cambiosCarrito: null });
+      await preguntarAgregarMas(from);
+
+    } else if (mensajeLower === '3' || mensajeLower === 'cancelar' || mensajeLower === 'no') {
+      await sendMessage(from, `❌ *Pedido cancelado*
+
+Tu pedido ha sido cancelado y el carrito ha sido vaciado.
+
+Si cambias de opinión, puedes iniciar un nuevo pedido desde el menú principal.`);
+
+      cartService.clearCart(from);
+      clearOrderData(from);
+
+      const { mostrarMenuPrincipal } = await import('./menuFlow.js');
+      await mostrarMenuPrincipal(from);
+
+    } else {
+      await sendButtons(from, '⚠️ No entendí tu respuesta.\n\n¿Aceptas el carrito actualizado?', BOTONES_CAMBIOS_CARRITO, {
+        fallbackText: `⚠️ No entendí tu respuesta.
+
+*1* - Aceptar y continuar
+*2* - Modificar el carrito
+*3* - Cancelar pedido
+
+Escribe el número de tu opción:`
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error en procesarAceptarCambios:', error.message);
+    await sendMessage(from, '❌ Hubo un error. Por favor, intenta nuevamente.');
+  }
+}
+
 /**
  * Muestra el resumen completo del pedido y solicita confirmación final
  * @param {string} from - Número de teléfono del usuario
@@ -823,13 +1284,18 @@ export async function solicitarConfirmacionFinal(from) {
     }
 
     resumen += `\n━━━━━━━━━━━━━━━━━━━━\n\n`;
-    resumen += `Para confirmar tu pedido, escribe:\n`;
-    resumen += `*confirmar*\n\n`;
-    resumen += `Para cancelar, escribe:\n`;
-    resumen += `*cancelar*\n\n`;
-    resumen += `Escribe tu respuesta:`;
 
-    await sendMessage(from, resumen);
+    let resumenTexto = resumen;
+    resumenTexto += `Para confirmar tu pedido, escribe:\n`;
+    resumenTexto += `*confirmar*\n\n`;
+    resumenTexto += `Para cancelar, escribe:\n`;
+    resumenTexto += `*cancelar*\n\n`;
+    resumenTexto += `Escribe tu respuesta:`;
+
+    await sendButtons(from, `${resumen}¿Confirmas tu pedido?`, BOTONES_CONFIRMACION, {
+      fallbackText: resumenTexto,
+      prompt: '¿Confirmas tu pedido?'
+    });
     setState(from, STATES.ORDER_CONFIRMING);
 
   } catch (error) {
@@ -838,6 +1304,57 @@ export async function solicitarConfirmacionFinal(from) {
   }
 }
 
+/**
+ * Clave de idempotencia del checkout actual
+ *
+ * Se genera en el primer "confirmar" y se mantiene en los reintentos, así el
+ * backend no crea dos pedidos si una respuesta se perdió. Si el backend
+ * rechazó el intento anterior (ej: stock insuficiente) se usa una clave nueva.
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @returns {string}
+ */
+function obtenerClavePedido(from) {
+  const clave = getOrderData(from)?.clave_idempotencia;
+  if (clave && orderIdempotencyService.getOutcome(clave)?.estado !== 'rechazado') {
+    return clave;
+  }
+
+  const nuevaClave = orderIdempotencyService.createKey();
+  setOrderData(from, { clave_idempotencia: nuevaClave });
+  return nuevaClave;
+}
+
+/**
+ * Deja un pedido confirmado en la cola cuando el backend no está disponible
+ *
+ * El cliente recibe una referencia provisional y no necesita reintentar: la
+ * cola reenvía el pedido y le avisa con el número real (ver orderOutboxService).
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Object} payload - Payload de crearPedidoCompleto (con clave_idempotencia)
+ * @param {number} total - Total del carrito
+ */
+async function dejarPedidoEnCola(from, payload, total) {
+  const { referencia } = orderOutboxService.enqueue(from, payload, total);
+
+  // El pedido ya está en la cola: un nuevo "confirmar" no debe encolarlo otra vez
+  cartService.clearCart(from);
+  clearOrderData(from);
+
+  await sendMessage(from, `📨 *Recibimos tu pedido*
+
+Nuestro sistema no está disponible en este momento, pero tu pedido no se perdió.
+
+🔖 *Referencia provisional:* ${referencia}
+💰 *Total:* $${total.toLocaleString('es-CL')}
+
+Lo registraremos automáticamente apenas el sistema vuelva a responder y te escribiremos por este chat con tu número de pedido y las instrucciones de pago. No necesitas hacer nada más.`);
+
+  const { mostrarMenuPrincipal } = await import('./menuFlow.js');
+  await mostrarMenuPrincipal(from);
+}
+
 /**
  * Procesa la confirmación del pedido
  * @param {string} from - Número de teléfono del usuario
@@ -896,22 +1413,34 @@ No se pudo identificar tu cuenta de cliente. Por favor, vuelve al menú principa
         canal: 'whatsapp',
         metodo_pago: 'transferencia',  // Todos los pedidos del bot son por transferencia
         detalles: detalles,
-        descuento_manual: 0
+        descuento_manual: 0,
+        clave_idempotencia: obtenerClavePedido(from)
       };
 
-      console.log('📤 Enviando pedido al backend:', payload);
-
-      // Llamar al nuevo endpoint usando la función de apiService
-      const response = await crearPedidoCompleto(payload);
-
-      console.log('✅ Respuesta del backend:', response);
-
-      // Pedido creado exitosamente
-      const pedidoId = response.pedido?.id_pedido || response.id_pedido || 'N/A';
       // Calcular total desde el carrito local ya que el backend no lo devuelve
       const totales = cartService.getCartTotals(from);
       const totalPedido = totales.total || 0;
 
+      console.log('📤 Enviando pedido al backend:', payload);
+
+      let pedidoId;
+      try {
+        // Pedido creado exitosamente (o ya creado por un intento anterior con la misma clave)
+        pedidoId = await orderIdempotencyService.submitOrder(from, payload, totalPedido) || 'N/A';
+      } catch (error) {
+        if (!(error instanceof BackendUnavailableError || error instanceof OrderTimeoutError)) {
+          throw error;
+        }
+        // Backend caído o sin respuesta: el pedido se reenvía en segundo plano
+        await dejarPedidoEnCola(from, payload, totalPedido);
+        return;
+      }
+
+      // Dejar el pedido a la espera del comprobante de transferencia
+      if (pedidoId !== 'N/A') {
+        setPendingPayment(from, { id_pedido: pedidoId, total: totalPedido });
+      }
+
       // Formatear courier para mostrar
       const courierDisplay = courier === 'presencial' ? 'Retiro en tienda' :
         courier.charAt(0).toUpperCase() + courier.slice(1);
@@ -933,6 +1462,8 @@ No se pudo identificar tu cuenta de cliente. Por favor, vuelve al menú principa
 3️⃣ En el asunto del correo escribe:
    *Pedido #${pedidoId}*
 
+📸 También puedes enviar la foto del comprobante por este chat.
+
 ⚠️ *Importante:* Tu pedido será procesado una vez confirmemos el pago.
 
 ━━━━━━━━━━━━━━━━━━━━
@@ -944,12 +1475,13 @@ ${orderDataActual.modalidad === 'retiro'
 
 ¡Gracias por tu compra! 😊`;
 
-      await sendMessage(from, mensajeExito);
-
-      // Limpiar carrito y datos de pedido
+      // Limpiar carrito y datos de pedido antes de avisar al cliente: el pedido
+      // ya existe y un fallo de envío no debe permitir crearlo de nuevo
       cartService.clearCart(from);
       clearOrderData(from);
 
+      await sendMessage(from, mensajeExito);
+
       // Volver al menú principal
       const { mostrarMenuPrincipal } = await import('./menuFlow.js');
       await mostrarMenuPrincipal(from);
@@ -972,7 +1504,8 @@ Si cambias de opinión, puedes iniciar un nuevo pedido desde el menú principal.
 
     } else {
       // No entendió
-      await sendMessage(from, `⚠️ No entendí tu respuesta.
+      await sendButtons(from, '⚠️ No entendí tu respuesta.\n\n¿Confirmas tu pedido?', BOTONES_CONFIRMACION, {
+        fallbackText: `⚠️ No entendí tu respuesta.
 
 Para confirmar tu pedido, escribe:
 *confirmar pedido*
@@ -980,24 +1513,61 @@ Para confirmar tu pedido, escribe:
 Para cancelar, escribe:
 *cancelar*
 
-Escribe tu respuesta:`);
+Escribe tu respuesta:`
+      });
     }
 
   } catch (error) {
+    // Un fallo al enviar por WhatsApp no es un error del pedido: se propaga a la cola
+    if (error instanceof WhatsAppError) {
+      throw error;
+    }
+
     console.error('❌ Error en procesarConfirmacion:', error.message);
 
     let mensajeError = '❌ *Error al crear el pedido*\n\n';
 
     // El error ya viene formateado desde apiService
     mensajeError += `Detalles: ${error.message}\n\n`;
+    mensajeError += `Tu carrito sigue guardado. ¿Deseas intentar nuevamente?`;
 
-    mensajeError += `Tu carrito sigue guardado. ¿Deseas intentar nuevamente?
+    await sendButtons(from, mensajeError, [
+      { id: 'confirmar', title: '🔄 Reintentar' },
+      { id: 'cancelar', title: '❌ Cancelar' }
+    ], {
+      fallbackText: `${mensajeError}
 
 Para reintentar, escribe: *confirmar pedido*
 Para cancelar, escribe: *cancelar*
 
-Escribe tu respuesta:`;
+Escribe tu respuesta:`
+    });
+  }
+}
 
-    await sendMessage(from, mensajeError);
+/**
+ * Procesa una imagen recibida como comprobante de transferencia
+ * de un pedido con pago pendiente
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Object} media - Datos del archivo recibido ({ id, mimeType, caption })
+ * @returns {Promise<boolean>} - true si había un pedido pendiente de pago
+ */
+export async function procesarComprobantePago(from, media) {
+  const pedidoPendiente = addPaymentReceipt(from, {
+    mediaId: media.id,
+    mimeType: media.mimeType,
+    caption: media.caption
+  });
+
+  if (!pedidoPendiente) {
+    return false;
   }
+
+  await sendMessage(from, `🧾 *Comprobante recibido*
+
+Recibimos tu comprobante de transferencia para el *pedido #${pedidoPendiente.id_pedido}*.
+
+Nuestro equipo lo revisará y te confirmaremos el pago a la brevedad. ¡Gracias! 😊`);
+
+  return true;
 }
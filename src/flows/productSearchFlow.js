@@ -4,7 +4,7 @@
  * Este módulo maneja el flujo completo de búsqueda de productos:
  * 1. Usuario consulta sobre un producto
  * 2. Mistral AI extrae el término de búsqueda
- * 3. Se llama a la API para buscar productos
+ * 3. Se buscan los productos en el catálogo local (catalogService)
  * 4. Se muestran resultados (1, 2-3, o ninguno)
  * 5. Usuario selecciona un producto
  * 6. Se muestran detalles completos
@@ -17,7 +17,7 @@
  * - PRODUCT_SEARCH_SHOWING_DETAILS: Mostrando detalles de un producto específico
  */
 
-import { sendMessage } from '../services/messageService.js';
+import { sendMessage, sendButtons, sendList } from '../services/messageService.js';
 import { setState, getState, STATES } from '../services/conversationStateService.js';
 import {
   setProductSearchData,
@@ -26,9 +26,11 @@ import {
   setSelectedProduct
 } from '../services/conversationStateService.js';
 import { extractProductSearchTerm } from '../services/mistralService.js';
-import { buscarProductos } from '../services/apiService.js';
+import { catalogService } from '../services/catalogService.js';
+import { productQueryDetector } from '../utils/productQueryDetector.js';
 import {
   formatProductList,
+  buildProductListRows,
   formatProductDetails,
   formatNoResults,
   formatApiError,
@@ -37,6 +39,48 @@ import {
   formatProductSearchWelcome
 } from '../services/productFormatterService.js';
 
+// Botones de la vista de detalles (el id es lo que procesa procesarAccionDetalles)
+const BOTONES_DETALLE_PRODUCTO = [
+  { id: 'si', title: '🛒 Agregar' },
+  { id: 'no', title: '🔍 Buscar otro' },
+  { id: 'menu', title: '📋 Menú' }
+];
+
+/**
+ * Enviar la lista de productos encontrados como lista interactiva
+ * (con la lista numerada en texto como respaldo)
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Array} productos - Productos encontrados
+ * @param {string} searchTerm - Término de búsqueda usado
+ */
+async function enviarListaProductos(from, productos, searchTerm) {
+  await sendList(
+    from,
+    `🔍 *Productos encontrados para "${searchTerm}":*\n\nSelecciona el producto que te interesa para ver más detalles.`,
+    'Ver productos',
+    [{ title: 'Productos', rows: buildProductListRows(productos) }],
+    { fallbackText: formatProductList(productos, searchTerm) }
+  );
+}
+
+/**
+ * Enviar los detalles de un producto con botones para agregar o buscar otro
+ * (los productos sin stock se envían solo como texto)
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @param {Object} producto - Producto a mostrar
+ */
+async function enviarDetallesProducto(from, producto) {
+  const mensaje = formatProductDetails(producto);
+
+  if (producto.stock_actual > 0) {
+    await sendButtons(from, mensaje, BOTONES_DETALLE_PRODUCTO, { fallbackText: mensaje });
+  } else {
+    await sendMessage(from, mensaje);
+  }
+}
+
 /**
  * Iniciar el flujo de búsqueda de productos
  * Muestra mensaje de bienvenida y espera consulta del usuario
@@ -57,6 +101,26 @@ export async function iniciarBusquedaProductos(from) {
   setState(from, STATES.PRODUCT_SEARCH_WAITING_QUERY);
 }
 
+/**
+ * Manejar un mensaje en la sección PRODUCTOS del menú
+ * Si parece una consulta de producto se busca directamente; si no, se muestra
+ * el mensaje de bienvenida de la búsqueda
+ *
+ * @param {string} from - Número de teléfono del usuario
+ * @param {string} mensaje - Mensaje del usuario
+ */
+export async function manejarSeccionProductos(from, mensaje) {
+  console.log(`🔍 Procesando mensaje en sección PRODUCTOS para ${from}: "${mensaje}"`);
+
+  if (productQueryDetector.isProductQuery(mensaje)) {
+    console.log(`✅ Consulta de producto detectada en sección PRODUCTOS`);
+    await procesarConsultaBusqueda(from, mensaje);
+  } else {
+    console.log(`ℹ️ No es consulta de producto, mostrando mensaje de bienvenida`);
+    await iniciarBusquedaProductos(from);
+  }
+}
+
 /**
  * Procesar consulta de búsqueda del usuario
  * Extrae término con Mistral y busca en la API
@@ -82,8 +146,8 @@ export async function procesarConsultaBusqueda(from, mensaje) {
 
     console.log(`✅ Término de búsqueda extraído: "${searchTerm}"`);
 
-    // 2. Buscar productos en la API
-    const productos = await buscarProductos(searchTerm, 3);
+    // 2. Buscar productos en el catálogo local (sin catálogo, en la API; con el backend caído, la última búsqueda guardada)
+    const productos = await catalogService.buscarProductos(searchTerm, 3, { respaldoEnCache: true });
 
     // 3. Manejar diferentes escenarios de resultados
     await manejarResultadosBusqueda(from, searchTerm, productos);
@@ -128,15 +192,13 @@ async function manejarResultadosBusqueda(from, searchTerm, productos) {
     // CASO 2: Un solo producto encontrado - mostrar detalles directamente
     console.log(`✅ Un producto encontrado: ${productos[0].nombre}`);
     setSelectedProduct(from, productos[0]);
-    const mensaje = formatProductDetails(productos[0]);
-    await sendMessage(from, mensaje);
+    await enviarDetallesProducto(from, productos[0]);
     setState(from, STATES.PRODUCT_SEARCH_SHOWING_DETAILS);
 
   } else {
     // CASO 3: Múltiples productos - mostrar lista para selección
     console.log(`✅ ${productos.length} productos encontrados, mostrando lista`);
-    const mensaje = formatProductList(productos, searchTerm);
-    await sendMessage(from, mensaje);
+    await enviarListaProductos(from, productos, searchTerm);
     setState(from, STATES.PRODUCT_SEARCH_WAITING_SELECTION);
   }
 }
@@ -181,8 +243,7 @@ export async function procesarSeleccionProducto(from, mensaje) {
   setSelectedProduct(from, productoSeleccionado);
 
   // Mostrar detalles del producto
-  const mensajeDetalles = formatProductDetails(productoSeleccionado);
-  await sendMessage(from, mensajeDetalles);
+  await enviarDetallesProducto(from, productoSeleccionado);
 
   // Cambiar estado
   setState(from, STATES.PRODUCT_SEARCH_SHOWING_DETAILS);
@@ -226,10 +287,48 @@ export async function procesarAccionDetalles(from, mensaje) {
 
   } else {
     // Mensaje no reconocido - dar opciones
-    await sendMessage(from, `No entendí tu respuesta.\n\n¿Deseas agregar *"${producto.nombre}"* a tu pedido?\n\nResponde:\n• *"sí"* para agregar al carrito\n• *"no"* para buscar otro producto\n• *"menú"* para volver al menú principal`);
+    await sendButtons(from, `No entendí tu respuesta.\n\n¿Deseas agregar *"${producto.nombre}"* a tu pedido?`, BOTONES_DETALLE_PRODUCTO, {
+      fallbackText: `No entendí tu respuesta.\n\n¿Deseas agregar *"${producto.nombre}"* a tu pedido?\n\nResponde:\n• *"sí"* para agregar al carrito\n• *"no"* para buscar otro producto\n• *"menú"* para volver al menú principal`
+    });
   }
 }
 
+/**
+ * Volver a mostrar la lista de la última búsqueda (al volver "atrás")
+ * Si ya no hay resultados guardados, se reinicia la búsqueda
+ *
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function repetirListaProductos(from) {
+  const searchData = getProductSearchData(from);
+
+  if (!searchData?.foundProducts || searchData.foundProducts.length < 2) {
+    await iniciarBusquedaProductos(from);
+    return;
+  }
+
+  await enviarListaProductos(from, searchData.foundProducts, searchData.searchTerm);
+  setState(from, STATES.PRODUCT_SEARCH_WAITING_SELECTION);
+}
+
+/**
+ * Volver a mostrar los detalles del producto seleccionado (al volver "atrás")
+ * Si ya no hay producto seleccionado, se reinicia la búsqueda
+ *
+ * @param {string} from - Número de teléfono del usuario
+ */
+export async function repetirDetallesProducto(from) {
+  const producto = getProductSearchData(from)?.selectedProduct;
+
+  if (!producto) {
+    await iniciarBusquedaProductos(from);
+    return;
+  }
+
+  await enviarDetallesProducto(from, producto);
+  setState(from, STATES.PRODUCT_SEARCH_SHOWING_DETAILS);
+}
+
 /**
  * Agregar producto al carrito (placeholder - implementar en el futuro)
  *
@@ -270,8 +369,8 @@ export async function busquedaRapidaProducto(from, mensaje) {
 
     console.log(`✅ Término extraído en búsqueda rápida: "${searchTerm}"`);
 
-    // 2. Buscar en API
-    const productos = await buscarProductos(searchTerm, 3);
+    // 2. Buscar en el catálogo local (sin catálogo, en la API; con el backend caído, la última búsqueda guardada)
+    const productos = await catalogService.buscarProductos(searchTerm, 3, { respaldoEnCache: true });
 
     if (productos.length === 0) {
       // No se encontraron productos
@@ -290,13 +389,11 @@ export async function busquedaRapidaProducto(from, mensaje) {
     if (productos.length === 1) {
       // Un solo producto - mostrar detalles
       setSelectedProduct(from, productos[0]);
-      const mensajeRespuesta = formatProductDetails(productos[0]);
-      await sendMessage(from, mensajeRespuesta);
+      await enviarDetallesProducto(from, productos[0]);
       setState(from, STATES.PRODUCT_SEARCH_SHOWING_DETAILS);
     } else {
       // Múltiples productos - mostrar lista
-      const mensajeRespuesta = formatProductList(productos, searchTerm);
-      await sendMessage(from, mensajeRespuesta);
+      await enviarListaProductos(from, productos, searchTerm);
       setState(from, STATES.PRODUCT_SEARCH_WAITING_SELECTION);
     }
 
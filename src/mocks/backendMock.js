@@ -0,0 +1,339 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buscarPorNombre } from '../utils/productMatcher.js';
+
+/**
+ * Backend simulado del bot (api-manicero-lucas)
+ *
+ * Implementa en memoria los endpoints que llama apiService.js, a partir de los
+ * archivos de src/data:
+ * - usuarios.json: clientes (el ID es la posición en el archivo, desde 1)
+ * - productos.json: catálogo, precios y stock
+ * - pedidos.json: pedidos (los nuevos descuentan stock)
+ * - pagos.json: un pago pendiente por cada pedido creado
+ * - Un pedido con una clave_idempotencia ya usada devuelve el pedido original
+ *   (con `idempotencia: false` se ignora la clave, como un backend que no la soporta)
+ *
+ * Por defecto cada instancia trabaja sobre una copia de los datos: lo que se
+ * registra o se pide no afecta a los archivos. Con `persistir: true` cada
+ * cambio se escribe, con el mismo formato, en .data/backend-mock (ignorada
+ * por git), y al iniciar se parte de esos archivos si existen. Los archivos
+ * de src/data no se modifican nunca: también los leen staticDataService y
+ * la extracción local de productos.
+ *
+ * Lo usan el simulador de conversaciones (scripts/simulador.js) y el servidor
+ * de desarrollo (scripts/mockBackend.js).
+ *
+ * @example
+ * const backend = new BackendMock();
+ * const { status, data } = backend.handle('GET', '/api/v1/bot/validar-telefono/56911112222');
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Carpeta donde se guardan los cambios con persistir activado
+const PERSIST_DIR = path.resolve('.data', 'backend-mock');
+
+const ARCHIVOS = {
+  usuarios: 'usuarios.json',
+  productos: 'productos.json',
+  pedidos: 'pedidos.json',
+  pagos: 'pagos.json'
+};
+
+// Cantidad mínima para aplicar precio por mayor (igual que cartService)
+const CANTIDAD_PRECIO_MAYOR = 5;
+
+// Pedidos que entrega mis-pedidos (el backend real entrega los 3 más recientes)
+const MAX_MIS_PEDIDOS = 3;
+
+// Fecha de hoy en formato YYYY-MM-DD, como en pedidos.json y pagos.json
+function fechaHoy() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export class BackendMock {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.persistir=false] - Escribir los cambios en los archivos
+   * @param {string} [options.dataDir] - Carpeta de los archivos iniciales (default: src/data)
+   * @param {string} [options.persistDir] - Carpeta donde se guardan los cambios (default: .data/backend-mock)
+   * @param {boolean} [options.idempotencia=true] - Respetar y devolver clave_idempotencia
+   */
+  constructor({ persistir = false, dataDir = DATA_DIR, persistDir = PERSIST_DIR, idempotencia = true } = {}) {
+    this.persistir = persistir;
+    this.idempotencia = idempotencia;
+    this.dataDir = dataDir;
+    this.persistDir = persistDir;
+
+    // Registros con el mismo formato de los archivos
+    this.usuarios = this.leerDatos(ARCHIVOS.usuarios);
+    this.productos = this.leerDatos(ARCHIVOS.productos);
+    this.pedidos = this.leerDatos(ARCHIVOS.pedidos);
+    this.pagos = this.leerDatos(ARCHIVOS.pagos);
+  }
+
+  // Leer un archivo de datos (con persistir, la copia guardada si existe)
+  leerDatos(nombre) {
+    const guardado = path.join(this.persistDir, nombre);
+    const archivo = this.persistir && fs.existsSync(guardado) ? guardado : path.join(this.dataDir, nombre);
+    return JSON.parse(fs.readFileSync(archivo, 'utf8'));
+  }
+
+  // Guardar un archivo de datos (solo con persistir activado)
+  guardarDatos(nombre, registros) {
+    if (!this.persistir) return;
+    fs.mkdirSync(this.persistDir, { recursive: true });
+    fs.writeFileSync(path.join(this.persistDir, nombre), JSON.stringify(registros, null, 2), 'utf8');
+  }
+
+  // ============================================
+  // FORMATO DEL BACKEND REAL
+  // ============================================
+
+  cliente(usuario) {
+    return {
+      id: this.usuarios.indexOf(usuario) + 1,
+      nombre: usuario.nombre,
+      telefono: usuario.telefono,
+      email: usuario.email ?? null
+    };
+  }
+
+  producto(registro) {
+    return {
+      id_producto: registro.id,
+      nombre: registro.nombre,
+      precio_unitario: registro.precio_minorista,
+      precio_por_mayor: registro.precio_mayorista,
+      stock_actual: registro.stock
+    };
+  }
+
+  pedido(registro) {
+    const pago = this.pagos.find(p => p.pedido_id === registro.id);
+
+    return {
+      id_pedido: registro.id,
+      id_cliente: registro.cliente_id,
+      estado: registro.estado.toLowerCase(),
+      pago_estado: pago ? (pago.confirmado ? 'pagado' : 'pendiente') : null,
+      direccion_envio: registro.direccion_envio ?? null,
+      courier: registro.courier ?? null,
+      fecha_pedido: registro.fecha,
+      total: registro.total,
+      clave_idempotencia: registro.clave_idempotencia ?? null,
+      detalles: registro.detalles.map(detalle => ({
+        id_producto: detalle.id_producto ?? null,
+        nombre_producto: detalle.producto,
+        cantidad: detalle.cantidad,
+        precio_unitario: detalle.precio_unitario
+      }))
+    };
+  }
+
+  // ============================================
+  // PREPARACIÓN DE DATOS
+  // ============================================
+
+  /**
+   * Registrar un cliente directamente (para preparar una simulación)
+   * @param {string} telefono - Teléfono del cliente
+   * @param {string} nombre - Nombre completo
+   * @returns {Object} - Cliente creado, con el formato del backend
+   */
+  agregarCliente(telefono, nombre) {
+    const usuario = { telefono, nombre };
+    this.usuarios.push(usuario);
+    this.guardarDatos(ARCHIVOS.usuarios, this.usuarios);
+    return this.cliente(usuario);
+  }
+
+  // ============================================
+  // ENDPOINTS
+  // ============================================
+
+  /**
+   * Atender una petición HTTP
+   *
+   * @param {string} method - Método HTTP (GET, POST...)
+   * @param {string} url - Ruta con query string (ej: /api/v1/bot/buscar-productos?nombre=mani)
+   * @param {Object|null} body - Cuerpo JSON de la petición
+   * @returns {{ status: number, data: Object }} - Respuesta
+   */
+  handle(method, url, body = null) {
+    const { pathname, searchParams } = new URL(url, 'http://backend.mock');
+    const ruta = pathname.replace(/\/+$/, '');
+    const metodo = method.toUpperCase();
+
+    if (metodo === 'GET' && ruta === '/health') {
+      return { status: 200, data: { status: 'ok' } };
+    }
+
+    const telefonoMatch = ruta.match(/^\/api\/v1\/bot\/validar-telefono\/(.+)$/);
+    if (metodo === 'GET' && telefonoMatch) {
+      return this.validarTelefono(decodeURIComponent(telefonoMatch[1]));
+    }
+
+    if (metodo === 'POST' && ruta === '/api/v1/bot/registrar-cliente') {
+      return this.registrarCliente(body || {});
+    }
+
+    if (metodo === 'GET' && ruta === '/api/v1/bot/buscar-productos') {
+      return this.buscarProductos(searchParams.get('nombre') || '', parseInt(searchParams.get('limit')) || 3);
+    }
+
+    if (metodo === 'GET' && ruta === '/api/v1/bot/productos') {
+      return this.catalogo();
+    }
+
+    if (metodo === 'POST' && ruta === '/api/v1/bot/crear-pedido-completo') {
+      return this.crearPedido(body || {});
+    }
+
+    if (metodo === 'GET' && ruta === '/api/v1/bot/mis-pedidos') {
+      return this.misPedidos(parseInt(searchParams.get('id_cliente')));
+    }
+
+    return { status: 404, data: { detail: `Ruta no encontrada: ${metodo} ${ruta}` } };
+  }
+
+  validarTelefono(telefono) {
+    const usuario = this.usuarios.find(u => u.telefono === telefono);
+    return { status: 200, data: { registrado: Boolean(usuario), cliente: usuario ? this.cliente(usuario) : null } };
+  }
+
+  registrarCliente({ telefono, nombre, email = null }) {
+    if (!telefono || !nombre) {
+      return { status: 400, data: { detail: 'telefono y nombre son obligatorios' } };
+    }
+    if (this.usuarios.some(u => u.telefono === telefono)) {
+      return { status: 409, data: { detail: 'El cliente ya está registrado' } };
+    }
+
+    const usuario = email ? { telefono, nombre, email } : { telefono, nombre };
+    this.usuarios.push(usuario);
+    this.guardarDatos(ARCHIVOS.usuarios, this.usuarios);
+
+    return { status: 201, data: { ...this.cliente(usuario), mensaje: 'Cliente registrado exitosamente' } };
+  }
+
+  // Búsqueda aproximada: tolera tildes, mayúsculas, errores de tipeo, plurales y sinónimos
+  buscarProductos(nombre, limit) {
+    const activos = this.productos.filter(p => p.activo);
+    const productos = buscarPorNombre(nombre, activos, { limite: limit })
+      .map(({ elemento }) => this.producto(elemento));
+
+    return { status: 200, data: productos };
+  }
+
+  // Catálogo completo de productos activos (caché local del bot)
+  catalogo() {
+    return { status: 200, data: this.productos.filter(p => p.activo).map(p => this.producto(p)) };
+  }
+
+  crearPedido({ id_cliente, direccion_envio, courier, canal = 'whatsapp', metodo_pago = 'pendiente', detalles = [], descuento_manual = 0, clave_idempotencia = null }) {
+    if (!this.idempotencia) clave_idempotencia = null;
+
+    // Reintento de un pedido ya creado: se responde con el original sin crear otro
+    const existente = clave_idempotencia && this.pedidos.find(p => p.clave_idempotencia === clave_idempotencia);
+    if (existente) {
+      return {
+        status: 200,
+        data: {
+          pedido: { id_pedido: existente.id, total: existente.total, estado: existente.estado.toLowerCase() },
+          mensaje: 'Pedido ya registrado'
+        }
+      };
+    }
+
+    const usuario = this.usuarios[id_cliente - 1];
+    if (!usuario) {
+      return { status: 404, data: { detail: `Cliente ${id_cliente} no encontrado` } };
+    }
+    if (!Array.isArray(detalles) || detalles.length === 0) {
+      return { status: 422, data: { detail: 'El pedido debe tener al menos un producto' } };
+    }
+
+    // Validar todo antes de descontar stock: el pedido se crea completo o no se crea
+    const lineas = [];
+    for (const detalle of detalles) {
+      const producto = this.productos.find(p => p.id === detalle.id_producto && p.activo);
+      if (!producto) {
+        return { status: 404, data: { detail: `Producto ${detalle.id_producto} no encontrado` } };
+      }
+
+      const pedidoEnLineas = lineas
+        .filter(linea => linea.producto === producto)
+        .reduce((suma, linea) => suma + linea.cantidad, 0);
+      if (pedidoEnLineas + detalle.cantidad > producto.stock) {
+        return { status: 409, data: { detail: `Stock insuficiente para ${producto.nombre} (disponible: ${producto.stock})` } };
+      }
+
+      const precio = detalle.cantidad >= CANTIDAD_PRECIO_MAYOR ? producto.precio_mayorista : producto.precio_minorista;
+      lineas.push({ producto, cantidad: detalle.cantidad, precio_unitario: precio });
+    }
+
+    for (const linea of lineas) {
+      linea.producto.stock -= linea.cantidad;
+    }
+
+    const subtotal = lineas.reduce((suma, linea) => suma + linea.cantidad * linea.precio_unitario, 0);
+    const registro = {
+      id: Math.max(0, ...this.pedidos.map(p => p.id)) + 1,
+      cliente_id: id_cliente,
+      telefono: usuario.telefono,
+      estado: 'Pendiente',
+      canal,
+      fecha: fechaHoy(),
+      total: Math.max(0, subtotal - descuento_manual),
+      direccion_envio,
+      courier,
+      ...(clave_idempotencia && { clave_idempotencia }),
+      detalles: lineas.map(linea => ({
+        id_producto: linea.producto.id,
+        producto: linea.producto.nombre,
+        cantidad: linea.cantidad,
+        precio_unitario: linea.precio_unitario
+      }))
+    };
+    this.pedidos.push(registro);
+
+    this.pagos.push({
+      id: Math.max(9000, ...this.pagos.map(p => p.id)) + 1,
+      pedido_id: registro.id,
+      monto: registro.total,
+      metodo: metodo_pago,
+      fecha: registro.fecha,
+      confirmado: false
+    });
+
+    this.guardarDatos(ARCHIVOS.productos, this.productos);
+    this.guardarDatos(ARCHIVOS.pedidos, this.pedidos);
+    this.guardarDatos(ARCHIVOS.pagos, this.pagos);
+
+    return {
+      status: 201,
+      data: {
+        pedido: { id_pedido: registro.id, total: registro.total, estado: registro.estado.toLowerCase() },
+        mensaje: 'Pedido creado exitosamente'
+      }
+    };
+  }
+
+  misPedidos(idCliente) {
+    const pedidos = this.pedidos
+      .filter(p => p.cliente_id === idCliente)
+      .slice(-MAX_MIS_PEDIDOS)
+      .reverse()
+      .map(registro => this.pedido(registro));
+
+    return { status: 200, data: pedidos };
+  }
+}
+
+export default BackendMock;
@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+
+/**
+ * API de WhatsApp Cloud simulada
+ *
+ * Imita el endpoint POST /{version}/{phone_number_id}/messages de Graph:
+ * - Registra cada mensaje saliente del bot
+ * - Responde con wamids con el mismo formato que los reales
+ * - Valida lo mismo que Meta en los casos comunes (token, destinatario,
+ *   largo del texto, ventana de 24 horas) y responde con sus códigos de error
+ * - Permite forzar errores en los próximos envíos (límite de envío,
+ *   destinatario inválido, errores 5xx...) para probar reintentos y fallbacks
+ *
+ * Lo usa el servidor de desarrollo (scripts/mockGraphApi.js).
+ *
+ * @example
+ * const graph = new GraphApiMock({ accessToken: 'token' });
+ * graph.simularError(131047, { veces: 1 });
+ * const { status, data } = graph.handle('POST', '/v22.0/123/messages', payload, 'Bearer token');
+ */
+
+// Ventana de atención de WhatsApp (mensajes libres solo 24h después del último mensaje del cliente)
+const VENTANA_MS = 24 * 60 * 60 * 1000;
+
+// Largo máximo de un mensaje de texto
+const MAX_TEXTO = 4096;
+
+// Errores de Graph que se pueden simular: código → status HTTP y mensaje de Meta
+export const ERRORES_GRAPH = {
+  1: { status: 500, message: 'An unknown error occurred' },
+  2: { status: 503, message: 'Service temporarily unavailable' },
+  4: { status: 400, message: 'Application request limit reached' },
+  100: { status: 400, message: 'Invalid parameter' },
+  190: { status: 401, message: 'Invalid OAuth access token - Cannot parse access token' },
+  130429: { status: 400, message: 'Rate limit hit' },
+  131000: { status: 500, message: 'Something went wrong' },
+  131026: { status: 400, message: 'Message undeliverable' },
+  131047: { status: 400, message: 'Re-engagement message' },
+  131051: { status: 400, message: 'Unsupported message type' },
+  131056: { status: 400, message: '(Business Account, Consumer Account) pair rate limit hit' },
+  132001: { status: 404, message: 'Template name does not exist in the translation' }
+};
+
+// Tipos de mensaje que acepta el endpoint
+const TIPOS_SOPORTADOS = ['text', 'interactive', 'template', 'image', 'document', 'audio', 'video', 'sticker', 'location', 'contacts', 'reaction'];
+
+/**
+ * Cuerpo de error con el formato de Graph
+ * @param {number} code - Código de error de Meta
+ * @param {string} [detalle] - Texto de error_data.details
+ * @returns {{ status: number, data: Object }}
+ */
+export function respuestaErrorGraph(code, detalle) {
+  const { status, message } = ERRORES_GRAPH[code] || { status: 400, message: 'Unknown error' };
+
+  return {
+    status,
+    data: {
+      error: {
+        message: `(#${code}) ${message}`,
+        type: 'OAuthException',
+        code,
+        ...(detalle && { error_data: { messaging_product: 'whatsapp', details: detalle } }),
+        fbtrace_id: crypto.randomBytes(12).toString('base64url')
+      }
+    }
+  };
+}
+
+/**
+ * wamid con el formato de Meta: base64 de un registro con el teléfono y un ID
+ * @param {string} telefono - Destinatario
+ * @returns {string}
+ */
+export function generarWamid(telefono) {
+  const id = crypto.randomBytes(10).toString('hex').toUpperCase();
+  const registro = Buffer.concat([
+    Buffer.from([0x18, telefono.length]),
+    Buffer.from(telefono),
+    Buffer.from([0x15, 0x02, 0x00, 0x11, 0x18, id.length]),
+    Buffer.from(id),
+    Buffer.from([0x00])
+  ]);
+  return `wamid.${registro.toString('base64')}`;
+}
+
+/**
+ * Opciones visibles de un mensaje interactivo (botones o filas de lista)
+ * @param {Object} payload - Mensaje enviado por el bot
+ * @returns {Array<string>}
+ */
+export function opcionesMensajeSaliente(payload) {
+  if (payload.type !== 'interactive') return [];
+
+  const { action } = payload.interactive;
+  if (action.buttons) return action.buttons.map(boton => boton.reply.title);
+  return (action.sections || []).flatMap(seccion => seccion.rows.map(fila => fila.title));
+}
+
+/**
+ * Texto visible de un mensaje enviado por el bot (cuerpo, botones y filas)
+ * @param {Object} payload - Mensaje enviado por el bot
+ * @returns {string}
+ */
+export function describirMensajeSaliente(payload) {
+  if (payload.type === 'text') return payload.text.body;
+
+  if (payload.type === 'interactive') {
+    const { body, action } = payload.interactive;
+    const opciones = opcionesMensajeSaliente(payload).map(titulo => `[${titulo}]`).join(' ');
+    return [body.text, action.button && `(${action.button})`, opciones].filter(Boolean).join('\n');
+  }
+
+  if (payload.type === 'template') return `[plantilla ${payload.template.name}]`;
+
+  return `[${payload.type}]`;
+}
+
+export class GraphApiMock {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.accessToken] - Token aceptado (sin valor se acepta cualquiera)
+   * @param {string} [options.phoneNumberId] - phone_number_id aceptado (sin valor se acepta cualquiera)
+   * @param {boolean} [options.validarVentana=false] - Rechazar con 131047 los mensajes libres fuera de la ventana de 24h
+   * @param {Function} [options.onMensaje] - Recibe cada mensaje aceptado ({ wamid, to, type, payload, timestamp })
+   */
+  constructor({ accessToken, phoneNumberId, validarVentana = false, onMensaje = () => {} } = {}) {
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.validarVentana = validarVentana;
+    this.onMensaje = onMensaje;
+
+    this.mensajes = [];
+    this.erroresPendientes = [];
+    this.ultimoEntrante = new Map();
+  }
+
+  /**
+   * Registrar un mensaje del cliente (abre la ventana de 24 horas)
+   * @param {string} telefono - Número del cliente
+   * @param {number} [timestamp] - Fecha del mensaje en milisegundos
+   */
+  registrarEntrante(telefono, timestamp = Date.now()) {
+    this.ultimoEntrante.set(telefono, timestamp);
+  }
+
+  /**
+   * Forzar un error de Graph en los próximos envíos
+   *
+   * @param {number} code - Código de Meta (ver ERRORES_GRAPH)
+   * @param {Object} [options]
+   * @param {number} [options.veces=1] - Cantidad de envíos que fallan
+   * @param {string} [options.telefono] - Solo para envíos a este número
+   */
+  simularError(code, { veces = 1, telefono = null } = {}) {
+    this.erroresPendientes.push({ code, restantes: veces, telefono });
+  }
+
+  /**
+   * Mensajes registrados, opcionalmente de un solo destinatario
+   * @param {string} [telefono]
+   * @returns {Array<Object>}
+   */
+  obtenerMensajes(telefono) {
+    return telefono ? this.mensajes.filter(m => m.to === telefono) : this.mensajes;
+  }
+
+  limpiar() {
+    this.mensajes = [];
+    this.erroresPendientes = [];
+    this.ultimoEntrante.clear();
+  }
+
+  /**
+   * Atender una petición HTTP
+   *
+   * @param {string} method - Método HTTP
+   * @param {string} url - Ruta (ej: /v22.0/123456/messages)
+   * @param {Object|null} body - Cuerpo JSON
+   * @param {string} [authorization] - Encabezado Authorization
+   * @returns {{ status: number, data: Object }}
+   */
+  handle(method, url, body = null, authorization = '') {
+    const { pathname } = new URL(url, 'http://graph.mock');
+    const match = pathname.match(/^\/v\d+\.\d+\/([^/]+)\/messages\/?$/);
+
+    if (method.toUpperCase() !== 'POST' || !match) {
+      return respuestaErrorGraph(100, `Ruta no soportada: ${method.toUpperCase()} ${pathname}`);
+    }
+
+    const token = authorization.replace(/^Bearer\s+/i, '');
+    if (!token || token === 'undefined' || (this.accessToken && token !== this.accessToken)) {
+      return respuestaErrorGraph(190);
+    }
+
+    if (this.phoneNumberId && match[1] !== this.phoneNumberId) {
+      return respuestaErrorGraph(100, `Object with ID '${match[1]}' does not exist`);
+    }
+
+    return this.enviarMensaje(body || {});
+  }
+
+  enviarMensaje(payload) {
+    if (payload.messaging_product !== 'whatsapp') {
+      return respuestaErrorGraph(100, 'The parameter messaging_product is required.');
+    }
+
+    // Confirmación de lectura: no genera mensaje
+    if (payload.status === 'read') {
+      return { status: 200, data: { success: true } };
+    }
+
+    const { to, type = 'text' } = payload;
+    if (!to) {
+      return respuestaErrorGraph(100, 'The parameter to is required.');
+    }
+    if (!TIPOS_SOPORTADOS.includes(type)) {
+      return respuestaErrorGraph(131051, `Message type ${type} is not supported.`);
+    }
+    if (type === 'text' && (payload.text?.body || '').length > MAX_TEXTO) {
+      return respuestaErrorGraph(100, `Param text['body'] must be at most ${MAX_TEXTO} characters long.`);
+    }
+
+    const forzado = this.tomarErrorPendiente(to);
+    if (forzado) {
+      return respuestaErrorGraph(forzado, 'Error simulado');
+    }
+
+    if (this.validarVentana && type !== 'template' && !this.ventanaAbierta(to)) {
+      return respuestaErrorGraph(131047, 'Message failed to send because more than 24 hours have passed since the customer last replied to this number.');
+    }
+
+    const mensaje = { wamid: generarWamid(to), to, type, payload, timestamp: Date.now() };
+    this.mensajes.push(mensaje);
+    this.onMensaje(mensaje);
+
+    return {
+      status: 200,
+      data: {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: to, wa_id: to }],
+        messages: [{ id: mensaje.wamid, ...(type === 'template' && { message_status: 'accepted' }) }]
+      }
+    };
+  }
+
+  // Consumir el primer error forzado que aplique a este destinatario
+  tomarErrorPendiente(telefono) {
+    const pendiente = this.erroresPendientes.find(e => !e.telefono || e.telefono === telefono);
+    if (!pendiente) return null;
+
+    pendiente.restantes--;
+    if (pendiente.restantes <= 0) {
+      this.erroresPendientes.splice(this.erroresPendientes.indexOf(pendiente), 1);
+    }
+    return pendiente.code;
+  }
+
+  ventanaAbierta(telefono) {
+    const ultimo = this.ultimoEntrante.get(telefono);
+    return ultimo !== undefined && Date.now() - ultimo < VENTANA_MS;
+  }
+}
+
+export default GraphApiMock;
@@ -0,0 +1,125 @@
+import axios, { AxiosError } from 'axios';
+import { META_CONFIG } from '../config/meta.js';
+
+/**
+ * Transporte simulado para correr el bot sin red
+ *
+ * Reemplaza el adaptador por defecto de axios y `fetch` global:
+ * - Peticiones a la API de WhatsApp (META_API_BASE_URL): se registran como
+ *   mensajes salientes y se responden con un wamid simulado
+ * - Peticiones de axios a cualquier otra URL: las atiende el backend simulado
+ *   (si su respuesta trae `tiempoAgotado: true` se rechaza como un timeout de
+ *   axios, después de que el backend ya procesó la petición; con
+ *   `sinConexion: true` se rechaza como un error de red sin procesarla)
+ * - `fetch` a api.mistral.ai: responde con el texto que entregue
+ *   `responderIA(prompt)`, o con 503 si no hay respuesta (los servicios usan
+ *   entonces su extracción de respaldo)
+ * - Cualquier otro `fetch` falla: nada sale a internet
+ *
+ * Debe instalarse ANTES de importar los servicios del bot, porque los clientes
+ * de axios copian el adaptador al crearse.
+ *
+ * @example
+ * instalarTransporteSimulado({
+ *   backend: new BackendMock(),
+ *   onMensajeSaliente: (payload) => salientes.push(payload)
+ * });
+ * const { procesarMensaje } = await import('../controllers/flowController.js');
+ */
+
+const MISTRAL_HOST = 'api.mistral.ai';
+
+let contadorMensajes = 0;
+
+// Respuesta de axios; los status fuera de 2xx se rechazan como lo hace axios
+function responderAxios(config, status, data) {
+  const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+
+  if (status >= 200 && status < 300) {
+    return response;
+  }
+  throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+}
+
+// Cuerpo JSON de una petición de axios (ya serializado por transformRequest)
+function leerCuerpo(data) {
+  if (!data) return null;
+  return typeof data === 'string' ? JSON.parse(data) : data;
+}
+
+/**
+ * Respuesta de chat completion con el formato de la API de Mistral
+ * @param {string} contenido - Texto de la respuesta del asistente
+ * @returns {Object}
+ */
+function chatCompletion(contenido) {
+  return {
+    id: `sim-${Date.now()}`,
+    object: 'chat.completion',
+    model: 'simulado',
+    created: Math.floor(Date.now() / 1000),
+    choices: [{ index: 0, message: { role: 'assistant', content: contenido }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * Instalar el transporte simulado
+ *
+ * @param {Object} options
+ * @param {Object} options.backend - Backend simulado con método handle(method, url, body)
+ *   que devuelve { status, data, tiempoAgotado?, sinConexion? }
+ * @param {Function} options.onMensajeSaliente - Recibe cada payload enviado a WhatsApp
+ * @param {Function} [options.responderIA] - (prompt) => string|null, respuesta de Mistral
+ */
+export function instalarTransporteSimulado({ backend, onMensajeSaliente, responderIA = () => null }) {
+  axios.defaults.adapter = async (config) => {
+    const url = axios.getUri(config);
+
+    if (url.startsWith(META_CONFIG.API_BASE_URL)) {
+      const payload = leerCuerpo(config.data);
+      onMensajeSaliente(payload);
+      contadorMensajes++;
+      return responderAxios(config, 200, {
+        messaging_product: 'whatsapp',
+        contacts: [{ input: payload.to, wa_id: payload.to }],
+        messages: [{ id: `wamid.SIM${String(contadorMensajes).padStart(6, '0')}` }]
+      });
+    }
+
+    const { pathname, search } = new URL(url);
+    const { status, data, tiempoAgotado, sinConexion } = backend.handle(config.method, pathname + search, leerCuerpo(config.data));
+    if (sinConexion) {
+      throw new AxiosError(`connect ECONNREFUSED ${config.baseURL || url}`, 'ECONNREFUSED', config, {});
+    }
+    if (tiempoAgotado) {
+      throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config, {});
+    }
+    return responderAxios(config, status, data);
+  };
+
+  globalThis.fetch = async (input, init = {}) => {
+    const request = input instanceof Request ? input : new Request(input, init);
+    const { host } = new URL(request.url);
+
+    if (host !== MISTRAL_HOST) {
+      throw new TypeError(`fetch failed: red deshabilitada en la simulación (${request.url})`);
+    }
+
+    const body = await request.json();
+    const prompt = body.messages?.filter(m => m.role === 'user').pop()?.content || '';
+    const contenido = responderIA(prompt);
+
+    if (contenido === null || contenido === undefined) {
+      return new Response(JSON.stringify({ message: 'Mistral simulado sin respuesta' }), {
+        status: 503,
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify(chatCompletion(contenido)), {
+      status: 200,
+      headers: { 'content-type': 'application/json' }
+    });
+  };
+}
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+
+/**
+ * Payloads simulados del webhook de WhatsApp
+ *
+ * Construyen el cuerpo que Meta envía a POST /webhook, tanto para mensajes
+ * del cliente como para estados de entrega. Los usan los scripts de prueba
+ * (simularWebhook.js, simulador.js y mockGraphApi.js).
+ *
+ * @example
+ * const mensaje = construirMensajeEntrante('56911112222', { texto: 'hola' });
+ * const payload = construirPayloadWebhook({ messages: [mensaje] });
+ */
+
+// Timestamp en segundos como string, como lo envía Meta
+function timestampActual() {
+  return Math.floor(Date.now() / 1000).toString();
+}
+
+/**
+ * Construye un mensaje entrante (`value.messages[i]`)
+ *
+ * @param {string} telefono - Número del cliente
+ * @param {Object} contenido - Uno de: { texto }, { opcion } o { ubicacion }
+ * @param {string} [contenido.texto] - Mensaje de texto
+ * @param {string} [contenido.opcion] - ID del botón o fila de lista elegida
+ * @param {string} [contenido.titulo] - Título del botón elegido (default: el ID)
+ * @param {Object} [contenido.ubicacion] - { latitude, longitude, name?, address? }
+ * @param {string} [contenido.id] - wamid del mensaje (default: aleatorio)
+ * @returns {Object}
+ */
+export function construirMensajeEntrante(telefono, { texto, opcion, titulo, ubicacion, id } = {}) {
+  const base = {
+    from: telefono,
+    id: id || `wamid.simulado.${crypto.randomUUID()}`,
+    timestamp: timestampActual()
+  };
+
+  if (opcion !== undefined) {
+    const reply = { id: String(opcion), title: titulo || String(opcion) };
+    return { ...base, type: 'interactive', interactive: { type: 'button_reply', button_reply: reply } };
+  }
+
+  if (ubicacion) {
+    return { ...base, type: 'location', location: ubicacion };
+  }
+
+  return { ...base, type: 'text', text: { body: String(texto ?? '') } };
+}
+
+/**
+ * Construye un estado de entrega (`value.statuses[i]`)
+ *
+ * @param {string} wamid - ID del mensaje enviado por el bot
+ * @param {string} telefono - Destinatario del mensaje
+ * @param {string} estado - sent, delivered, read o failed
+ * @param {Array<Object>} [errores] - Errores de Meta (solo para failed)
+ * @returns {Object}
+ */
+export function construirEstadoEntrega(wamid, telefono, estado, errores = []) {
+  return {
+    id: wamid,
+    recipient_id: telefono,
+    status: estado,
+    timestamp: timestampActual(),
+    ...(errores.length > 0 && { errors: errores })
+  };
+}
+
+/**
+ * Envuelve mensajes y/o estados con la estructura completa del webhook
+ *
+ * @param {Object} value
+ * @param {Array<Object>} [value.messages] - Mensajes entrantes
+ * @param {Array<Object>} [value.statuses] - Estados de entrega
+ * @param {string} [value.nombre] - Nombre de perfil del cliente
+ * @returns {Object} - Cuerpo listo para JSON.stringify y firmar
+ */
+export function construirPayloadWebhook({ messages, statuses, nombre = 'Cliente simulado' } = {}) {
+  const telefono = messages?.[0]?.from;
+
+  return {
+    object: 'whatsapp_business_account',
+    entry: [
+      {
+        id: 'simulado',
+        changes: [
+          {
+            field: 'messages',
+            value: {
+              messaging_product: 'whatsapp',
+              metadata: { phone_number_id: process.env.PHONE_NUMBER_ID || 'simulado' },
+              ...(telefono && { contacts: [{ wa_id: telefono, profile: { name: nombre } }] }),
+              ...(messages && { messages }),
+              ...(statuses && { statuses })
+            }
+          }
+        ]
+      }
+    ]
+  };
+}
@@ -0,0 +1,24 @@
+import express from 'express';
+import { catalogService } from '../services/catalogService.js';
+import { requerirFirmaCatalogo, requerirTokenAdmin } from '../utils/adminAuth.js';
+
+const router = express.Router();
+
+// 🔹 Invalidación del catálogo local (el backend la llama al cambiar productos, precios o stock)
+router.post('/api/catalogo/invalidar', requerirFirmaCatalogo, async (req, res) => {
+    const actualizado = await catalogService.invalidate();
+    const stats = catalogService.getStats();
+
+    if (!actualizado) {
+        return res.status(502).json({ error: 'No se pudo descargar el catálogo', detalle: stats.ultimoError });
+    }
+
+    res.status(200).json({ success: true, productos: stats.productos, actualizadoEn: stats.actualizadoEn });
+});
+
+// 🔹 Estado del catálogo local
+router.get('/api/catalogo/estado', requerirTokenAdmin, (req, res) => {
+    res.status(200).json(catalogService.getStats());
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { messageStatusService } from '../services/messageStatusService.js';
+import { requerirTokenAdmin } from '../utils/adminAuth.js';
+
+const router = express.Router();
+
+// 🔹 Historial de entregas de un teléfono (más recientes primero)
+router.get('/api/entregas/:telefono', requerirTokenAdmin, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, messageStatusService.MAX_PER_PHONE);
+    const mensajes = messageStatusService.getHistoryByPhone(req.params.telefono, limit);
+
+    res.status(200).json({ telefono: req.params.telefono, total: mensajes.length, mensajes });
+});
+
+// 🔹 Estado de un mensaje por su wamid
+router.get('/api/entregas/mensaje/:wamid', requerirTokenAdmin, (req, res) => {
+    const mensaje = messageStatusService.getMessage(req.params.wamid);
+
+    if (!mensaje) {
+        return res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+
+    res.status(200).json(mensaje);
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { sendMessage } from '../services/messageService.js';
+import { notificarPedido } from '../services/orderNotificationService.js';
+import { WhatsAppError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -12,11 +13,16 @@ router.post('/api/notificar-pedido', async (req, res) => {
     }
 
     try {
-        const mensaje = `🔔 *Actualización de Pedido* 🔔\n\nTu pedido *#${id_pedido}* ha cambiado de estado a: *${estado.toUpperCase()}*.\n\nGracias por tu preferencia! 🥜`;
-        await sendMessage(telefono, mensaje);
+        const wamid = await notificarPedido({ id_pedido, estado, telefono });
+
         console.log(`✅ Notificación enviada a ${telefono} para pedido #${id_pedido}`);
-        res.status(200).json({ success: true, message: 'Notificación enviada' });
+        res.status(200).json({ success: true, message: 'Notificación enviada', wamid });
     } catch (error) {
+        if (error instanceof WhatsAppError) {
+            console.error(`❌ WhatsApp rechazó la notificación a ${telefono} para pedido #${id_pedido}: ${error.name}`);
+            return res.status(502).json({ error: 'No se pudo enviar la notificación', tipo: error.name, code: error.code });
+        }
+
         console.error('❌ Error enviando notificación:', error);
         res.status(500).json({ error: 'Error interno al enviar notificación' });
     }
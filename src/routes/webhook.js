@@ -1,12 +1,12 @@
 import express from 'express';
-import { verificarWebhook, recibirMensaje } from '../controllers/webhookController.js';
+import { verificarWebhook, validarFirmaWebhook, recibirMensaje } from '../controllers/webhookController.js';
 
 const router = express.Router();
 
 // 🔹 Ruta para verificación del webhook (GET)
 router.get('/webhook', verificarWebhook);
 
-// 🔹 Ruta para recepción de mensajes (POST)
-router.post('/webhook', recibirMensaje);
+// 🔹 Ruta para recepción de mensajes (POST) - requiere firma válida de Meta
+router.post('/webhook', validarFirmaWebhook, recibirMensaje);
 
 export default router;
\ No newline at end of file
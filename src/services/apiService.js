@@ -1,5 +1,7 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { OrderTimeoutError, BackendUnavailableError, CircuitOpenError } from '../utils/errors.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
 
 // Cargar variables de entorno
 dotenv.config();
@@ -10,6 +12,12 @@ dotenv.config();
  * Este servicio encapsula todas las llamadas HTTP al backend API,
  * proporcionando una capa de abstracción con manejo de errores,
  * logging y configuración centralizada.
+ *
+ * Todas las peticiones pasan por un circuit breaker: después de
+ * API_CIRCUIT_FAILURES fallos seguidos (sin respuesta, timeout o 5xx) las
+ * peticiones se rechazan de inmediato con CircuitOpenError durante
+ * API_CIRCUIT_RESET_SECONDS, en vez de esperar el timeout en cada mensaje.
+ * Mientras tanto buscarProductos responde con las últimas búsquedas exitosas.
  */
 
 // Configuración del cliente API
@@ -21,12 +29,32 @@ const API_CONFIG = {
   }
 };
 
+// Mensaje para el cliente cuando el backend no está disponible
+const MENSAJE_SIN_CONEXION = 'No se pudo conectar con el servidor. Por favor, intenta más tarde.';
+
 // Crear instancia de axios configurada
 const apiClient = axios.create(API_CONFIG);
 
-// Interceptor para logging de requests
+// Circuit breaker del backend (compartido por todas las peticiones)
+export const circuitoAPI = new CircuitBreaker({
+  nombre: 'backend',
+  umbralFallos: parseInt(process.env.API_CIRCUIT_FAILURES) || 5,
+  tiempoApertura: (parseInt(process.env.API_CIRCUIT_RESET_SECONDS) || 30) * 1000
+});
+
+// Un fallo del backend es no recibir respuesta o un error 5xx (un 4xx es una respuesta válida)
+function esFalloBackend(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+// Interceptor para logging de requests (y rechazo inmediato con el circuito abierto)
 apiClient.interceptors.request.use(
   (config) => {
+    if (!config.omitirCircuito && !circuitoAPI.permitirSolicitud()) {
+      console.warn(`⛔ API Request rechazada (circuito abierto): ${config.method.toUpperCase()} ${config.url}`);
+      throw new CircuitOpenError(MENSAJE_SIN_CONEXION, circuitoAPI.getEstado().abiertoHasta);
+    }
+
     console.log(`🌐 API Request: ${config.method.toUpperCase()} ${config.url}`);
     return config;
   },
@@ -39,16 +67,47 @@ apiClient.interceptors.request.use(
 // Interceptor para logging de responses
 apiClient.interceptors.response.use(
   (response) => {
+    circuitoAPI.registrarExito();
     console.log(`✅ API Response: ${response.config.url} - Status: ${response.status}`);
     return response;
   },
   (error) => {
+    // Rechazada por el circuito: no llegó a enviarse
+    if (error instanceof CircuitOpenError) {
+      return Promise.reject(error);
+    }
+
+    if (esFalloBackend(error)) {
+      circuitoAPI.registrarFallo(error);
+    } else {
+      circuitoAPI.registrarExito();
+    }
+
     const errorMsg = error.response?.data?.detail || error.message;
     console.error(`❌ API Response Error: ${error.config?.url} - ${errorMsg}`);
     return Promise.reject(error);
   }
 );
 
+// Últimas búsquedas de productos exitosas, para responder consultas con el backend caído
+const BUSQUEDAS_RECIENTES_MAX = 200;
+const busquedasRecientes = new Map();
+
+function claveBusqueda(nombre, limit) {
+  return `${String(nombre || '').trim().toLowerCase()}|${limit}`;
+}
+
+function guardarBusqueda(nombre, limit, productos) {
+  const clave = claveBusqueda(nombre, limit);
+
+  // Map conserva el orden de inserción: la más antigua es la primera
+  busquedasRecientes.delete(clave);
+  busquedasRecientes.set(clave, { productos, guardadoEn: Date.now() });
+  if (busquedasRecientes.size > BUSQUEDAS_RECIENTES_MAX) {
+    busquedasRecientes.delete(busquedasRecientes.keys().next().value);
+  }
+}
+
 /**
  * Valida si un número de teléfono está registrado en el sistema
  *
@@ -85,6 +144,11 @@ export async function validarTelefono(telefono) {
 
     return response.data;
   } catch (error) {
+    // Circuito abierto: el backend no está disponible
+    if (error instanceof CircuitOpenError) {
+      throw error;
+    }
+
     // Manejar diferentes tipos de errores
     if (error.response) {
       // El servidor respondió con un código de error
@@ -105,7 +169,7 @@ export async function validarTelefono(telefono) {
     } else if (error.request) {
       // La petición fue hecha pero no se recibió respuesta
       console.error('❌ Sin respuesta del servidor API:', error.message);
-      throw new Error('No se pudo conectar con el servidor. Por favor, intenta más tarde.');
+      throw new Error(MENSAJE_SIN_CONEXION);
     } else {
       // Error al configurar la petición
       console.error('❌ Error al configurar petición:', error.message);
@@ -177,7 +241,7 @@ export async function registrarCliente(telefono, nombre) {
     } else if (error.request) {
       // La petición fue hecha pero no se recibió respuesta
       console.error('❌ Sin respuesta del servidor API:', error.message);
-      throw new Error('No se pudo conectar con el servidor. Por favor, intenta más tarde.');
+      throw new Error(MENSAJE_SIN_CONEXION);
     } else {
       // Error de validación local o al configurar la petición
       console.error('❌ Error en registro:', error.message);
@@ -191,6 +255,10 @@ export async function registrarCliente(telefono, nombre) {
  *
  * @param {string} nombre - Término de búsqueda (nombre del producto o palabra clave)
  * @param {number} limit - Número máximo de resultados (default: 3)
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.respaldoEnCache=false] - Si el backend no está disponible,
+ *   responder con la última búsqueda exitosa del mismo término (solo para consultas:
+ *   los precios y el stock pueden estar desactualizados)
  * @returns {Promise<Array>} - Array de productos encontrados
  * @returns {number} [].id_producto - ID del producto
  * @returns {string} [].nombre - Nombre del producto
@@ -207,7 +275,7 @@ export async function registrarCliente(telefono, nombre) {
  *   productos.forEach(p => console.log(`- ${p.nombre}: $${p.precio_unitario}`));
  * }
  */
-export async function buscarProductos(nombre, limit = 3) {
+export async function buscarProductos(nombre, limit = 3, { respaldoEnCache = false } = {}) {
   try {
     console.log(`🔍 Buscando productos con término: "${nombre}" (límite: ${limit})`);
 
@@ -232,6 +300,7 @@ export async function buscarProductos(nombre, limit = 3) {
     const response = await apiClient.get(`/api/v1/bot/buscar-productos?${params.toString()}`);
 
     const productos = response.data || [];
+    guardarBusqueda(nombre, validLimit, productos);
 
     console.log(`✅ Búsqueda completada: ${productos.length} producto(s) encontrado(s) para "${nombre}"`);
 
@@ -244,6 +313,16 @@ export async function buscarProductos(nombre, limit = 3) {
 
     return productos;
   } catch (error) {
+    // Backend no disponible: responder con la última búsqueda exitosa del mismo término
+    if (respaldoEnCache && (error instanceof CircuitOpenError || (!error.response && error.request))) {
+      const guardada = busquedasRecientes.get(claveBusqueda(nombre, Math.max(1, Math.min(limit, 10))));
+      if (guardada) {
+        const minutos = Math.round((Date.now() - guardada.guardadoEn) / 60000);
+        console.warn(`📦 Backend no disponible: búsqueda "${nombre}" respondida desde caché (hace ${minutos} min)`);
+        return guardada.productos;
+      }
+    }
+
     // Manejar diferentes tipos de errores
     if (error.response) {
       // El servidor respondió con un código de error
@@ -262,7 +341,7 @@ export async function buscarProductos(nombre, limit = 3) {
     } else if (error.request) {
       // La petición fue hecha pero no se recibió respuesta
       console.error('❌ Sin respuesta del servidor API:', error.message);
-      throw new Error('No se pudo conectar con el servidor. Por favor, intenta más tarde.');
+      throw new Error(MENSAJE_SIN_CONEXION);
     } else {
       // Error de validación local o al configurar la petición
       console.error('❌ Error en búsqueda de productos:', error.message);
@@ -271,6 +350,29 @@ export async function buscarProductos(nombre, limit = 3) {
   }
 }
 
+/**
+ * Obtiene el catálogo completo de productos activos
+ *
+ * Lo usa catalogService para la caché local de productos. Un backend sin
+ * este endpoint responde 404 y las búsquedas siguen yendo al backend.
+ *
+ * @returns {Promise<Array>} - Productos con el formato de buscarProductos
+ * @throws {Error} Si hay un error de red o el servidor no responde
+ */
+export async function obtenerCatalogo() {
+  try {
+    console.log('📚 Obteniendo catálogo completo de productos');
+
+    const response = await apiClient.get('/api/v1/bot/productos');
+
+    console.log(`✅ Catálogo obtenido: ${response.data.length} producto(s)`);
+    return response.data;
+  } catch (error) {
+    console.error('❌ Error al obtener el catálogo:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Crea un pedido completo con todos los detalles
  *
@@ -284,6 +386,8 @@ export async function buscarProductos(nombre, limit = 3) {
  * @param {number} payload.detalles[].id_producto - ID del producto
  * @param {number} payload.detalles[].cantidad - Cantidad del producto
  * @param {number} [payload.descuento_manual=0] - Descuento manual opcional
+ * @param {string} [payload.clave_idempotencia] - Clave única del checkout: el backend
+ *   no crea un segundo pedido con la misma clave (se envía también como Idempotency-Key)
  * @returns {Promise<Object>} - Objeto con información del pedido creado
  * @returns {Object} .pedido - Datos del pedido creado
  * @returns {number} .pedido.id_pedido - ID del pedido generado
@@ -291,6 +395,8 @@ export async function buscarProductos(nombre, limit = 3) {
  * @returns {string} .pedido.estado - Estado del pedido
  * @returns {string} .mensaje - Mensaje de confirmación
  *
+ * @throws {OrderTimeoutError} Si el backend no respondió a tiempo (el pedido pudo quedar creado)
+ * @throws {BackendUnavailableError} Si no hay conexión con el backend o responde 502/503/504
  * @throws {Error} Si hay un error de red, el servidor no responde, o los datos son inválidos
  *
  * @example
@@ -352,7 +458,8 @@ export async function crearPedidoCompleto(payload) {
       canal: payload.canal || 'whatsapp',
       metodo_pago: payload.metodo_pago || 'pendiente',
       detalles: payload.detalles,
-      descuento_manual: payload.descuento_manual || 0
+      descuento_manual: payload.descuento_manual || 0,
+      ...(payload.clave_idempotencia && { clave_idempotencia: payload.clave_idempotencia })
     };
 
     console.log(`📤 Enviando pedido al backend:`, {
@@ -362,7 +469,9 @@ export async function crearPedidoCompleto(payload) {
       direccion: requestPayload.direccion_envio
     });
 
-    const response = await apiClient.post('/api/v1/bot/crear-pedido-completo', requestPayload);
+    const response = await apiClient.post('/api/v1/bot/crear-pedido-completo', requestPayload, {
+      headers: payload.clave_idempotencia ? { 'Idempotency-Key': payload.clave_idempotencia } : {}
+    });
 
     console.log(`✅ Pedido creado exitosamente: ID ${response.data.pedido?.id_pedido || response.data.id_pedido}`);
 
@@ -376,6 +485,11 @@ export async function crearPedidoCompleto(payload) {
 
       console.error(`❌ Error al crear pedido (${statusCode}): ${errorDetail}`);
 
+      // Backend caído o detrás de un proxy sin respuesta: el pedido no se procesó
+      if ([502, 503, 504].includes(statusCode)) {
+        throw new BackendUnavailableError(MENSAJE_SIN_CONEXION, statusCode);
+      }
+
       // Errores específicos del negocio
       if (statusCode === 400) {
         throw new Error(`Datos inválidos: ${errorDetail}`);
@@ -388,10 +502,14 @@ export async function crearPedidoCompleto(payload) {
       }
 
       throw new Error(`Error del servidor: ${errorDetail}`);
+    } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      // El backend recibió el pedido pero no respondió a tiempo: pudo quedar creado
+      console.error(`⏱️ Tiempo de espera agotado al crear pedido (clave: ${payload.clave_idempotencia || 'sin clave'})`);
+      throw new OrderTimeoutError('El servidor tardó demasiado en responder.', payload.clave_idempotencia || null);
     } else if (error.request) {
       // La petición fue hecha pero no se recibió respuesta
       console.error('❌ Sin respuesta del servidor API:', error.message);
-      throw new Error('No se pudo conectar con el servidor. Por favor, intenta más tarde.');
+      throw new BackendUnavailableError(MENSAJE_SIN_CONEXION);
     } else {
       // Error de validación local o al configurar la petición
       console.error('❌ Error al crear pedido:', error.message);
@@ -425,25 +543,42 @@ export async function obtenerMisPedidos(idCliente) {
 }
 
 /**
- * Verifica el estado del servidor API
+ * Verifica el estado del servidor API y del circuit breaker
+ *
+ * La consulta a /health se hace aunque el circuito esté abierto y su
+ * resultado cuenta para el circuito: si el backend responde, el circuito se cierra.
  *
- * @returns {Promise<boolean>} - true si el servidor está disponible, false en caso contrario
+ * @returns {Promise<Object>} - Estado del backend
+ * @returns {boolean} .disponible - true si /health respondió 200
+ * @returns {Object} .circuito - Estado del circuit breaker (ver CircuitBreaker.getEstado)
  *
  * @example
- * const disponible = await verificarEstadoAPI();
- * if (disponible) {
- *   console.log('API disponible');
+ * const { disponible, circuito } = await verificarEstadoAPI();
+ * if (!disponible) {
+ *   console.log(`API no disponible (circuito ${circuito.estado})`);
  * }
  */
 export async function verificarEstadoAPI() {
+  let disponible = false;
   try {
-    const response = await apiClient.get('/health', { timeout: 2000 });
+    const response = await apiClient.get('/health', { timeout: 2000, omitirCircuito: true });
     console.log('✅ API está disponible');
-    return response.status === 200;
+    disponible = response.status === 200;
   } catch (error) {
     console.error('❌ API no disponible:', error.message);
-    return false;
   }
+
+  return { disponible, circuito: circuitoAPI.getEstado() };
+}
+
+/**
+ * Indica si el backend se puede usar: false mientras el circuito está abierto
+ * (flowController entra en modo degradado)
+ *
+ * @returns {boolean}
+ */
+export function backendDisponible() {
+  return !circuitoAPI.estaAbierto();
 }
 
 /**
@@ -459,8 +594,10 @@ export default {
   validarTelefono,
   registrarCliente,
   buscarProductos,
+  obtenerCatalogo,
   crearPedidoCompleto,
   obtenerMisPedidos,
   verificarEstadoAPI,
+  backendDisponible,
   config: API_SERVICE_CONFIG
 };
@@ -1,17 +1,20 @@
 /**
  * Servicio de Gestión de Carrito de Compras
  *
- * Maneja el carrito en memoria por usuario con las siguientes características:
+ * Maneja el carrito por usuario con las siguientes características:
  * - Agregar productos al carrito con validación de stock
  * - Calcular totales automáticamente (precio por mayor si cantidad >= 5)
  * - Listar items del carrito
  * - Vaciar carrito
  * - Eliminar item específico
  * - Modificar cantidad de un item
+ * - Revalidar precios y stock contra el backend antes de confirmar
  * - El carrito se limpia cuando la sesión expira (15 minutos de inactividad)
  */
 
 import { sessionService } from './sessionService.js';
+import { buscarProductos, obtenerCatalogo } from './apiService.js';
+import { createStore } from '../storage/storageAdapter.js';
 
 /**
  * Estructura del carrito:
@@ -31,8 +34,8 @@ import { sessionService } from './sessionService.js';
 
 class CartService {
   constructor() {
-    // Almacén de carritos por usuario
-    this.carts = new Map();
+    // Almacén de carritos por usuario (persistente, ver storage/storageAdapter.js)
+    this.carts = createStore('carts');
 
     // Cantidad mínima para aplicar precio por mayor
     this.CANTIDAD_PRECIO_MAYOR = 5;
@@ -452,6 +455,93 @@ class CartService {
     };
   }
 
+  /**
+   * Revalida el carrito contra el backend antes de confirmar el pedido
+   *
+   * Los items guardan el precio y stock del momento en que se buscaron, y el
+   * carrito puede pasar hasta 15 minutos sin cambios. Se vuelve a consultar
+   * cada producto y se ajusta el carrito:
+   * - Precio distinto: se actualiza (y se recalcula el precio por mayor)
+   * - Stock menor a la cantidad: se reduce la cantidad al stock disponible
+   * - Sin stock o ya no existe: se quita del carrito
+   *
+   * Cada producto se busca por nombre; si la búsqueda no lo devuelve (puede
+   * quedar fuera de los primeros resultados) se busca por id en el catálogo
+   * completo. Si el backend no tiene catálogo el item se mantiene sin cambios:
+   * el backend valida el stock al crear el pedido.
+   *
+   * @param {string} telefono - Número de teléfono del usuario
+   * @returns {Promise<Object>} - { cambios, totales }
+   *   cambios: [{ tipo: 'precio'|'stock'|'agotado', nombre, antes, despues }]
+   * @throws {Error} Si no se puede consultar el backend (el carrito no se modifica)
+   */
+  async revalidateCart(telefono) {
+    const cart = this.getCart(telefono);
+    const cambios = [];
+    const actualizado = [];
+
+    // Consultar todos los productos antes de modificar el carrito
+    const productos = await Promise.all(cart.map(async (item) => {
+      const resultados = await buscarProductos(item.nombre, 10);
+      return resultados.find(p => p.id_producto === item.id_producto) || null;
+    }));
+
+    // Productos que la búsqueda no devolvió: buscarlos por id en el catálogo
+    let catalogo = null;
+    if (productos.includes(null)) {
+      try {
+        catalogo = await obtenerCatalogo();
+      } catch (error) {
+        console.warn(`⚠️ No se pudo consultar el catálogo para revalidar el carrito de ${telefono}:`, error.message);
+      }
+    }
+
+    cart.forEach((item, index) => {
+      let producto = productos[index];
+
+      if (!producto && !catalogo) {
+        console.warn(`⚠️ ${item.nombre} no se pudo verificar, se mantiene en el carrito de ${telefono}`);
+        actualizado.push(item);
+        return;
+      }
+
+      producto = producto || catalogo.find(p => p.id_producto === item.id_producto);
+
+      if (!producto || producto.stock_actual <= 0) {
+        cambios.push({ tipo: 'agotado', nombre: item.nombre, antes: item.cantidad, despues: 0 });
+        return;
+      }
+
+      let cantidad = item.cantidad;
+      if (producto.stock_actual < cantidad) {
+        cambios.push({ tipo: 'stock', nombre: item.nombre, antes: cantidad, despues: producto.stock_actual });
+        cantidad = producto.stock_actual;
+      }
+
+      // Comparar con el precio anterior para la misma cantidad (un ajuste de stock
+      // puede sacar el item del precio por mayor sin que el precio haya cambiado)
+      const nuevoItem = this._createCartItem({ ...producto, nombre: item.nombre }, cantidad);
+      const precioAnterior = nuevoItem.aplicaPrecioMayor ? item.precio_por_mayor : item.precio_unitario;
+      if (nuevoItem.precio_aplicado !== precioAnterior) {
+        cambios.push({ tipo: 'precio', nombre: item.nombre, antes: precioAnterior, despues: nuevoItem.precio_aplicado });
+      }
+
+      actualizado.push(nuevoItem);
+    });
+
+    if (actualizado.length > 0) {
+      this.carts.set(telefono, actualizado);
+    } else {
+      this.carts.delete(telefono);
+    }
+
+    if (cambios.length > 0) {
+      console.log(`🔄 Carrito revalidado para ${telefono}: ${cambios.length} cambio(s)`);
+    }
+
+    return { cambios, totales: this.getCartTotals(telefono) };
+  }
+
   /**
    * Prepara los datos del carrito para enviar al backend al crear el pedido
    * @param {string} telefono - Número de teléfono del usuario
@@ -0,0 +1,182 @@
+/**
+ * Catálogo local de productos
+ *
+ * Mantiene en memoria una copia completa del catálogo del backend para que
+ * las búsquedas de productos no hagan una petición por cada producto
+ * mencionado:
+ * - Se carga al iniciar el bot (index.js) y se actualiza cada
+ *   CATALOG_REFRESH_MINUTES, o al recibir POST /api/catalogo/invalidar
+ * - Las búsquedas son locales y aproximadas (sin tildes, con errores de
+ *   tipeo, plurales y sinónimos), con buscarPorNombre de
+ *   utils/productMatcher.js: lo mismo que reconoce la extracción local
+ *   se encuentra en el catálogo
+ * - Si una actualización falla se mantiene la copia anterior: el bot sigue
+ *   respondiendo aunque el backend esté lento o caído
+ * - Mientras no haya copia (backend sin GET /api/v1/bot/productos o caído al
+ *   iniciar) las búsquedas van al backend como antes
+ *
+ * El precio y el stock de la copia pueden estar desactualizados: antes de
+ * confirmar un pedido cartService.revalidateCart los consulta al backend.
+ */
+
+import { obtenerCatalogo, buscarProductos as buscarProductosAPI } from './apiService.js';
+import { buscarPorNombre } from '../utils/productMatcher.js';
+
+class CatalogService {
+  constructor() {
+    // Copia del catálogo, con el formato de buscarProductos
+    this.productos = [];
+    this.actualizadoEn = null;
+    this.ultimoError = null;
+
+    // Actualización en curso (las actualizaciones simultáneas esperan la misma)
+    this.actualizacion = null;
+
+    // Descarga pedida por una invalidación mientras había otra en curso
+    this.descargaPendiente = null;
+
+    // Intervalo de actualización (default: 10 minutos)
+    this.REFRESH_INTERVAL = (parseInt(process.env.CATALOG_REFRESH_MINUTES) || 10) * 60 * 1000;
+  }
+
+  /**
+   * Carga el catálogo e inicia la actualización periódica
+   * @returns {Promise<boolean>} - true si se cargó el catálogo
+   */
+  async start() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+    }
+
+    this.refreshInterval = setInterval(() => {
+      this.refresh();
+    }, this.REFRESH_INTERVAL);
+
+    return this.refresh();
+  }
+
+  /**
+   * Descarga el catálogo completo y reemplaza la copia local
+   * @returns {Promise<boolean>} - true si se actualizó
+   */
+  refresh() {
+    if (!this.actualizacion) {
+      this.actualizacion = this._descargar().finally(() => {
+        this.actualizacion = null;
+      });
+    }
+    return this.actualizacion;
+  }
+
+  /**
+   * Descarta la copia actual y la vuelve a descargar (webhook de invalidación)
+   *
+   * Una descarga en curso pudo empezar antes del cambio que se invalida: en
+   * ese caso se espera a que termine y se descarga de nuevo. Las
+   * invalidaciones que llegan mientras tanto esperan esa misma descarga.
+   *
+   * @returns {Promise<boolean>} - true si se actualizó
+   */
+  invalidate() {
+    console.log('📚 Catálogo invalidado: descargando de nuevo');
+
+    if (!this.actualizacion) {
+      return this.refresh();
+    }
+
+    if (!this.descargaPendiente) {
+      this.descargaPendiente = this.actualizacion.then(() => {
+        this.descargaPendiente = null;
+        return this.refresh();
+      });
+    }
+    return this.descargaPendiente;
+  }
+
+  /**
+   * Indica si hay una copia del catálogo para buscar localmente
+   * @returns {boolean}
+   */
+  isLoaded() {
+    return this.actualizadoEn !== null;
+  }
+
+  /**
+   * Busca productos por nombre en el catálogo local
+   * Sin catálogo cargado, la búsqueda va al backend (apiService.buscarProductos)
+   *
+   * @param {string} nombre - Término de búsqueda
+   * @param {number} [limit=3] - Número máximo de resultados (entre 1 y 10)
+   * @param {Object} [opciones] - Opciones de apiService.buscarProductos (sin catálogo)
+   * @returns {Promise<Array>} - Productos con el formato de buscarProductos
+   * @throws {Error} Si el término no es válido, o los errores del backend sin catálogo
+   */
+  async buscarProductos(nombre, limit = 3, opciones = {}) {
+    if (!this.isLoaded()) {
+      return buscarProductosAPI(nombre, limit, opciones);
+    }
+
+    if (!nombre || typeof nombre !== 'string' || nombre.trim().length < 2) {
+      throw new Error('El término de búsqueda debe tener al menos 2 caracteres');
+    }
+
+    const limite = Math.max(1, Math.min(limit, 10));
+    const productos = buscarPorNombre(nombre.trim(), this.productos, { limite })
+      .map(({ elemento }) => ({ ...elemento }));
+
+    console.log(`📚 Búsqueda local "${nombre.trim()}": ${productos.length} producto(s)`);
+    return productos;
+  }
+
+  /**
+   * Obtiene un producto del catálogo local por su ID
+   * @param {number} idProducto
+   * @returns {Object|null}
+   */
+  getProducto(idProducto) {
+    const producto = this.productos.find(p => p.id_producto === idProducto);
+    return producto ? { ...producto } : null;
+  }
+
+  /**
+   * Obtiene estadísticas del catálogo local
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      cargado: this.isLoaded(),
+      productos: this.productos.length,
+      actualizadoEn: this.actualizadoEn ? new Date(this.actualizadoEn).toISOString() : null,
+      antiguedadMinutos: this.actualizadoEn ? Math.floor((Date.now() - this.actualizadoEn) / 60000) : null,
+      ultimoError: this.ultimoError,
+      refreshMinutes: this.REFRESH_INTERVAL / 1000 / 60,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async _descargar() {
+    try {
+      const productos = await obtenerCatalogo();
+      if (!Array.isArray(productos)) {
+        throw new Error('La respuesta del catálogo no es una lista de productos');
+      }
+
+      this.productos = productos;
+      this.actualizadoEn = Date.now();
+      this.ultimoError = null;
+      console.log(`📚 Catálogo local actualizado: ${productos.length} producto(s)`);
+      return true;
+
+    } catch (error) {
+      this.ultimoError = error.message;
+      console.error(`❌ No se pudo actualizar el catálogo local (${this.isLoaded() ? 'se mantiene la copia anterior' : 'las búsquedas irán al backend'}):`, error.message);
+      return false;
+    }
+  }
+}
+
+// Instancia singleton del catálogo
+export const catalogService = new CatalogService();
+
+// Exportar también como default para compatibilidad
+export default catalogService;
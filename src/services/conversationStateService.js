@@ -1,13 +1,16 @@
 /**
  * Servicio para manejar estados de conversación y datos de clientes
  *
- * Este servicio mantiene el estado de las conversaciones en memoria,
- * incluyendo estados de flujo, datos temporales de registro,
- * y datos de clientes validados desde el backend.
+ * Este servicio mantiene el estado de las conversaciones, incluyendo estados
+ * de flujo, datos temporales de registro y datos de clientes validados desde
+ * el backend. Los datos se guardan con el adaptador de almacenamiento
+ * (ver storage/storageAdapter.js), por lo que sobreviven a reinicios.
  */
 
+import { createStore } from '../storage/storageAdapter.js';
+
 // Servicio para manejar estados de conversación
-const conversationStates = new Map();
+const conversationStates = createStore('conversation_states');
 
 // Estados posibles
 export const STATES = {
@@ -35,9 +38,13 @@ export const STATES = {
   ORDER_DELIVERY_CITY: 'order_delivery_city',
   ORDER_DELIVERY_COMUNA: 'order_delivery_comuna',
   ORDER_COURIER_SELECTION: 'order_courier_selection',
+  ORDER_REVIEWING_CHANGES: 'order_reviewing_changes',
   ORDER_CONFIRMING: 'order_confirming'
 };
 
+// Estados donde empieza la navegación: al llegar a ellos se olvidan los pasos previos
+const NAVIGATION_ROOTS = [STATES.INITIAL, STATES.WAITING_NAME, STATES.WAITING_LASTNAME, STATES.MENU];
+
 /**
  * Obtener estado actual del usuario
  * @param {string} telefono - Número de teléfono del usuario
@@ -47,14 +54,41 @@ export function getState(telefono) {
   return conversationStates.get(telefono) || STATES.INITIAL;
 }
 
+// Funciones notificadas antes de cada cambio de estado (ver onStateChange)
+const stateChangeListeners = [];
+
+/**
+ * Registrar una función que se ejecuta antes de cada cambio de estado
+ *
+ * Se llama con (telefono, estadoAnterior, estadoNuevo, { retroceso }). Si la
+ * función lanza un error, el estado no se modifica y el error llega a quien
+ * llamó a setState.
+ *
+ * @param {Function} listener - Función a notificar
+ */
+export function onStateChange(listener) {
+  stateChangeListeners.push(listener);
+}
+
 /**
  * Establecer estado del usuario
  * @param {string} telefono - Número de teléfono del usuario
  * @param {string} state - Nuevo estado (debe ser uno de STATES)
+ * @param {Object} [options]
+ * @param {boolean} [options.retroceso=false] - El cambio viene de "atrás" (no se apila)
  */
-export function setState(telefono, state) {
+export function setState(telefono, state, { retroceso = false } = {}) {
+  const estadoAnterior = getState(telefono);
+  for (const listener of stateChangeListeners) {
+    listener(telefono, estadoAnterior, state, { retroceso });
+  }
+
+  if (!retroceso) {
+    registrarNavegacion(telefono, estadoAnterior, state);
+  }
+
   conversationStates.set(telefono, state);
-  console.log(`🔄 Estado actualizado para ${telefono}: ${state}`);
+  console.log(`🔄 Estado actualizado para ${telefono}: ${state}${retroceso ? ' (atrás)' : ''}`);
 }
 
 /**
@@ -63,15 +97,100 @@ export function setState(telefono, state) {
  */
 export function clearState(telefono) {
   conversationStates.delete(telefono);
+  navigationStacks.delete(telefono);
   console.log(`🧹 Estado limpiado para ${telefono}`);
 }
 
+// ============================================
+// NAVEGACIÓN ("atrás")
+// ============================================
+
+/**
+ * Pila de estados anteriores por usuario, para volver al paso previo
+ * Estructura: Array<string> (el último elemento es el paso inmediatamente anterior)
+ */
+const navigationStacks = createStore('navigation_stacks');
+
+// Máximo de pasos que se recuerdan por usuario
+const MAX_NAVIGATION_DEPTH = 20;
+
+/**
+ * Registrar el paso de un estado a otro en la pila de navegación
+ *
+ * - Al llegar a un estado raíz (inicio, registro o menú principal) la pila se vacía
+ * - Si el estado nuevo ya está en la pila (el flujo volvió a un paso anterior),
+ *   se descarta desde ese punto para no repetir pasos al retroceder
+ *
+ * @param {string} telefono - Número de teléfono del usuario
+ * @param {string} anterior - Estado que se deja
+ * @param {string} nuevo - Estado al que se pasa
+ */
+function registrarNavegacion(telefono, anterior, nuevo) {
+  if (anterior === nuevo) return;
+
+  if (NAVIGATION_ROOTS.includes(nuevo)) {
+    navigationStacks.delete(telefono);
+    return;
+  }
+
+  const pila = navigationStacks.get(telefono) || [];
+  const indice = pila.indexOf(nuevo);
+
+  if (indice !== -1) {
+    pila.length = indice;
+  } else {
+    pila.push(anterior);
+    if (pila.length > MAX_NAVIGATION_DEPTH) pila.shift();
+  }
+
+  navigationStacks.set(telefono, pila);
+}
+
+/**
+ * Sacar el paso anterior de la pila de navegación
+ *
+ * @param {string} telefono - Número de teléfono del usuario
+ * @returns {string|null} - Estado anterior o null si no hay pasos previos
+ */
+export function popPreviousState(telefono) {
+  const pila = navigationStacks.get(telefono);
+  if (!pila || pila.length === 0) return null;
+
+  const anterior = pila.pop();
+  if (pila.length === 0) {
+    navigationStacks.delete(telefono);
+  } else {
+    navigationStacks.set(telefono, pila);
+  }
+
+  return anterior;
+}
+
+/**
+ * Obtener la pila de navegación del usuario (del paso más antiguo al más reciente)
+ *
+ * @param {string} telefono - Número de teléfono del usuario
+ * @returns {Array<string>}
+ */
+export function getNavigationStack(telefono) {
+  return [...(navigationStacks.get(telefono) || [])];
+}
+
+/**
+ * Vaciar la pila de navegación del usuario
+ *
+ * @param {string} telefono - Número de teléfono del usuario
+ */
+export function clearNavigationStack(telefono) {
+  navigationStacks.delete(telefono);
+}
+
 // ============================================
 // DATOS TEMPORALES DEL REGISTRO
 // ============================================
 
 // Almacén de datos temporales durante el proceso de registro
-const tempRegistrationData = new Map();
+const tempRegistrationData = createStore('temp_registration_data');
 
 /**
  * Guardar datos temporales del registro
@@ -117,7 +236,7 @@ export function clearTempData(telefono) {
  *   }
  * }
  */
-const clientDataStore = new Map();
+const clientDataStore = createStore('client_data');
 
 /**
  * Guardar datos del cliente validado desde el backend
@@ -253,7 +372,7 @@ export function clearAllClientData(telefono) {
 /**
  * Almacén de datos temporales de búsqueda de productos
  */
-const productSearchData = new Map();
+const productSearchData = createStore('product_search_data');
 
 /**
  * Guardar datos de búsqueda de productos
@@ -326,7 +445,7 @@ export function setSelectedProduct(telefono, producto) {
 /**
  * Almacén de datos del pedido en progreso
  */
-const orderData = new Map();
+const orderData = createStore('order_data');
 
 /**
  * Guardar datos del pedido en progreso
@@ -391,6 +510,176 @@ export function hasOrderData(telefono) {
   return orderData.has(telefono);
 }
 
+// ============================================
+// PEDIDOS CON PAGO PENDIENTE
+// ============================================
+
+/**
+ * Almacén de pedidos creados que esperan el comprobante de transferencia
+ *
+ * No se limpia al reiniciar la sesión: el cliente puede enviar el
+ * comprobante horas después de crear el pedido.
+ */
+const pendingPayments = createStore('pending_payments');
+
+// Tiempo durante el cual se acepta un comprobante para un pedido (48 horas)
+const PENDING_PAYMENT_TTL = 48 * 60 * 60 * 1000;
+
+/**
+ * Registrar un pedido creado que queda a la espera del pago
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @param {Object} pedido - Datos del pedido
+ * @param {number|string} pedido.id_pedido - ID del pedido en el backend
+ * @param {number} pedido.total - Total a transferir
+ */
+export function setPendingPayment(telefono, pedido) {
+  if (!telefono || !pedido || !pedido.id_pedido) {
+    console.error(`❌ Datos de pago pendiente inválidos para ${telefono}:`, pedido);
+    return;
+  }
+
+  pendingPayments.set(telefono, {
+    id_pedido: pedido.id_pedido,
+    total: pedido.total || 0,
+    comprobantes: [],
+    timestamp: Date.now()
+  });
+
+  console.log(`💳 Pago pendiente registrado para ${telefono}: pedido #${pedido.id_pedido}`);
+}
+
+/**
+ * Obtener el pedido con pago pendiente del cliente (si sigue vigente)
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @returns {Object|null} - Pedido pendiente de pago o null
+ */
+export function getPendingPayment(telefono) {
+  const data = pendingPayments.get(telefono);
+  if (!data) return null;
+
+  if (Date.now() - data.timestamp > PENDING_PAYMENT_TTL) {
+    pendingPayments.delete(telefono);
+    console.log(`⏰ Pago pendiente expirado para ${telefono}: pedido #${data.id_pedido}`);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Agregar un comprobante de transferencia al pedido pendiente de pago
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @param {Object} comprobante - Datos del archivo recibido (id de media, tipo, etc.)
+ * @returns {Object|null} - Pedido pendiente actualizado o null si no existe
+ */
+export function addPaymentReceipt(telefono, comprobante) {
+  const data = getPendingPayment(telefono);
+  if (!data) {
+    console.warn(`⚠️ No hay pago pendiente para ${telefono}, no se puede registrar el comprobante`);
+    return null;
+  }
+
+  data.comprobantes.push({ ...comprobante, recibido: Date.now() });
+  pendingPayments.set(telefono, data);
+
+  console.log(`🧾 Comprobante registrado para ${telefono}: pedido #${data.id_pedido} (${data.comprobantes.length} archivo(s))`);
+  return data;
+}
+
+/**
+ * Limpiar el pago pendiente del cliente
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ */
+export function clearPendingPayment(telefono) {
+  const deleted = pendingPayments.delete(telefono);
+  if (deleted) {
+    console.log(`🗑️ Pago pendiente eliminado para ${telefono}`);
+  }
+}
+
+// ============================================
+// CONTINUACIÓN DE MENSAJES LARGOS ("ver más")
+// ============================================
+
+/**
+ * Almacén de partes pendientes de mensajes largos enviados por partes
+ * Estructura: { partes: Array<string>, total: number, timestamp }
+ */
+const pendingContinuations = createStore('pending_continuations');
+
+// Tiempo durante el cual se puede pedir la siguiente parte (30 minutos)
+const CONTINUATION_TTL = 30 * 60 * 1000;
+
+/**
+ * Guardar las partes restantes de un mensaje largo
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @param {Array<string>} partes - Partes aún no enviadas (en orden)
+ * @param {number} total - Cantidad total de partes del mensaje
+ */
+export function setPendingContinuation(telefono, partes, total) {
+  if (!partes || partes.length === 0) {
+    pendingContinuations.delete(telefono);
+    return;
+  }
+
+  pendingContinuations.set(telefono, { partes: [...partes], total, timestamp: Date.now() });
+}
+
+/**
+ * Verificar si el cliente tiene partes pendientes (vigentes) de un mensaje
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @returns {boolean}
+ */
+export function hasPendingContinuation(telefono) {
+  const data = pendingContinuations.get(telefono);
+  if (!data) return false;
+
+  if (Date.now() - data.timestamp > CONTINUATION_TTL) {
+    pendingContinuations.delete(telefono);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Tomar la siguiente parte pendiente de un mensaje largo
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ * @returns {Object|null} - { parte, numero, total, restantes } o null si no hay partes
+ */
+export function takeNextContinuation(telefono) {
+  if (!hasPendingContinuation(telefono)) return null;
+
+  const data = pendingContinuations.get(telefono);
+  const parte = data.partes.shift();
+  const restantes = data.partes.length;
+
+  if (restantes === 0) {
+    pendingContinuations.delete(telefono);
+  } else {
+    data.timestamp = Date.now();
+    pendingContinuations.set(telefono, data);
+  }
+
+  return { parte, numero: data.total - restantes, total: data.total, restantes };
+}
+
+/**
+ * Limpiar las partes pendientes de un mensaje largo
+ *
+ * @param {string} telefono - Número de teléfono del cliente
+ */
+export function clearPendingContinuation(telefono) {
+  pendingContinuations.delete(telefono);
+}
+
 /**
  * Obtener estadísticas del servicio de estado
  * Útil para monitoring y debugging
@@ -404,6 +693,9 @@ export function getStateStats() {
     clientDataStore: clientDataStore.size,
     productSearchData: productSearchData.size,
     orderData: orderData.size,
+    pendingPayments: pendingPayments.size,
+    pendingContinuations: pendingContinuations.size,
+    navigationStacks: navigationStacks.size,
     timestamp: new Date().toISOString()
   };
 }
\ No newline at end of file
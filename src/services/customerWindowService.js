@@ -0,0 +1,135 @@
+/**
+ * Servicio de Ventana de Atención de 24 Horas
+ *
+ * WhatsApp solo permite mensajes libres (texto, botones, listas) dentro de
+ * las 24 horas siguientes al último mensaje del cliente. Fuera de esa ventana
+ * solo se pueden enviar plantillas aprobadas.
+ *
+ * Este servicio registra la fecha del último mensaje entrante de cada teléfono
+ * para que messageService decida, antes de enviar, si puede mandar texto libre
+ * o debe cambiar a una plantilla.
+ *
+ * Los registros se guardan con el adaptador de almacenamiento, así la ventana
+ * se conoce también después de reiniciar el bot. Un teléfono sin mensajes
+ * registrados se considera fuera de la ventana: enviar una plantilla siempre
+ * es válido.
+ */
+
+import { createStore } from '../storage/storageAdapter.js';
+
+class CustomerWindowService {
+  constructor() {
+    // Último mensaje entrante por teléfono: Map<telefono, timestamp>
+    this.lastInbound = createStore('customer_windows');
+
+    // Duración de la ventana de atención (24 horas)
+    this.WINDOW_DURATION = 24 * 60 * 60 * 1000;
+
+    // Margen de seguridad antes del cierre (5 minutos): evita enviar texto
+    // libre que llegue a Meta cuando la ventana ya se cerró
+    this.SAFETY_MARGIN = 5 * 60 * 1000;
+
+    // Intervalo de limpieza de ventanas cerradas (cada 1 hora)
+    this.CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+    this.startCleanup();
+  }
+
+  /**
+   * Registra un mensaje entrante del cliente (abre o renueva la ventana)
+   * @param {string} telefono - Número del cliente
+   * @param {number} [timestamp] - Fecha del mensaje en milisegundos (default: ahora)
+   */
+  registerInbound(telefono, timestamp = Date.now()) {
+    if (!telefono) return;
+
+    const anterior = this.lastInbound.get(telefono) || 0;
+    // Los mensajes pueden llegar desordenados: conservar el más reciente
+    if (timestamp > anterior) {
+      this.lastInbound.set(telefono, timestamp);
+    }
+  }
+
+  /**
+   * Verifica si se pueden enviar mensajes libres al cliente
+   * @param {string} telefono - Número del cliente
+   * @returns {boolean} - true si la ventana de 24 horas sigue abierta
+   */
+  isWindowOpen(telefono) {
+    const ultimo = this.lastInbound.get(telefono);
+    if (!ultimo) return false;
+
+    return Date.now() - ultimo < this.WINDOW_DURATION - this.SAFETY_MARGIN;
+  }
+
+  /**
+   * Obtiene información de la ventana de un cliente
+   * @param {string} telefono - Número del cliente
+   * @returns {Object} - { abierta, ultimoMensaje, cierraEn, minutosRestantes }
+   */
+  getWindowInfo(telefono) {
+    const ultimo = this.lastInbound.get(telefono) || null;
+    const cierraEn = ultimo ? ultimo + this.WINDOW_DURATION : null;
+
+    return {
+      abierta: this.isWindowOpen(telefono),
+      ultimoMensaje: ultimo,
+      cierraEn,
+      minutosRestantes: cierraEn ? Math.max(0, Math.round((cierraEn - Date.now()) / 1000 / 60)) : 0
+    };
+  }
+
+  /**
+   * Elimina los teléfonos cuya ventana ya se cerró
+   * @returns {number} - Cantidad de registros eliminados
+   */
+  cleanupExpired() {
+    const limite = Date.now() - this.WINDOW_DURATION;
+    let removed = 0;
+
+    for (const [telefono, ultimo] of this.lastInbound.entries()) {
+      if (ultimo < limite) {
+        this.lastInbound.delete(telefono);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Inicia la limpieza automática de ventanas cerradas
+   */
+  startCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpired();
+    }, this.CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Obtiene estadísticas de las ventanas registradas
+   * @returns {Object}
+   */
+  getStats() {
+    let abiertas = 0;
+    for (const telefono of this.lastInbound.keys()) {
+      if (this.isWindowOpen(telefono)) abiertas++;
+    }
+
+    return {
+      total: this.lastInbound.size,
+      abiertas,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Instancia singleton del servicio de ventana de atención
+export const customerWindowService = new CustomerWindowService();
+
+// Exportar también como default para compatibilidad
+export default customerWindowService;
@@ -0,0 +1,151 @@
+/**
+ * Base de los proveedores de IA basados en chat (Mistral, OpenAI)
+ *
+ * Implementa las tareas de IA del bot con los prompts de prompts.js y la
+ * validación de cada respuesta. Cada proveedor solo implementa `complete`,
+ * que envía un prompt al modelo y devuelve el texto de la respuesta.
+ *
+ * Las tareas lanzan los errores del proveedor (sin API key, sin conexión,
+ * respuesta inválida): llm/index.js los captura y usa el proveedor local.
+ */
+
+import { promptTerminoBusqueda, promptProductosConCantidades } from './prompts.js';
+
+export class ChatProvider {
+  /**
+   * @param {string} nombre - Nombre del proveedor (para los logs)
+   */
+  constructor(nombre) {
+    this.nombre = nombre;
+  }
+
+  /**
+   * Envía un prompt al modelo
+   *
+   * @abstract
+   * @param {string} prompt - Mensaje del usuario para el modelo
+   * @param {Object} opciones
+   * @param {string} opciones.modelo - Modelo a usar
+   * @param {number} opciones.temperatura
+   * @param {number} opciones.maxTokens - Largo máximo de la respuesta
+   * @returns {Promise<string>} - Texto de la respuesta
+   */
+  async complete(prompt, opciones) {
+    throw new Error(`El proveedor ${this.nombre} no implementa complete()`);
+  }
+
+  /**
+   * Extrae el término de búsqueda de producto del mensaje del usuario
+   *
+   * @param {string} mensaje - El mensaje del usuario
+   * @param {Object} opciones
+   * @param {string} opciones.modelo - Modelo a usar
+   * @returns {Promise<string|null>} - El término de búsqueda o null si no hay producto mencionado
+   */
+  async extractSearchTerm(mensaje, { modelo }) {
+    const contenido = await this.complete(promptTerminoBusqueda(mensaje), {
+      modelo,
+      temperatura: 0.1,
+      maxTokens: 30
+    });
+
+    const respuesta = contenido.trim().toLowerCase();
+
+    console.log(`🤖 ${this.nombre} extrajo término de búsqueda: "${respuesta}" del mensaje: "${mensaje}"`);
+
+    // Si la respuesta es "null", retornar null
+    if (respuesta === 'null') {
+      console.log(`ℹ️ No se detectó ningún producto en el mensaje`);
+      return null;
+    }
+
+    // Validar que la respuesta no sea demasiado larga (probablemente un error)
+    if (respuesta.length > 50) {
+      console.warn(`⚠️ Término de búsqueda demasiado largo, probablemente un error: "${respuesta}"`);
+      return null;
+    }
+
+    return respuesta;
+  }
+
+  /**
+   * Extrae múltiples productos con sus cantidades del mensaje del usuario
+   *
+   * @param {string} mensaje - El mensaje del usuario con múltiples productos
+   * @param {Object} opciones
+   * @param {string} opciones.modelo - Modelo a usar
+   * @returns {Promise<Array<{nombre: string, cantidad: number}>>} - Array de productos con cantidades
+   * @throws {Error} Si la respuesta no es JSON válido
+   */
+  async extractProducts(mensaje, { modelo }) {
+    const respuesta = (await this.complete(promptProductosConCantidades(mensaje), {
+      modelo,
+      temperatura: 0.1,
+      maxTokens: 500
+    })).trim();
+
+    console.log(`🤖 ${this.nombre} extrajo productos múltiples:`, respuesta);
+
+    // Limpiar la respuesta (remover posibles markdown code blocks)
+    const cleanedResponse = respuesta
+      .replace(/```json/g, '')
+      .replace(/```/g, '')
+      .trim();
+
+    // Parsear JSON
+    let productos;
+    try {
+      productos = JSON.parse(cleanedResponse);
+    } catch (parseError) {
+      console.error(`❌ Error al parsear JSON de ${this.nombre}:`, parseError.message);
+      console.error('Respuesta recibida:', cleanedResponse);
+      throw new Error(`Respuesta de ${this.nombre} no es JSON válido`);
+    }
+
+    // Validar que sea un array
+    if (!Array.isArray(productos)) {
+      console.warn(`⚠️ La respuesta de ${this.nombre} no es un array, retornando array vacío`);
+      return [];
+    }
+
+    // Validar estructura de cada producto
+    productos = productos.filter(p => {
+      if (!p.nombre || typeof p.nombre !== 'string') {
+        console.warn('⚠️ Producto sin nombre válido, omitiendo:', p);
+        return false;
+      }
+      if (!p.cantidad || typeof p.cantidad !== 'number' || p.cantidad <= 0) {
+        console.warn('⚠️ Producto con cantidad inválida, asignando cantidad 1:', p);
+        p.cantidad = 1;
+      }
+      return true;
+    });
+
+    // Normalizar nombres a minúsculas
+    productos = productos.map(p => ({
+      nombre: p.nombre.toLowerCase().trim(),
+      cantidad: Math.floor(p.cantidad) // Asegurar que sea entero
+    }));
+
+    console.log(`✅ Productos extraídos exitosamente: ${productos.length} producto(s)`);
+    productos.forEach((p, i) => {
+      console.log(`  ${i + 1}. ${p.nombre} - Cantidad: ${p.cantidad}`);
+    });
+
+    return productos;
+  }
+
+  /**
+   * Detecta el nombre del producto que el usuario está buscando
+   * Usa el mismo prompt que extractSearchTerm; es una tarea aparte para
+   * poder asignarle otro proveedor o modelo
+   *
+   * @param {string} mensaje - El mensaje del usuario
+   * @param {Object} opciones
+   * @param {string} opciones.modelo - Modelo a usar
+   * @returns {Promise<string|null>} - El nombre del producto detectado o null
+   */
+  async detectProduct(mensaje, opciones) {
+    return this.extractSearchTerm(mensaje, opciones);
+  }
+}
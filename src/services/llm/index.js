@@ -0,0 +1,148 @@
+import dotenv from 'dotenv';
+import { MistralProvider } from './mistralProvider.js';
+import { OpenAIProvider } from './openaiProvider.js';
+import { StubProvider } from './stubProvider.js';
+
+dotenv.config();
+
+/**
+ * Proveedores de IA
+ *
+ * Las tareas de IA del bot (extraer el término de búsqueda, extraer varios
+ * productos con cantidades, detectar un producto) se piden con
+ * `runTask(tarea, mensaje)` y las resuelve el proveedor configurado:
+ * - 'mistral' (default): Mistral AI (MISTRAL_API_KEY)
+ * - 'openai': OpenAI (OPENAI_API_KEY)
+ * - 'stub': reglas locales deterministas, sin llamadas externas
+ *
+ * LLM_PROVIDER y LLM_MODEL definen el proveedor y modelo de todas las
+ * tareas; cada tarea puede usar otros con LLM_<TAREA>_PROVIDER y
+ * LLM_<TAREA>_MODEL (ej: LLM_PRODUCTS_PROVIDER=openai). Sin modelo se usa
+ * el modelo por defecto del proveedor.
+ *
+ * Si el proveedor falla (sin API key, sin conexión, respuesta inválida) la
+ * tarea se resuelve con el proveedor 'stub', así el bot sigue funcionando
+ * sin IA.
+ *
+ * Para agregar otro proveedor basta con una clase que extienda ChatProvider
+ * (chatProvider.js) e implemente `complete`, registrada en PROVEEDORES.
+ *
+ * @example
+ * import { runTask, TAREAS_LLM } from './llm/index.js';
+ * const termino = await runTask(TAREAS_LLM.TERMINO_BUSQUEDA, 'Cuánto cuestan las almendras?');
+ */
+
+export const TAREAS_LLM = {
+  TERMINO_BUSQUEDA: 'terminoBusqueda',
+  PRODUCTOS: 'productos',
+  DETECCION_PRODUCTO: 'deteccionProducto'
+};
+
+// Método del proveedor y prefijo de variables de entorno de cada tarea
+const TAREAS = {
+  [TAREAS_LLM.TERMINO_BUSQUEDA]: { metodo: 'extractSearchTerm', variable: 'SEARCH_TERM' },
+  [TAREAS_LLM.PRODUCTOS]: { metodo: 'extractProducts', variable: 'PRODUCTS' },
+  [TAREAS_LLM.DETECCION_PRODUCTO]: { metodo: 'detectProduct', variable: 'DETECTION' }
+};
+
+const PROVEEDORES = {
+  mistral: () => new MistralProvider(),
+  openai: () => new OpenAIProvider(),
+  stub: () => new StubProvider()
+};
+
+export const LLM_CONFIG = {
+  PROVEEDOR: process.env.LLM_PROVIDER || 'mistral',
+  MODELO: process.env.LLM_MODEL || null,
+  TAREAS: Object.fromEntries(Object.entries(TAREAS).map(([tarea, { variable }]) => [tarea, {
+    proveedor: process.env[`LLM_${variable}_PROVIDER`] || null,
+    modelo: process.env[`LLM_${variable}_MODEL`] || null
+  }]))
+};
+
+// Proveedores creados (uno por nombre)
+const instancias = new Map();
+
+/**
+ * Obtiene (o crea) un proveedor por nombre
+ * @param {string} nombre - 'mistral', 'openai' o 'stub'
+ * @returns {Object} - Proveedor
+ */
+export function getProvider(nombre) {
+  if (instancias.has(nombre)) {
+    return instancias.get(nombre);
+  }
+
+  const crear = PROVEEDORES[nombre];
+  if (!crear) {
+    throw new Error(`Proveedor de IA desconocido: "${nombre}" (opciones: ${Object.keys(PROVEEDORES).join(', ')})`);
+  }
+
+  const proveedor = crear();
+  instancias.set(nombre, proveedor);
+  return proveedor;
+}
+
+/**
+ * Proveedor y modelo configurados para una tarea
+ * @param {string} tarea - Uno de TAREAS_LLM
+ * @returns {{ proveedor: Object, modelo: string }}
+ */
+export function getTaskConfig(tarea) {
+  validarTarea(tarea);
+
+  const configTarea = LLM_CONFIG.TAREAS[tarea];
+  const nombre = configTarea.proveedor || LLM_CONFIG.PROVEEDOR;
+  const proveedor = getProvider(nombre);
+
+  // LLM_MODEL solo aplica al proveedor global: otro proveedor usa su modelo por defecto
+  const modeloGlobal = nombre === LLM_CONFIG.PROVEEDOR ? LLM_CONFIG.MODELO : null;
+
+  return {
+    proveedor,
+    modelo: configTarea.modelo || modeloGlobal || proveedor.modeloPorDefecto
+  };
+}
+
+/**
+ * Resuelve una tarea de IA con el proveedor configurado
+ * Si el proveedor falla, o la configuración nombra un proveedor que no
+ * existe (ej: LLM_PROVIDER=mistrall), la resuelve el proveedor local ('stub')
+ *
+ * @param {string} tarea - Uno de TAREAS_LLM
+ * @param {string} mensaje - El mensaje del usuario
+ * @returns {Promise<*>} - Resultado de la tarea (ver el método de cada proveedor)
+ * @throws {Error} Si la tarea no existe
+ */
+export async function runTask(tarea, mensaje) {
+  validarTarea(tarea);
+  const { metodo } = TAREAS[tarea];
+  const local = getProvider('stub');
+
+  let config;
+  try {
+    config = getTaskConfig(tarea);
+  } catch (error) {
+    console.error(`❌ Configuración de IA inválida para la tarea ${tarea}, se usa la extracción local:`, error.message);
+    config = { proveedor: local, modelo: local.modeloPorDefecto };
+  }
+  const { proveedor, modelo } = config;
+
+  try {
+    return await proveedor[metodo](mensaje, { modelo });
+  } catch (error) {
+    console.error(`❌ Error de ${proveedor.nombre} (${modelo}) en la tarea ${tarea}:`, error.message);
+
+    if (proveedor === local) throw error;
+
+    console.log(`⚠️ Usando extracción local para ${tarea} (${proveedor.nombre} no disponible)`);
+    return local[metodo](mensaje, { modelo: local.modeloPorDefecto });
+  }
+}
+
+// Las tareas desconocidas son un error del código, no de configuración
+function validarTarea(tarea) {
+  if (!TAREAS[tarea]) {
+    throw new Error(`Tarea de IA desconocida: "${tarea}" (opciones: ${Object.keys(TAREAS).join(', ')})`);
+  }
+}
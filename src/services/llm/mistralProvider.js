@@ -0,0 +1,32 @@
+/**
+ * Proveedor de IA: Mistral AI
+ *
+ * Requiere MISTRAL_API_KEY. Modelo por defecto: mistral-small-latest
+ */
+
+import { Mistral } from '@mistralai/mistralai';
+import { ChatProvider } from './chatProvider.js';
+
+export class MistralProvider extends ChatProvider {
+  constructor() {
+    super('Mistral');
+    this.modeloPorDefecto = 'mistral-small-latest';
+    this.client = new Mistral({ apiKey: process.env.MISTRAL_API_KEY });
+  }
+
+  async complete(prompt, { modelo, temperatura, maxTokens }) {
+    const chatResponse = await this.client.chat.complete({
+      model: modelo,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: temperatura,
+      maxTokens
+    });
+
+    return chatResponse.choices[0].message.content;
+  }
+}
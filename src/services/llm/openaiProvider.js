@@ -0,0 +1,39 @@
+/**
+ * Proveedor de IA: OpenAI
+ *
+ * Requiere OPENAI_API_KEY. Modelo por defecto: gpt-4o-mini
+ * El cliente se crea en la primera petición: sin API key el SDK lanza un
+ * error al construirlo, y así ese error llega a la tarea (que usa el
+ * proveedor local) en vez de impedir que el bot arranque.
+ */
+
+import OpenAI from 'openai';
+import { ChatProvider } from './chatProvider.js';
+
+export class OpenAIProvider extends ChatProvider {
+  constructor() {
+    super('OpenAI');
+    this.modeloPorDefecto = 'gpt-4o-mini';
+    this.client = null;
+  }
+
+  async complete(prompt, { modelo, temperatura, maxTokens }) {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+
+    const completion = await this.client.chat.completions.create({
+      model: modelo,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      temperature: temperatura,
+      max_tokens: maxTokens
+    });
+
+    return completion.choices[0].message.content || '';
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Prompts de las tareas de IA
+ *
+ * Los comparten todos los proveedores de chat (Mistral, OpenAI): cada uno
+ * solo cambia el cliente y el modelo, no las instrucciones.
+ */
+
+/**
+ * Prompt para extraer el término de búsqueda de un producto
+ * Respuesta esperada: el término en minúsculas, o "null"
+ * @param {string} mensaje - El mensaje del usuario
+ * @returns {string}
+ */
+export function promptTerminoBusqueda(mensaje) {
+  return `Eres un asistente experto en identificar términos de búsqueda de productos en mensajes de clientes de "El Manicero", una tienda especializada.
+
+PRODUCTOS QUE VENDEMOS (ejemplos, no limitativo):
+- Frutos secos: almendras, nueces, maní, pistachos, castañas, avellanas, etc.
+- Hierbas: menta, albahaca, romero, tomillo, cilantro, orégano, etc.
+- Tés e infusiones: té verde, té negro, té rojo, tisanas, etc.
+- Condimentos: comino, pimienta, pimentón, ajo, cebolla, etc.
+- Especias: canela, clavo, jengibre, cúrcuma, curry, cardamomo, etc.
+- Frutas deshidratadas: mango, piña, durazno, arándanos, pasas, higos, etc.
+- Dulces y gomitas: gomitas, caramelos, dulces, etc.
+- Chocolates y cacao: cacao, chocolate, cocoa, etc.
+- Semillas: chía, linaza, sésamo, girasol, etc.
+- Y muchos otros productos relacionados
+
+Tu tarea es EXTRAER el término de búsqueda del producto mencionado en el mensaje del cliente.
+
+REGLAS IMPORTANTES:
+1. Extrae solo el NOMBRE o TÉRMINO DE BÚSQUEDA del producto mencionado
+2. NO inventes productos que no están en el mensaje
+3. Ignora palabras de consulta como "tienen", "hay", "venden" - enfócate solo en el PRODUCTO
+4. Maneja variaciones: singular/plural, con/sin tildes, errores ortográficos
+5. Si el cliente menciona un producto genérico (ej: "cacao", "té verde"), extrae ese término
+6. Si menciona una variación específica (ej: "cacao amargo", "té verde orgánico"), extrae el término completo
+7. Si NO se menciona ningún producto, devuelve exactamente: null
+8. NO agregues explicaciones ni contexto adicional
+
+EJEMPLOS:
+- "Tienen cacao amargo?" → cacao amargo
+- "Hay té verde disponible?" → té verde
+- "Cuánto cuestan las almendras?" → almendras
+- "Precio de los pistachos" → pistachos
+- "Quiero gomitas de frambuesa" → gomitas de frambuesa
+- "Venden canela en polvo?" → canela en polvo
+- "Me interesa el jengibre" → jengibre
+- "Hola, cómo están?" → null
+- "Cuál es el horario?" → null
+- "Gracias" → null
+
+Mensaje del cliente: "${mensaje}"
+
+Responde ÚNICAMENTE con el término de búsqueda del producto (en minúsculas, sin comillas, sin puntos) o "null" si no hay producto mencionado.`;
+}
+
+/**
+ * Prompt para extraer varios productos con sus cantidades
+ * Respuesta esperada: JSON [{ "nombre": string, "cantidad": number }]
+ * @param {string} mensaje - El mensaje del usuario
+ * @returns {string}
+ */
+export function promptProductosConCantidades(mensaje) {
+  return `Eres un asistente experto en extraer productos y cantidades de mensajes de clientes de "El Manicero".
+
+PRODUCTOS QUE VENDEMOS (ejemplos):
+- Frutos secos: almendras, nueces, maní, pistachos, castañas, avellanas, etc.
+- Hierbas: menta, albahaca, romero, tomillo, cilantro, orégano, etc.
+- Tés e infusiones: té verde, té negro, té rojo, tisanas, etc.
+- Condimentos: comino, pimienta, pimentón, ajo, cebolla, etc.
+- Especias: canela, clavo, jengibre, cúrcuma, curry, cardamomo, etc.
+- Frutas deshidratadas: mango, piña, durazno, arándanos, pasas, higos, etc.
+- Dulces y gomitas: gomitas, caramelos, dulces, etc.
+- Chocolates y cacao: cacao, chocolate, cocoa, etc.
+- Semillas: chía, linaza, sésamo, girasol, etc.
+
+Tu tarea es EXTRAER TODOS los productos mencionados con sus cantidades.
+
+REGLAS IMPORTANTES:
+1. Extrae TODOS los productos mencionados en el mensaje, no solo el primero
+2. Detecta las cantidades asociadas a cada producto (números antes o después del nombre)
+3. Si NO se menciona cantidad, asume cantidad = 1
+4. Ignora palabras como "quiero", "necesito", "dame" - enfócate solo en productos y cantidades
+5. Maneja separadores: comas, saltos de línea, "y", "también", "además"
+6. Si el número está seguido de "kilo", "kg", "gramos", etc., considera ese número como cantidad
+7. Si NO se menciona ningún producto, devuelve EXACTAMENTE: []
+8. Responde ÚNICAMENTE en formato JSON válido
+
+FORMATO DE RESPUESTA (JSON):
+[
+  {"nombre": "producto1", "cantidad": X},
+  {"nombre": "producto2", "cantidad": Y}
+]
+
+EJEMPLOS:
+
+Mensaje: "Quiero 3 almendras, 2 nueces y té verde"
+Respuesta: [{"nombre": "almendras", "cantidad": 3}, {"nombre": "nueces", "cantidad": 2}, {"nombre": "té verde", "cantidad": 1}]
+
+Mensaje: "Necesito maní con sal"
+Respuesta: [{"nombre": "maní con sal", "cantidad": 1}]
+
+Mensaje: "Dame 5 kilos de pasas, canela y 2 paquetes de chocolate"
+Respuesta: [{"nombre": "pasas", "cantidad": 5}, {"nombre": "canela", "cantidad": 1}, {"nombre": "chocolate", "cantidad": 2}]
+
+Mensaje: "almendras
+nueces
+pistachos"
+Respuesta: [{"nombre": "almendras", "cantidad": 1}, {"nombre": "nueces", "cantidad": 1}, {"nombre": "pistachos", "cantidad": 1}]
+
+Mensaje: "Hola, cómo están?"
+Respuesta: []
+
+Mensaje del cliente: """
+${mensaje}
+"""
+
+Responde ÚNICAMENTE con el JSON (sin markdown, sin comillas externas, sin explicaciones):`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Proveedor de IA local (sin modelo)
+ *
+ * Resuelve las tareas con reglas deterministas, sin llamadas externas:
+ * reconoce los productos comparando el mensaje con el catálogo
+ * (ver utils/productMatcher.js). Se usa:
+ * - Como respaldo cuando el proveedor configurado falla (sin API key, sin
+ *   conexión, respuesta inválida)
+ * - Configurado como proveedor (LLM_PROVIDER=stub) para pruebas y para
+ *   ejecutar el bot sin conexión
+ *
+ * Misma entrada, misma salida: no depende de temperatura ni de modelo.
+ */
+
+import { catalogService } from '../catalogService.js';
+import { listarProductosActivos } from '../staticDataService.js';
+import { reconocerProductos } from '../../utils/productMatcher.js';
+
+// Productos que vendemos aunque no estén en el catálogo
+const PRODUCTOS_GENERICOS = [
+  'almendra', 'nuez', 'maní', 'pistacho', 'castaña', 'avellana', 'cajú',
+  'arándano', 'pasa', 'damasco', 'té verde', 'té negro', 'canela', 'cacao',
+  'chocolate', 'gomitas', 'semillas', 'mix'
+];
+
+// Los nombres genéricos deben coincidir en todas sus palabras ("te quiero" no es "té verde")
+const UMBRAL_GENERICOS = 0.8;
+
+export class StubProvider {
+  constructor() {
+    this.nombre = 'local';
+    this.modeloPorDefecto = 'reglas';
+  }
+
+  /**
+   * Extrae el término de búsqueda reconociendo el producto en el catálogo
+   *
+   * @param {string} mensaje - El mensaje del usuario
+   * @returns {Promise<string|null>} - Término de búsqueda o null
+   */
+  async extractSearchTerm(mensaje) {
+    const mejor = this._reconocer(mensaje);
+
+    if (!mejor) {
+      console.log('ℹ️ Extracción local: no se encontraron productos en el mensaje');
+      return null;
+    }
+
+    const termino = this._termino(mejor);
+    console.log(`✅ Extracción local detectó: "${termino}" (${mejor.producto.nombre}, confianza ${mejor.confianza})`);
+    return termino;
+  }
+
+  /**
+   * Extrae productos con cantidades: separa el mensaje en líneas, comas o
+   * "y", y en cada parte reconoce el producto y la cantidad (primer número)
+   *
+   * @param {string} mensaje - El mensaje del usuario
+   * @returns {Promise<Array<{nombre: string, cantidad: number}>>} - Array de productos con cantidades
+   */
+  async extractProducts(mensaje) {
+    const productos = [];
+    const productosEncontrados = new Set();
+
+    const partes = mensaje
+      .toLowerCase()
+      .split(/[\n,;]+|\s+(?:y|e|tambi[eé]n|adem[aá]s)\s+/);
+
+    for (const parte of partes) {
+      const mejor = this._reconocer(parte);
+      if (!mejor) continue;
+
+      const termino = this._termino(mejor);
+      if (productosEncontrados.has(termino)) continue;
+
+      const cantidad = parseInt(parte.match(/\d+/)?.[0]) || 1;
+      productos.push({ nombre: termino, cantidad });
+      productosEncontrados.add(termino);
+      console.log(`✅ Extracción local detectó: ${termino} x${cantidad} (${mejor.producto.nombre}, confianza ${mejor.confianza})`);
+    }
+
+    console.log(`ℹ️ Extracción local encontró ${productos.length} producto(s)`);
+    return productos;
+  }
+
+  /**
+   * Detecta el producto que el usuario está buscando
+   * @param {string} mensaje - El mensaje del usuario
+   * @returns {Promise<string|null>}
+   */
+  async detectProduct(mensaje) {
+    return this.extractSearchTerm(mensaje);
+  }
+
+  // Producto que menciona un texto: primero en el catálogo local (o
+  // src/data/productos.json si aún no se carga) y, si no hay coincidencias,
+  // en los nombres genéricos (así "pistacho" se reconoce y el cliente ve que
+  // no lo encontramos)
+  _reconocer(texto) {
+    const catalogo = catalogService.isLoaded() ? catalogService.productos : listarProductosActivos();
+    const [delCatalogo] = reconocerProductos(texto, catalogo, { limite: 1 });
+    if (delCatalogo) return delCatalogo;
+
+    const genericos = PRODUCTOS_GENERICOS.map(nombre => ({ nombre, generico: true }));
+    const [generico] = reconocerProductos(texto, genericos, { umbral: UMBRAL_GENERICOS, limite: 1 });
+    return generico || null;
+  }
+
+  // Término a buscar para un producto reconocido: el nombre del catálogo si
+  // el mensaje lo menciona completo, o las palabras que coincidieron tal como
+  // las escribió el cliente ("mani" puede ser cualquiera de los maníes del
+  // catálogo). Un nombre genérico no está en el catálogo: se buscan las palabras
+  _termino({ producto, confianza, termino }) {
+    return confianza === 1 && !producto.generico ? producto.nombre.toLowerCase() : termino;
+  }
+}
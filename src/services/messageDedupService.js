@@ -0,0 +1,143 @@
+/**
+ * Servicio de Deduplicación de Mensajes Entrantes
+ *
+ * Meta reintenta la entrega del webhook cuando no recibe respuesta a tiempo,
+ * por lo que un mismo mensaje (mismo `id` / wamid) puede llegar varias veces.
+ * Este servicio recuerda los IDs ya procesados durante un TTL para que un
+ * reintento no vuelva a ejecutar el flujo (ej: crear dos pedidos con un
+ * "confirmar" repetido).
+ *
+ * - Almacén persistente: Map<messageId, expiraEn> (un reintento que llega
+ *   después de reiniciar el bot también se descarta)
+ * - TTL configurable con MESSAGE_DEDUP_TTL_MINUTES (default: 24 horas)
+ * - Limpieza periódica de IDs expirados
+ * - Métricas de mensajes procesados y duplicados descartados
+ */
+
+import { createStore } from '../storage/storageAdapter.js';
+
+class MessageDedupService {
+  constructor() {
+    // IDs de mensajes ya recibidos con su fecha de expiración
+    this.processedIds = createStore('processed_message_ids');
+
+    // Tiempo que se recuerda cada ID (default: 24 horas)
+    this.TTL = (parseInt(process.env.MESSAGE_DEDUP_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+
+    // Intervalo de limpieza de IDs expirados (cada 10 minutos)
+    this.CLEANUP_INTERVAL = 10 * 60 * 1000;
+
+    // Métricas
+    this.metrics = {
+      processed: 0,
+      duplicatesDropped: 0,
+      withoutId: 0,
+      lastDuplicateAt: null
+    };
+
+    this.startCleanup();
+  }
+
+  /**
+   * Registra un mensaje entrante y verifica si ya fue recibido
+   *
+   * El ID se registra ANTES de procesar el mensaje, así un reintento que llega
+   * mientras el original aún se procesa también se descarta.
+   *
+   * @param {string} messageId - ID del mensaje de WhatsApp (wamid)
+   * @returns {boolean} - true si es la primera vez que se recibe, false si es duplicado
+   */
+  registerMessage(messageId) {
+    // Sin ID no es posible deduplicar: se procesa siempre
+    if (!messageId) {
+      this.metrics.withoutId++;
+      return true;
+    }
+
+    const now = Date.now();
+    const expiresAt = this.processedIds.get(messageId);
+
+    if (expiresAt && expiresAt > now) {
+      this.metrics.duplicatesDropped++;
+      this.metrics.lastDuplicateAt = new Date(now).toISOString();
+      console.log(`♻️ Mensaje duplicado descartado: ${messageId} (total descartados: ${this.metrics.duplicatesDropped})`);
+      return false;
+    }
+
+    this.processedIds.set(messageId, now + this.TTL);
+    this.metrics.processed++;
+    return true;
+  }
+
+  /**
+   * Verifica si un ID ya fue registrado (sin registrarlo)
+   * @param {string} messageId - ID del mensaje de WhatsApp
+   * @returns {boolean} - true si el ID está registrado y vigente
+   */
+  isDuplicate(messageId) {
+    if (!messageId) return false;
+
+    const expiresAt = this.processedIds.get(messageId);
+    return Boolean(expiresAt && expiresAt > Date.now());
+  }
+
+  /**
+   * Elimina los IDs cuyo TTL ya expiró
+   * @returns {number} - Cantidad de IDs eliminados
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [messageId, expiresAt] of this.processedIds.entries()) {
+      if (expiresAt <= now) {
+        this.processedIds.delete(messageId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Deduplicación: ${removed} ID(s) de mensaje expirados eliminados`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Inicia la limpieza automática de IDs expirados
+   */
+  startCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpired();
+    }, this.CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Obtiene las métricas de deduplicación
+   * @returns {Object} - Estadísticas del almacén de IDs
+   */
+  getStats() {
+    const totalRecibidos = this.metrics.processed + this.metrics.duplicatesDropped;
+
+    return {
+      trackedIds: this.processedIds.size,
+      processed: this.metrics.processed,
+      duplicatesDropped: this.metrics.duplicatesDropped,
+      withoutId: this.metrics.withoutId,
+      duplicateRate: totalRecibidos > 0 ? this.metrics.duplicatesDropped / totalRecibidos : 0,
+      lastDuplicateAt: this.metrics.lastDuplicateAt,
+      ttlMinutes: this.TTL / 1000 / 60,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Instancia singleton del servicio de deduplicación
+export const messageDedupService = new MessageDedupService();
+
+// Exportar también como default para compatibilidad
+export default messageDedupService;
@@ -0,0 +1,196 @@
+/**
+ * Servicio de Cola de Procesamiento de Mensajes
+ *
+ * El webhook encola cada mensaje entrante y responde 200 de inmediato; el
+ * procesamiento (NLP, Mistral, backend) ocurre después, fuera del ciclo de la
+ * petición HTTP, para que Meta no agote su timeout y reintente.
+ *
+ * - Serialización por teléfono: los mensajes de un mismo cliente se procesan
+ *   de a uno y en orden de llegada, nunca en paralelo contra el estado de
+ *   conversación o el carrito. Clientes distintos avanzan de forma independiente.
+ * - Dead-letter: los trabajos que fallan quedan registrados (con el error)
+ *   para revisarlos después.
+ */
+
+class MessageQueueService {
+  constructor() {
+    // Cola por teléfono: Map<telefono, Promise> con el último trabajo encadenado
+    this.queues = new Map();
+
+    // Trabajos pendientes por teléfono (encolados o en ejecución)
+    this.pending = new Map();
+
+    // Trabajos fallidos
+    this.deadLetters = [];
+
+    // Máximo de trabajos fallidos que se conservan
+    this.MAX_DEAD_LETTERS = 200;
+
+    // Contador para identificar trabajos en logs
+    this.nextJobId = 1;
+
+    // Métricas
+    this.metrics = {
+      enqueued: 0,
+      completed: 0,
+      failed: 0
+    };
+
+    console.log('📬 Cola de mensajes inicializada');
+  }
+
+  /**
+   * Encola un trabajo para un teléfono
+   *
+   * El trabajo se ejecuta cuando terminan los anteriores del mismo teléfono.
+   * La función retorna de inmediato (no espera la ejecución).
+   *
+   * @param {string} telefono - Número del cliente (clave de serialización)
+   * @param {Function} handler - Función async que procesa el mensaje
+   * @param {Object} [options] - Opciones del trabajo
+   * @param {Object} [options.meta] - Datos del trabajo para logs y dead-letter (ej: id del mensaje)
+   * @param {Function} [options.onFailure] - Se llama con (error, job) si el trabajo falla
+   * @returns {Object} - Trabajo encolado { id, telefono, meta, enqueuedAt }
+   *
+   * @example
+   * messageQueueService.enqueue(from, () => procesarMensajeEntrante(inbound), {
+   *   meta: { messageId: inbound.id },
+   *   onFailure: () => sendMessage(from, "Lo siento, hubo un error...")
+   * });
+   */
+  enqueue(telefono, handler, options = {}) {
+    const job = {
+      id: this.nextJobId++,
+      telefono,
+      meta: options.meta || {},
+      enqueuedAt: Date.now()
+    };
+
+    this.metrics.enqueued++;
+    this.pending.set(telefono, (this.pending.get(telefono) || 0) + 1);
+
+    const previous = this.queues.get(telefono) || Promise.resolve();
+    const current = previous.then(() => this.runJob(job, handler, options.onFailure));
+
+    this.queues.set(telefono, current);
+
+    // Liberar la cola del teléfono cuando no quedan trabajos pendientes
+    current.then(() => {
+      const restantes = this.pending.get(telefono) - 1;
+      if (restantes > 0) {
+        this.pending.set(telefono, restantes);
+      } else {
+        this.pending.delete(telefono);
+        this.queues.delete(telefono);
+      }
+    });
+
+    return job;
+  }
+
+  /**
+   * Ejecuta un trabajo y registra el resultado (nunca rechaza)
+   * @param {Object} job - Trabajo a ejecutar
+   * @param {Function} handler - Función async del trabajo
+   * @param {Function} [onFailure] - Callback de error
+   */
+  async runJob(job, handler, onFailure) {
+    job.startedAt = Date.now();
+
+    try {
+      await handler();
+      this.metrics.completed++;
+    } catch (error) {
+      this.metrics.failed++;
+      console.error(`❌ Trabajo #${job.id} de ${job.telefono} falló:`, error);
+
+      this.addDeadLetter(job, error);
+
+      if (onFailure) {
+        try {
+          await onFailure(error, job);
+        } catch (callbackError) {
+          console.error(`❌ Error en onFailure del trabajo #${job.id}:`, callbackError.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Registra un trabajo fallido en la lista dead-letter
+   * @param {Object} job - Trabajo fallido
+   * @param {Error} error - Error producido
+   */
+  addDeadLetter(job, error) {
+    this.deadLetters.push({
+      ...job,
+      failedAt: Date.now(),
+      error: {
+        message: error?.message || String(error),
+        stack: error?.stack || null
+      }
+    });
+
+    // Mantener solo los más recientes
+    if (this.deadLetters.length > this.MAX_DEAD_LETTERS) {
+      this.deadLetters.shift();
+    }
+  }
+
+  /**
+   * Obtiene los trabajos fallidos
+   * @param {string} [telefono] - Filtrar por teléfono (opcional)
+   * @returns {Array<Object>} - Trabajos en dead-letter
+   */
+  getDeadLetters(telefono = null) {
+    if (!telefono) return [...this.deadLetters];
+    return this.deadLetters.filter(job => job.telefono === telefono);
+  }
+
+  /**
+   * Vacía la lista dead-letter
+   * @returns {number} - Cantidad de trabajos eliminados
+   */
+  clearDeadLetters() {
+    const total = this.deadLetters.length;
+    this.deadLetters = [];
+    return total;
+  }
+
+  /**
+   * Espera a que terminen todos los trabajos encolados hasta ahora
+   * @returns {Promise<void>}
+   */
+  async waitForIdle() {
+    while (this.queues.size > 0) {
+      await Promise.all([...this.queues.values()]);
+    }
+  }
+
+  /**
+   * Obtiene estadísticas de la cola
+   * @returns {Object} - Estadísticas de la cola
+   */
+  getStats() {
+    let pendingJobs = 0;
+    for (const count of this.pending.values()) {
+      pendingJobs += count;
+    }
+
+    return {
+      activePhones: this.queues.size,
+      pendingJobs,
+      enqueued: this.metrics.enqueued,
+      completed: this.metrics.completed,
+      failed: this.metrics.failed,
+      deadLetters: this.deadLetters.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Instancia singleton de la cola de mensajes
+export const messageQueueService = new MessageQueueService();
+
+// Exportar también como default para compatibilidad
+export default messageQueueService;
@@ -1,50 +1,372 @@
-import axios from "axios";
-import dotenv from "dotenv";
-dotenv.config();
+import { whatsappClient } from "./whatsappClient.js";
+import { messageStatusService } from "./messageStatusService.js";
+import { customerWindowService } from "./customerWindowService.js";
+import { InvalidRecipientError, WindowExpiredError } from "../utils/errors.js";
+import { dividirMensaje, WHATSAPP_TEXT_LIMIT } from "../utils/messageSplitter.js";
+import { plantilla } from "../utils/templateBuilder.js";
+import { setPendingContinuation, takeNextContinuation } from "./conversationStateService.js";
 
-const META_API_URL = "https://graph.facebook.com/v22.0";
-const { PHONE_NUMBER_ID, META_TOKEN } = process.env;
-
-const headers = {
-  Authorization: `Bearer ${META_TOKEN}`,
-  "Content-Type": "application/json",
+// Límites de WhatsApp para mensajes interactivos
+const INTERACTIVE_LIMITS = {
+  BODY: 1024,
+  MAX_BUTTONS: 3,
+  BUTTON_TITLE: 20,
+  BUTTON_LIST_TEXT: 20,
+  MAX_LIST_ROWS: 10,
+  ROW_TITLE: 24,
+  ROW_DESCRIPTION: 72,
+  SECTION_TITLE: 24
 };
 
-// Enviar mensaje de texto normal
-export async function sendMessage(to, text) {
-  try {
-    await axios.post(
-      `${META_API_URL}/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: "whatsapp",
-        to,
-        type: "text",
-        text: { body: text },
-      },
-      { headers }
+// Texto por defecto cuando el cuerpo es demasiado largo y se envía por separado
+const DEFAULT_INTERACTIVE_PROMPT = "Selecciona una opción:";
+
+// Plantilla que reemplaza a los mensajes libres fuera de la ventana de 24 horas
+// (debe estar aprobada en Meta y registrada en config/templates.js sin parámetros)
+const WINDOW_FALLBACK_TEMPLATE = process.env.WINDOW_FALLBACK_TEMPLATE || null;
+
+// Botón para pedir la siguiente parte de un mensaje enviado con continuación
+// (el flujo reconoce este id igual que el texto "ver más")
+export const VER_MAS_ID = "ver_mas";
+
+/**
+ * Envía un payload a través del cliente de WhatsApp
+ *
+ * Cada mensaje aceptado se registra por su wamid para seguir los estados
+ * (sent, delivered, read, failed) que Meta informa en el webhook.
+ *
+ * @param {Object} payload - Contenido del mensaje (sin messaging_product)
+ * @returns {Promise<string|null>} - wamid del mensaje enviado
+ * @throws {WhatsAppError} Si el mensaje no se pudo enviar
+ */
+async function postMessage(payload) {
+  const wamid = await whatsappClient.sendMessage(payload);
+  messageStatusService.registerOutbound(wamid, { telefono: payload.to, tipo: payload.type });
+
+  return wamid;
+}
+
+/**
+ * Recorta un texto al largo máximo permitido por WhatsApp
+ * @param {string} text - Texto a recortar
+ * @param {number} max - Largo máximo
+ * @returns {string} - Texto recortado (con "…" si fue necesario)
+ */
+function truncate(text, max) {
+  const value = String(text ?? "");
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Opciones de un mensaje interactivo como texto, para responder escribiendo
+ * @param {Array<{id: string, title: string}>} opciones - Botones o filas de la lista
+ * @returns {string} - Una opción por línea ("1. Retiro" o "• Confirmar: escribe *confirmar*")
+ */
+function formatNumberedOptions(opciones) {
+  return opciones
+    .map(({ id, title }) => /^\d+$/.test(String(id)) ? `${id}. ${title}` : `• ${title}: escribe *${id}*`)
+    .join("\n");
+}
+
+/**
+ * Envía un mensaje de texto normal
+ *
+ * Los textos que superan el límite de WhatsApp (4096 caracteres) se dividen
+ * entre párrafos/líneas y se envían en orden. Con `options.continuacion` solo
+ * se envía la primera parte junto a un botón "Ver más"; el resto queda
+ * guardado y se envía con `sendContinuation` cuando el cliente lo pide.
+ *
+ * Fuera de la ventana de 24 horas el texto no se puede enviar: se envía
+ * `options.plantilla` o la plantilla WINDOW_FALLBACK_TEMPLATE (ver sendOutsideWindow).
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} text - Texto del mensaje
+ * @param {Object} [options] - Opciones de envío
+ * @param {boolean} [options.continuacion] - Enviar por partes a pedido del cliente
+ * @param {Object|false} [options.plantilla] - Plantilla (TemplateBuilder.build()) a usar fuera de la ventana; false para no usar ninguna
+ * @returns {Promise<string|null>} - wamid del mensaje (del último enviado si se dividió)
+ * @throws {WindowExpiredError} Si la ventana está cerrada y no hay plantilla de reemplazo
+ * @throws {WhatsAppError} Si el mensaje no se pudo enviar (ver utils/errors.js)
+ *
+ * @example
+ * await sendMessage(from, resumenCarrito, { continuacion: true });
+ */
+export async function sendMessage(to, text, options = {}) {
+  if (!customerWindowService.isWindowOpen(to)) {
+    return sendOutsideWindow(to, "texto", options);
+  }
+
+  const partes = dividirMensaje(text, WHATSAPP_TEXT_LIMIT);
+
+  if (partes.length > 1 && options.continuacion) {
+    setPendingContinuation(to, partes.slice(1), partes.length);
+    const wamid = await sendTextPart(to, partes[0]);
+    await sendContinuationPrompt(to, 1, partes.length);
+    return wamid;
+  }
+
+  if (partes.length > 1) {
+    console.log(`✂️ Mensaje a ${to} dividido en ${partes.length} partes (${String(text).length} caracteres)`);
+  }
+
+  let wamid = null;
+  for (const parte of partes) {
+    wamid = await sendTextPart(to, parte);
+  }
+  return wamid;
+}
+
+/**
+ * Envía la siguiente parte pendiente de un mensaje enviado con continuación
+ * @param {string} to - Número de teléfono del destinatario
+ * @returns {Promise<boolean>} - true si había una parte pendiente
+ */
+export async function sendContinuation(to) {
+  const siguiente = takeNextContinuation(to);
+  if (!siguiente) return false;
+
+  await sendTextPart(to, siguiente.parte);
+
+  if (siguiente.restantes > 0) {
+    await sendContinuationPrompt(to, siguiente.numero, siguiente.total);
+  }
+  return true;
+}
+
+/**
+ * Reemplaza un mensaje libre por una plantilla cuando la ventana de 24 horas está cerrada
+ *
+ * Usa `options.plantilla` si se indicó; si no, la plantilla configurada en
+ * WINDOW_FALLBACK_TEMPLATE. Sin plantilla disponible (o con `plantilla: false`)
+ * lanza WindowExpiredError.
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} tipo - Tipo de mensaje que se quería enviar (para logs)
+ * @param {Object} options - Opciones del envío original
+ * @returns {Promise<string|null>} - wamid de la plantilla enviada
+ * @throws {WindowExpiredError} Si no hay plantilla de reemplazo
+ */
+async function sendOutsideWindow(to, tipo, options) {
+  const template = options.plantilla === undefined ? WINDOW_FALLBACK_TEMPLATE : options.plantilla;
+
+  if (!template) {
+    console.warn(`🕐 Ventana de 24h cerrada para ${to}: no se envía ${tipo} (sin plantilla de reemplazo)`);
+    throw new WindowExpiredError(
+      `Ventana de 24 horas cerrada para ${to}: solo se pueden enviar plantillas aprobadas`,
+      { code: 131047 }
     );
-  } catch (error) {
-    console.error("❌ Error enviando mensaje:", error.response?.data || error.message);
   }
+
+  const nombre = typeof template === "string" ? template : template.name;
+  console.log(`🕐 Ventana de 24h cerrada para ${to}: se envía la plantilla "${nombre}" en lugar de ${tipo}`);
+
+  return sendTemplate(to, template);
+}
+
+/**
+ * Envía un texto que ya respeta el límite de WhatsApp
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} text - Texto del mensaje
+ * @returns {Promise<string|null>} - wamid del mensaje
+ */
+async function sendTextPart(to, text) {
+  return postMessage({
+    to,
+    type: "text",
+    text: { body: text },
+  });
 }
 
-// Enviar mensaje usando plantilla aprobada por Meta
-export async function sendTemplate(to, templateName, lang = "es") {
+/**
+ * Envía el botón para pedir la siguiente parte de un mensaje largo
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {number} numero - Parte que se acaba de enviar
+ * @param {number} total - Cantidad total de partes
+ */
+async function sendContinuationPrompt(to, numero, total) {
+  await sendButtons(to, `📄 Parte ${numero} de ${total}`, [
+    { id: VER_MAS_ID, title: "➡️ Ver más" }
+  ], {
+    fallbackText: `📄 Parte ${numero} de ${total}. Escribe *ver más* para continuar.`
+  });
+}
+
+/**
+ * Envía un mensaje interactivo y, si falla, el texto de respaldo
+ *
+ * Si el cuerpo supera el límite de WhatsApp, se envía primero como texto
+ * normal y el mensaje interactivo lleva solo un texto corto de selección;
+ * si luego el interactivo falla, el respaldo son solo las opciones en texto
+ * (el cuerpo ya se envió).
+ * Los errores que un texto no resuelve (destinatario inválido, ventana de
+ * 24 horas cerrada) se propagan sin intentar el respaldo.
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} body - Cuerpo del mensaje
+ * @param {Function} buildInteractive - Construye el objeto `interactive` a partir del cuerpo
+ * @param {Array<{id: string, title: string}>} opciones - Botones o filas, para el respaldo en texto
+ * @param {Object} options - Opciones del mensaje
+ * @param {string} options.fallbackText - Texto a enviar si el interactivo falla
+ * @param {string} [options.prompt] - Texto corto usado cuando el cuerpo es muy largo
+ * @param {Object|false} [options.plantilla] - Plantilla a usar fuera de la ventana de 24 horas
+ */
+async function sendInteractive(to, body, buildInteractive, opciones, options) {
+  if (!customerWindowService.isWindowOpen(to)) {
+    return sendOutsideWindow(to, "mensaje interactivo", options);
+  }
+
+  const fallbackText = options.fallbackText || body;
+  let interactiveBody = body;
+  let cuerpoEnviado = false;
+
   try {
-    await axios.post(
-      `${META_API_URL}/${PHONE_NUMBER_ID}/messages`,
-      {
-        messaging_product: "whatsapp",
-        to,
-        type: "template",
-        template: {
-          name: templateName,
-          language: { code: lang },
-        },
-      },
-      { headers }
-    );
+    if (body.length > INTERACTIVE_LIMITS.BODY) {
+      await sendMessage(to, body);
+      cuerpoEnviado = true;
+      interactiveBody = options.prompt || DEFAULT_INTERACTIVE_PROMPT;
+    }
+
+    await postMessage({
+      to,
+      type: "interactive",
+      interactive: buildInteractive(interactiveBody),
+    });
   } catch (error) {
-    console.error("❌ Error enviando template:", error.response?.data || error.message);
+    if (error instanceof InvalidRecipientError || error instanceof WindowExpiredError) {
+      throw error;
+    }
+
+    console.error("❌ Error enviando mensaje interactivo, usando texto:", error.message);
+
+    // El cliente ya recibió el cuerpo: solo faltan las opciones
+    await sendMessage(to, cuerpoEnviado
+      ? `${interactiveBody}\n\n${formatNumberedOptions(opciones)}`
+      : fallbackText);
   }
 }
+
+/**
+ * Envía un mensaje con botones de respuesta rápida (máximo 3)
+ *
+ * El `id` de cada botón es lo que llega de vuelta como mensaje del usuario,
+ * por lo que debe coincidir con lo que el flujo espera que se escriba
+ * (ej: "1", "2", "confirmar").
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} body - Cuerpo del mensaje
+ * @param {Array<{id: string, title: string}>} buttons - Botones a mostrar
+ * @param {Object} [options] - Opciones adicionales
+ * @param {string} [options.fallbackText] - Texto plano a enviar si no se pueden usar botones
+ * @param {string} [options.header] - Encabezado de texto
+ * @param {string} [options.footer] - Pie del mensaje
+ * @param {string} [options.prompt] - Texto corto usado cuando el cuerpo es muy largo
+ *
+ * @example
+ * await sendButtons(from, "¿Cómo quieres recibir tu pedido?", [
+ *   { id: "1", title: "🏪 Retiro en tienda" },
+ *   { id: "2", title: "📦 Envío a domicilio" }
+ * ], { fallbackText: mensajeConOpcionesNumeradas });
+ */
+export async function sendButtons(to, body, buttons, options = {}) {
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.MAX_BUTTONS) {
+    console.warn(`⚠️ sendButtons: cantidad de botones inválida (${buttons?.length}), usando texto`);
+    await sendMessage(to, options.fallbackText || body, { plantilla: options.plantilla });
+    return;
+  }
+
+  await sendInteractive(to, body, (interactiveBody) => ({
+    type: "button",
+    ...(options.header && { header: { type: "text", text: options.header } }),
+    body: { text: interactiveBody },
+    ...(options.footer && { footer: { text: options.footer } }),
+    action: {
+      buttons: buttons.map((button) => ({
+        type: "reply",
+        reply: {
+          id: String(button.id),
+          title: truncate(button.title, INTERACTIVE_LIMITS.BUTTON_TITLE),
+        },
+      })),
+    },
+  }), buttons, options);
+}
+
+/**
+ * Envía un mensaje de lista (máximo 10 filas en total)
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} body - Cuerpo del mensaje
+ * @param {string} buttonText - Texto del botón que abre la lista
+ * @param {Array<{title?: string, rows: Array<{id: string, title: string, description?: string}>}>} sections - Secciones de la lista
+ * @param {Object} [options] - Opciones adicionales (mismas que sendButtons)
+ *
+ * @example
+ * await sendList(from, "Selecciona el tema:", "Ver temas", [
+ *   { title: "Preguntas", rows: [{ id: "1", title: "🕒 Horarios" }] }
+ * ]);
+ */
+export async function sendList(to, body, buttonText, sections, options = {}) {
+  const totalRows = Array.isArray(sections)
+    ? sections.reduce((sum, section) => sum + (section.rows?.length || 0), 0)
+    : 0;
+
+  if (totalRows === 0 || totalRows > INTERACTIVE_LIMITS.MAX_LIST_ROWS) {
+    console.warn(`⚠️ sendList: cantidad de filas inválida (${totalRows}), usando texto`);
+    await sendMessage(to, options.fallbackText || body, { plantilla: options.plantilla });
+    return;
+  }
+
+  await sendInteractive(to, body, (interactiveBody) => ({
+    type: "list",
+    ...(options.header && { header: { type: "text", text: options.header } }),
+    body: { text: interactiveBody },
+    ...(options.footer && { footer: { text: options.footer } }),
+    action: {
+      button: truncate(buttonText, INTERACTIVE_LIMITS.BUTTON_LIST_TEXT),
+      sections: sections.map((section) => ({
+        ...(section.title && { title: truncate(section.title, INTERACTIVE_LIMITS.SECTION_TITLE) }),
+        rows: section.rows.map((row) => ({
+          id: String(row.id),
+          title: truncate(row.title, INTERACTIVE_LIMITS.ROW_TITLE),
+          ...(row.description && { description: truncate(row.description, INTERACTIVE_LIMITS.ROW_DESCRIPTION) }),
+        })),
+      })),
+    },
+  }), sections.flatMap((section) => section.rows), options);
+}
+
+/**
+ * Envía un mensaje usando una plantilla aprobada por Meta
+ *
+ * Acepta el nombre de una plantilla sin parámetros o el resultado de
+ * `plantilla(...).build()` (ver utils/templateBuilder.js) con parámetros
+ * de header, cuerpo y botones.
+ *
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string|Object} template - Nombre de la plantilla u objeto construido con TemplateBuilder
+ * @param {string} [lang] - Código de idioma (solo cuando se pasa el nombre; default: el del registro o "es")
+ * @returns {Promise<string|null>} - wamid del mensaje
+ * @throws {TemplateValidationError} Si los parámetros no coinciden con config/templates.js
+ * @throws {WhatsAppError} Si el mensaje no se pudo enviar
+ *
+ * @example
+ * await sendTemplate(from, "hello_world", "en_US");
+ * await sendTemplate(from, plantilla("actualizacion_pedido")
+ *   .body(parametros.texto(123), parametros.texto("ENVIADO"))
+ *   .boton(0, "quick_reply", "mis_pedidos")
+ *   .build());
+ */
+export async function sendTemplate(to, template, lang) {
+  let templateObject = template;
+
+  if (typeof template === "string") {
+    const builder = plantilla(template);
+    templateObject = (lang ? builder.idioma(lang) : builder).build();
+  }
+
+  return postMessage({
+    to,
+    type: "template",
+    template: templateObject,
+  });
+}
@@ -0,0 +1,234 @@
+/**
+ * Servicio de Seguimiento de Estados de Mensajes Salientes
+ *
+ * Registra cada mensaje que envía el bot (por su wamid, el ID que retorna la
+ * API de WhatsApp) y guarda los estados que Meta informa después en el webhook:
+ * sent → delivered → read, o failed.
+ *
+ * - Historial por mensaje con la fecha y errores de cada estado
+ * - Consulta del historial de entregas por teléfono
+ * - Contexto opcional por mensaje (ej: notificación de un pedido) para que
+ *   quien procese un fallo sepa qué se intentó enviar
+ * - Los registros se eliminan pasado MESSAGE_STATUS_RETENTION_HOURS (default: 7 días)
+ */
+
+class MessageStatusService {
+  constructor() {
+    // Registros por wamid
+    this.messages = new Map();
+
+    // Índice de wamids por teléfono (en orden de envío)
+    this.messagesByPhone = new Map();
+
+    // Tiempo que se conserva cada registro (default: 7 días)
+    this.RETENTION = (parseInt(process.env.MESSAGE_STATUS_RETENTION_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+    // Máximo de mensajes que se conservan por teléfono
+    this.MAX_PER_PHONE = 100;
+
+    // Intervalo de limpieza (cada 1 hora)
+    this.CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+    this.startCleanup();
+  }
+
+  /**
+   * Registra un mensaje enviado por el bot
+   * @param {string} wamid - ID del mensaje retornado por la API de WhatsApp
+   * @param {Object} data - Datos del envío
+   * @param {string} data.telefono - Número del destinatario
+   * @param {string} data.tipo - Tipo de mensaje (text, interactive, template)
+   * @param {Object} [data.contexto] - Contexto del envío (ej: { tipo: 'notificacion_pedido', id_pedido })
+   * @returns {Object} - Registro creado
+   */
+  registerOutbound(wamid, { telefono, tipo, contexto = null }) {
+    if (!wamid) return null;
+
+    const now = Date.now();
+    const record = {
+      wamid,
+      telefono,
+      tipo,
+      contexto,
+      estado: 'accepted',
+      historial: [{ estado: 'accepted', timestamp: now, errores: null }],
+      creadoEn: now,
+      actualizadoEn: now
+    };
+
+    this.messages.set(wamid, record);
+    this.indexByPhone(telefono, wamid);
+
+    return record;
+  }
+
+  /**
+   * Asocia contexto a un mensaje ya registrado
+   * @param {string} wamid - ID del mensaje
+   * @param {Object} contexto - Datos a agregar al contexto
+   * @returns {Object|null} - Registro actualizado o null si no existe
+   */
+  attachContext(wamid, contexto) {
+    const record = this.messages.get(wamid);
+    if (!record) return null;
+
+    record.contexto = { ...(record.contexto || {}), ...contexto };
+    return record;
+  }
+
+  /**
+   * Registra un estado informado por Meta en el webhook
+   *
+   * Si el mensaje no estaba registrado (ej: enviado antes de reiniciar el bot)
+   * se crea el registro con los datos del estado.
+   *
+   * @param {Object} status - Objeto `value.statuses[i]` del webhook
+   * @returns {Object} - Registro actualizado
+   */
+  recordStatus(status) {
+    const wamid = status.id;
+    const timestamp = status.timestamp ? parseInt(status.timestamp) * 1000 : Date.now();
+
+    let record = this.messages.get(wamid);
+    if (!record) {
+      record = this.registerOutbound(wamid, { telefono: status.recipient_id, tipo: 'desconocido' });
+      record.historial = [];
+    }
+
+    const errores = status.errors?.map(error => ({
+      code: error.code,
+      title: error.title || error.message || null,
+      details: error.error_data?.details || null
+    })) || null;
+
+    record.historial.push({ estado: status.status, timestamp, errores });
+    record.actualizadoEn = Date.now();
+
+    // Los estados pueden llegar desordenados: no retroceder (ej: delivered después de read)
+    if (this.shouldUpdateState(record.estado, status.status)) {
+      record.estado = status.status;
+    }
+
+    return record;
+  }
+
+  /**
+   * Determina si un nuevo estado reemplaza al actual
+   * @param {string} actual - Estado actual
+   * @param {string} nuevo - Estado recibido
+   * @returns {boolean}
+   */
+  shouldUpdateState(actual, nuevo) {
+    const orden = ['accepted', 'sent', 'delivered', 'read'];
+
+    if (nuevo === 'failed') return true;
+    if (actual === 'failed') return false;
+
+    return orden.indexOf(nuevo) > orden.indexOf(actual);
+  }
+
+  /**
+   * Obtiene el registro de un mensaje
+   * @param {string} wamid - ID del mensaje
+   * @returns {Object|null}
+   */
+  getMessage(wamid) {
+    return this.messages.get(wamid) || null;
+  }
+
+  /**
+   * Obtiene el historial de entregas de un teléfono (más recientes primero)
+   * @param {string} telefono - Número del destinatario
+   * @param {number} limit - Cantidad máxima de mensajes
+   * @returns {Array<Object>}
+   */
+  getHistoryByPhone(telefono, limit = 20) {
+    const wamids = this.messagesByPhone.get(telefono) || [];
+
+    return wamids
+      .slice(-limit)
+      .reverse()
+      .map(wamid => this.messages.get(wamid))
+      .filter(Boolean);
+  }
+
+  /**
+   * Agrega un wamid al índice del teléfono respetando el máximo
+   * @param {string} telefono - Número del destinatario
+   * @param {string} wamid - ID del mensaje
+   */
+  indexByPhone(telefono, wamid) {
+    const wamids = this.messagesByPhone.get(telefono) || [];
+    wamids.push(wamid);
+
+    while (wamids.length > this.MAX_PER_PHONE) {
+      this.messages.delete(wamids.shift());
+    }
+
+    this.messagesByPhone.set(telefono, wamids);
+  }
+
+  /**
+   * Elimina los registros más antiguos que el tiempo de retención
+   * @returns {number} - Cantidad de registros eliminados
+   */
+  cleanupExpired() {
+    const limite = Date.now() - this.RETENTION;
+    let removed = 0;
+
+    for (const [wamid, record] of this.messages.entries()) {
+      if (record.actualizadoEn < limite) {
+        this.messages.delete(wamid);
+        removed++;
+      }
+    }
+
+    for (const [telefono, wamids] of this.messagesByPhone.entries()) {
+      const vigentes = wamids.filter(wamid => this.messages.has(wamid));
+      if (vigentes.length > 0) {
+        this.messagesByPhone.set(telefono, vigentes);
+      } else {
+        this.messagesByPhone.delete(telefono);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Inicia la limpieza automática de registros antiguos
+   */
+  startCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpired();
+    }, this.CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Obtiene estadísticas de los mensajes registrados
+   * @returns {Object}
+   */
+  getStats() {
+    const porEstado = {};
+    for (const record of this.messages.values()) {
+      porEstado[record.estado] = (porEstado[record.estado] || 0) + 1;
+    }
+
+    return {
+      total: this.messages.size,
+      telefonos: this.messagesByPhone.size,
+      porEstado,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Instancia singleton del servicio de estados
+export const messageStatusService = new MessageStatusService();
+
+// Exportar también como default para compatibilidad
+export default messageStatusService;
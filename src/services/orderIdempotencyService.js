@@ -0,0 +1,334 @@
+/**
+ * Servicio de Idempotencia de Pedidos
+ *
+ * Si crearPedidoCompleto agota el tiempo de espera después de que el backend
+ * ya guardó el pedido, reintentar con "confirmar pedido" crearía un duplicado.
+ * Para evitarlo cada checkout tiene una clave única que se envía con el pedido
+ * (el backend no crea dos pedidos con la misma clave) y este servicio recuerda
+ * el resultado de cada clave:
+ *
+ * - en_curso: el pedido se está enviando
+ * - creado: el backend confirmó el pedido (se guarda su ID y total)
+ * - incierto: se agotó el tiempo de espera; antes de reintentar hay que
+ *   buscar el pedido en mis-pedidos
+ * - rechazado: el backend rechazó el pedido (el próximo intento usa otra clave)
+ *
+ * submitOrder envía un pedido aplicando estas reglas; lo usan la confirmación
+ * del pedido (orderFlow.js) y la cola de pedidos (orderOutboxService.js).
+ *
+ * - Almacén persistente: Map<clave, Resultado> (sobrevive a un reinicio)
+ * - TTL configurable con ORDER_IDEMPOTENCY_TTL_MINUTES (default: 24 horas)
+ * - Limpieza periódica de claves expiradas
+ */
+
+import crypto from 'crypto';
+import { crearPedidoCompleto, obtenerMisPedidos } from './apiService.js';
+import { createStore } from '../storage/storageAdapter.js';
+import { OrderTimeoutError } from '../utils/errors.js';
+
+/**
+ * Resultado = {
+ *   estado: 'en_curso' | 'creado' | 'incierto' | 'rechazado',
+ *   telefono: string,
+ *   id_cliente: number,
+ *   detalles: Array<{ id_producto, cantidad }>,
+ *   id_pedido: number|null,
+ *   total: number|null,
+ *   motivo: string|null,
+ *   pedidosPrevios: Array<number>|null,  // IDs en mis-pedidos antes del primer intento
+ *   iniciadoEn: number,
+ *   actualizadoEn: number,
+ *   expiraEn: number
+ * }
+ */
+
+class OrderIdempotencyService {
+  constructor() {
+    // Resultado de cada clave de checkout
+    this.outcomes = createStore('order_outcomes');
+
+    // Tiempo que se recuerda cada clave (default: 24 horas)
+    this.TTL = (parseInt(process.env.ORDER_IDEMPOTENCY_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+
+    // Intervalo de limpieza de claves expiradas (cada 30 minutos)
+    this.CLEANUP_INTERVAL = 30 * 60 * 1000;
+
+    this.startCleanup();
+  }
+
+  /**
+   * Genera una clave nueva para un checkout
+   * @returns {string}
+   */
+  createKey() {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Obtiene el resultado registrado de una clave
+   * @param {string} clave - Clave del checkout
+   * @returns {Object|null} - Resultado vigente o null
+   */
+  getOutcome(clave) {
+    if (!clave) return null;
+
+    const resultado = this.outcomes.get(clave);
+    if (!resultado || resultado.expiraEn <= Date.now()) {
+      return null;
+    }
+    return resultado;
+  }
+
+  /**
+   * Registra el inicio de un envío del pedido
+   * @param {string} clave - Clave del checkout
+   * @param {Object} datos - { telefono, id_cliente, detalles, pedidosPrevios }
+   */
+  recordAttempt(clave, { telefono, id_cliente, detalles, pedidosPrevios = null }) {
+    const now = Date.now();
+    const anterior = this.getOutcome(clave);
+
+    this.outcomes.set(clave, {
+      estado: 'en_curso',
+      telefono,
+      id_cliente,
+      detalles,
+      id_pedido: null,
+      total: null,
+      motivo: null,
+      // Un reintento conserva los pedidos previos y el inicio del primer intento (ver findExistingOrder)
+      pedidosPrevios: anterior ? anterior.pedidosPrevios ?? null : pedidosPrevios,
+      iniciadoEn: anterior?.iniciadoEn || now,
+      actualizadoEn: now,
+      expiraEn: now + this.TTL
+    });
+  }
+
+  /**
+   * Registra que el backend creó el pedido
+   * @param {string} clave - Clave del checkout
+   * @param {Object} pedido - { id_pedido, total }
+   */
+  recordSuccess(clave, { id_pedido, total }) {
+    this._update(clave, { estado: 'creado', id_pedido, total, motivo: null });
+    console.log(`🔑 Pedido #${id_pedido} registrado para la clave ${clave}`);
+  }
+
+  /**
+   * Registra que no se sabe si el pedido quedó creado (tiempo agotado)
+   * @param {string} clave - Clave del checkout
+   */
+  recordUncertain(clave) {
+    this._update(clave, { estado: 'incierto', motivo: 'Tiempo de espera agotado' });
+    console.log(`❓ Resultado incierto para la clave ${clave}`);
+  }
+
+  /**
+   * Registra que el backend rechazó el pedido
+   * @param {string} clave - Clave del checkout
+   * @param {string} motivo - Mensaje del error
+   */
+  recordFailure(clave, motivo) {
+    this._update(clave, { estado: 'rechazado', motivo });
+  }
+
+  /**
+   * Busca entre los pedidos del cliente el que creó esta clave
+   *
+   * Si el backend devuelve la clave en cada pedido se compara directamente.
+   * Si no, se busca un pedido sin clave con los mismos productos y cantidades
+   * que no estaba en mis-pedidos antes del primer intento (pedidosPrevios).
+   * Sin esa lista (no se pudo consultar) solo se compara la clave.
+   *
+   * @param {string} clave - Clave del checkout
+   * @param {Array<Object>} pedidos - Respuesta de obtenerMisPedidos
+   * @returns {Object|null} - Pedido encontrado
+   */
+  findExistingOrder(clave, pedidos = []) {
+    const porClave = pedidos.find(p => p.clave_idempotencia === clave);
+    if (porClave) return porClave;
+
+    const resultado = this.getOutcome(clave);
+    if (!resultado?.pedidosPrevios) return null;
+
+    const previos = new Set(resultado.pedidosPrevios);
+    const esperado = this._firmaDetalles(resultado.detalles);
+
+    return pedidos.find(p =>
+      !p.clave_idempotencia &&
+      !previos.has(p.id_pedido) &&
+      this._firmaDetalles(p.detalles || []) === esperado
+    ) || null;
+  }
+
+  /**
+   * Envía un pedido al backend sin duplicarlo
+   *
+   * - Si la clave ya creó un pedido, se devuelve ese pedido sin reenviar
+   * - Si el intento anterior agotó el tiempo, se busca el pedido en mis-pedidos
+   *   antes de reenviarlo
+   * - Si este envío agota el tiempo, se verifica de inmediato si quedó creado
+   *
+   * @param {string} telefono - Número del cliente
+   * @param {Object} payload - Payload de crearPedidoCompleto (con clave_idempotencia)
+   * @param {number} total - Total del carrito
+   * @returns {Promise<number|null>} - ID del pedido creado
+   * @throws {OrderTimeoutError} Si no se pudo confirmar que el pedido exista
+   * @throws {Error} Los errores de crearPedidoCompleto (el resultado queda como rechazado)
+   */
+  async submitOrder(telefono, payload, total) {
+    const { clave_idempotencia: clave, id_cliente: idCliente, detalles } = payload;
+    const anterior = this.getOutcome(clave);
+
+    if (anterior?.estado === 'creado') {
+      console.log(`🔑 Clave ${clave} ya usada por el pedido #${anterior.id_pedido} - no se reenvía`);
+      return anterior.id_pedido;
+    }
+
+    // "en_curso" sin resultado: el bot se detuvo durante el envío anterior
+    if (anterior?.estado === 'incierto' || anterior?.estado === 'en_curso') {
+      const existente = await this._findCreatedOrder(clave, idCliente, total);
+      if (existente) return existente;
+    }
+
+    // En el primer intento se anotan los pedidos que ya tenía el cliente, para
+    // reconocer el pedido nuevo si el backend no devuelve la clave
+    const pedidosPrevios = anterior ? null : await this._listarPedidosPrevios(idCliente);
+    this.recordAttempt(clave, { telefono, id_cliente: idCliente, detalles, pedidosPrevios });
+
+    try {
+      const response = await crearPedidoCompleto(payload);
+      console.log('✅ Respuesta del backend:', response);
+
+      const pedidoId = response.pedido?.id_pedido || response.id_pedido || null;
+      if (pedidoId) {
+        this.recordSuccess(clave, { id_pedido: pedidoId, total });
+      }
+      return pedidoId;
+
+    } catch (error) {
+      if (!(error instanceof OrderTimeoutError)) {
+        this.recordFailure(clave, error.message);
+        throw error;
+      }
+
+      this.recordUncertain(clave);
+      const existente = await this._findCreatedOrder(clave, idCliente, total);
+      if (existente) return existente;
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina las claves cuyo TTL ya expiró
+   * @returns {number} - Cantidad de claves eliminadas
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [clave, resultado] of this.outcomes.entries()) {
+      if (resultado.expiraEn <= now) {
+        this.outcomes.delete(clave);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Idempotencia: ${removed} clave(s) de pedido expiradas eliminadas`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Inicia la limpieza automática de claves expiradas
+   */
+  startCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpired();
+    }, this.CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Obtiene estadísticas de las claves registradas
+   * @returns {Object}
+   */
+  getStats() {
+    const porEstado = { en_curso: 0, creado: 0, incierto: 0, rechazado: 0 };
+
+    for (const [, resultado] of this.outcomes.entries()) {
+      porEstado[resultado.estado] = (porEstado[resultado.estado] || 0) + 1;
+    }
+
+    return {
+      trackedKeys: this.outcomes.size,
+      ...porEstado,
+      ttlMinutes: this.TTL / 1000 / 60,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Busca en mis-pedidos el pedido creado por una clave cuyo resultado es incierto
+   * @private
+   * @returns {Promise<number|null>} - ID del pedido si ya existe
+   * @throws {OrderTimeoutError} Si no se puede consultar mis-pedidos
+   */
+  async _findCreatedOrder(clave, idCliente, total) {
+    let pedidos;
+    try {
+      pedidos = await obtenerMisPedidos(idCliente);
+    } catch (error) {
+      console.error('⚠️ No se pudo verificar si el pedido ya existe:', error.message);
+      throw new OrderTimeoutError('No pudimos consultar tus pedidos en el servidor.', clave);
+    }
+
+    const pedido = this.findExistingOrder(clave, pedidos);
+    if (!pedido) return null;
+
+    console.log(`🔑 El pedido de la clave ${clave} ya existía: #${pedido.id_pedido}`);
+    this.recordSuccess(clave, { id_pedido: pedido.id_pedido, total });
+    return pedido.id_pedido;
+  }
+
+  // Actualiza campos de un resultado existente
+  _update(clave, campos) {
+    const resultado = this.outcomes.get(clave);
+    if (!resultado) {
+      console.warn(`⚠️ Idempotencia: clave ${clave} sin intento registrado`);
+      return;
+    }
+
+    this.outcomes.set(clave, { ...resultado, ...campos, actualizadoEn: Date.now() });
+  }
+
+  // IDs de los pedidos del cliente en mis-pedidos (null si no se pudo consultar)
+  async _listarPedidosPrevios(idCliente) {
+    try {
+      const pedidos = await obtenerMisPedidos(idCliente);
+      return pedidos.map(p => p.id_pedido);
+    } catch (error) {
+      console.warn('⚠️ No se pudieron consultar los pedidos previos del cliente:', error.message);
+      return null;
+    }
+  }
+
+  // Productos y cantidades en un orden estable, para comparar pedidos
+  _firmaDetalles(detalles) {
+    return detalles
+      .map(d => `${d.id_producto}:${d.cantidad}`)
+      .sort()
+      .join(',');
+  }
+}
+
+// Instancia singleton del servicio de idempotencia
+export const orderIdempotencyService = new OrderIdempotencyService();
+
+// Exportar también como default para compatibilidad
+export default orderIdempotencyService;
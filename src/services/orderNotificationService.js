@@ -0,0 +1,139 @@
+/**
+ * Servicio de Notificaciones de Pedidos
+ *
+ * Envía al cliente los cambios de estado de su pedido (llamado desde
+ * POST /api/notificar-pedido) y reacciona cuando Meta informa que la
+ * notificación falló:
+ * - Reintenta el envío hasta NOTIFICATION_MAX_RETRIES veces con espera creciente
+ * - Si el error no se resuelve reintentando (número inválido, ventana de 24h
+ *   cerrada) o se agotan los reintentos, genera una alerta en los logs y, si
+ *   ALERT_PHONE está configurado, avisa por WhatsApp a ese número
+ */
+
+import { sendMessage } from './messageService.js';
+import { messageStatusService } from './messageStatusService.js';
+import { plantilla, parametros } from '../utils/templateBuilder.js';
+
+// Tipo de contexto con el que se registran las notificaciones de pedidos
+export const CONTEXTO_NOTIFICACION_PEDIDO = 'notificacion_pedido';
+
+// Reintentos y espera base entre reintentos
+const MAX_REINTENTOS = parseInt(process.env.NOTIFICATION_MAX_RETRIES) || 2;
+const ESPERA_REINTENTO = (parseInt(process.env.NOTIFICATION_RETRY_DELAY_SECONDS) || 30) * 1000;
+
+// Códigos de error de Meta que no se resuelven reintentando el mismo mensaje
+const ERRORES_SIN_REINTENTO = [
+  131026, // Mensaje no entregable (número sin WhatsApp)
+  131047, // Ventana de 24 horas cerrada
+  131051, // Tipo de mensaje no soportado
+  131052  // Error descargando media
+];
+
+/**
+ * Construye el mensaje de actualización de un pedido
+ * @param {string|number} id_pedido - ID del pedido
+ * @param {string} estado - Nuevo estado del pedido
+ * @returns {string}
+ */
+function construirMensaje(id_pedido, estado) {
+  return `🔔 *Actualización de Pedido* 🔔\n\nTu pedido *#${id_pedido}* ha cambiado de estado a: *${estado.toUpperCase()}*.\n\nGracias por tu preferencia! 🥜`;
+}
+
+/**
+ * Construye la plantilla que se envía si la ventana de 24 horas del cliente está cerrada
+ * @param {string|number} id_pedido - ID del pedido
+ * @param {string} estado - Nuevo estado del pedido
+ * @returns {Object} - Plantilla lista para la API
+ */
+function construirPlantilla(id_pedido, estado) {
+  return plantilla('actualizacion_pedido')
+    .body(parametros.texto(id_pedido), parametros.texto(estado.toUpperCase()))
+    .boton(0, 'quick_reply', 'menu')
+    .build();
+}
+
+/**
+ * Envía la notificación de cambio de estado de un pedido
+ *
+ * Fuera de la ventana de 24 horas se envía la plantilla `actualizacion_pedido`.
+ *
+ * @param {Object} data - Datos de la notificación
+ * @param {string|number} data.id_pedido - ID del pedido
+ * @param {string} data.estado - Nuevo estado del pedido
+ * @param {string} data.telefono - Número del cliente
+ * @param {number} [intento] - Número de intento (1 = envío original)
+ * @returns {Promise<string|null>} - wamid del mensaje
+ * @throws {WhatsAppError} Si la API de WhatsApp rechazó el envío
+ */
+export async function notificarPedido({ id_pedido, estado, telefono }, intento = 1) {
+  const wamid = await sendMessage(telefono, construirMensaje(id_pedido, estado), {
+    plantilla: construirPlantilla(id_pedido, estado)
+  });
+
+  if (wamid) {
+    messageStatusService.attachContext(wamid, {
+      tipo: CONTEXTO_NOTIFICACION_PEDIDO,
+      id_pedido,
+      estado_pedido: estado,
+      intento
+    });
+  }
+
+  return wamid;
+}
+
+/**
+ * Maneja el fallo de entrega de una notificación de pedido
+ *
+ * Se llama desde el controlador de estados cuando Meta informa `failed`
+ * para un mensaje registrado con contexto de notificación de pedido.
+ *
+ * @param {Object} record - Registro del mensaje (messageStatusService)
+ */
+export async function manejarNotificacionFallida(record) {
+  const { id_pedido, estado_pedido, intento = 1 } = record.contexto;
+  const ultimoEstado = record.historial[record.historial.length - 1];
+  const codigos = (ultimoEstado?.errores || []).map(error => error.code);
+
+  const reintentable = !codigos.some(code => ERRORES_SIN_REINTENTO.includes(code));
+
+  if (reintentable && intento <= MAX_REINTENTOS) {
+    const espera = ESPERA_REINTENTO * intento;
+    console.warn(`🔁 Notificación del pedido #${id_pedido} a ${record.telefono} falló (${codigos.join(', ') || 'sin código'}), reintento ${intento}/${MAX_REINTENTOS} en ${espera / 1000}s`);
+
+    setTimeout(async () => {
+      try {
+        await notificarPedido({ id_pedido, estado: estado_pedido, telefono: record.telefono }, intento + 1);
+      } catch (error) {
+        await alertarNotificacionFallida(record, `la API rechazó el reintento (${error.name}: ${error.message})`);
+      }
+    }, espera);
+    return;
+  }
+
+  const motivo = reintentable
+    ? `reintentos agotados (${intento} intento(s))`
+    : `error no recuperable (${codigos.join(', ')})`;
+
+  await alertarNotificacionFallida(record, motivo);
+}
+
+/**
+ * Genera una alerta por una notificación de pedido que no se pudo entregar
+ * @param {Object} record - Registro del mensaje (messageStatusService)
+ * @param {string} motivo - Motivo de la alerta
+ */
+async function alertarNotificacionFallida(record, motivo) {
+  const { id_pedido, estado_pedido } = record.contexto;
+  const alerta = `🚨 *Notificación no entregada*\n\nPedido: #${id_pedido}\nEstado: ${estado_pedido}\nCliente: ${record.telefono}\nMotivo: ${motivo}`;
+
+  console.error(alerta.replace(/\*/g, '').replace(/\n+/g, ' | '));
+
+  if (process.env.ALERT_PHONE) {
+    try {
+      await sendMessage(process.env.ALERT_PHONE, alerta);
+    } catch (error) {
+      console.error(`❌ No se pudo enviar la alerta a ${process.env.ALERT_PHONE}:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * Cola de Pedidos Pendientes (outbox)
+ *
+ * Cuando el backend no está disponible al confirmar un pedido, el pedido no
+ * se pierde: queda en esta cola con una referencia provisional (ej: P-7K2Q9D)
+ * y se reenvía en segundo plano hasta que el backend lo acepte.
+ *
+ * - Almacén persistente: los pedidos pendientes sobreviven a un reinicio del bot
+ * - Reintentos con espera exponencial (ORDER_OUTBOX_RETRY_DELAY_SECONDS × 2^intento,
+ *   máximo 30 minutos) hasta ORDER_OUTBOX_MAX_RETRIES intentos
+ * - Cada envío pasa por orderIdempotencyService.submitOrder con la clave del
+ *   checkout, así un reintento no duplica el pedido
+ * - Al crearse el pedido se avisa al cliente con el número real y las
+ *   instrucciones de pago; si se agotan los reintentos o el backend rechaza
+ *   el pedido se le explica el motivo (y se avisa a ALERT_PHONE)
+ */
+
+import crypto from 'crypto';
+import { sendMessage } from './messageService.js';
+import { setPendingPayment } from './conversationStateService.js';
+import { orderIdempotencyService } from './orderIdempotencyService.js';
+import { createStore } from '../storage/storageAdapter.js';
+import { BackendUnavailableError, OrderTimeoutError } from '../utils/errors.js';
+
+/**
+ * PedidoPendiente = {
+ *   referencia: string,
+ *   telefono: string,
+ *   payload: Object,          // Payload de crearPedidoCompleto (con clave_idempotencia)
+ *   total: number,
+ *   estado: 'pendiente' | 'enviado' | 'fallido',
+ *   intentos: number,
+ *   proximoIntento: number,
+ *   ultimoError: string|null,
+ *   id_pedido: number|null,
+ *   creadoEn: number,
+ *   actualizadoEn: number
+ * }
+ */
+
+// Espera máxima entre reintentos
+const ESPERA_MAXIMA = 30 * 60 * 1000;
+
+// Tiempo que se conservan los pedidos ya enviados o fallidos (para consulta)
+const RETENCION_FINALIZADOS = 24 * 60 * 60 * 1000;
+
+class OrderOutboxService {
+  constructor() {
+    // Pedidos en cola por referencia provisional
+    this.pedidos = createStore('order_outbox');
+
+    // Reintentos y espera base entre reintentos
+    this.MAX_REINTENTOS = parseInt(process.env.ORDER_OUTBOX_MAX_RETRIES) || 10;
+    this.ESPERA_BASE = (parseInt(process.env.ORDER_OUTBOX_RETRY_DELAY_SECONDS) || 30) * 1000;
+
+    // Frecuencia con que se revisan los pedidos que toca reintentar
+    this.INTERVALO_REVISION = 15 * 1000;
+
+    this.procesando = false;
+
+    this.startWorker();
+
+    const pendientes = this.getPending().length;
+    if (pendientes > 0) {
+      console.log(`📮 Cola de pedidos: ${pendientes} pedido(s) pendiente(s) de enviar`);
+    }
+  }
+
+  /**
+   * Agrega un pedido confirmado a la cola
+   *
+   * @param {string} telefono - Número del cliente
+   * @param {Object} payload - Payload de crearPedidoCompleto (con clave_idempotencia)
+   * @param {number} total - Total del carrito
+   * @returns {Object} - Pedido en cola (con su referencia provisional)
+   */
+  enqueue(telefono, payload, total) {
+    const now = Date.now();
+    const pedido = {
+      referencia: this._nuevaReferencia(),
+      telefono,
+      payload,
+      total,
+      estado: 'pendiente',
+      intentos: 0,
+      proximoIntento: now + this.ESPERA_BASE,
+      ultimoError: null,
+      id_pedido: null,
+      creadoEn: now,
+      actualizadoEn: now
+    };
+
+    this.pedidos.set(pedido.referencia, pedido);
+    console.log(`📮 Pedido ${pedido.referencia} de ${telefono} en cola (próximo intento en ${this.ESPERA_BASE / 1000}s)`);
+
+    return pedido;
+  }
+
+  /**
+   * Pedidos que aún esperan ser enviados al backend
+   * @param {string} [telefono] - Solo los de este cliente
+   * @returns {Array<Object>}
+   */
+  getPending(telefono) {
+    const pendientes = [];
+    for (const [, pedido] of this.pedidos.entries()) {
+      if (pedido.estado === 'pendiente' && (!telefono || pedido.telefono === telefono)) {
+        pendientes.push(pedido);
+      }
+    }
+    return pendientes.sort((a, b) => a.creadoEn - b.creadoEn);
+  }
+
+  /**
+   * Obtiene un pedido de la cola por su referencia provisional
+   * @param {string} referencia
+   * @returns {Object|null}
+   */
+  getOrder(referencia) {
+    return this.pedidos.get(referencia) || null;
+  }
+
+  /**
+   * Envía los pedidos pendientes cuyo próximo intento ya llegó
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.todos=false] - Reintentar todos sin esperar su turno
+   * @returns {Promise<number>} - Cantidad de pedidos procesados
+   */
+  async processDue({ todos = false } = {}) {
+    if (this.procesando) return 0;
+    this.procesando = true;
+
+    let procesados = 0;
+    try {
+      const now = Date.now();
+      for (const pedido of this.getPending()) {
+        if (todos || pedido.proximoIntento <= now) {
+          await this._enviar(pedido);
+          procesados++;
+        }
+      }
+    } finally {
+      this.procesando = false;
+    }
+
+    return procesados;
+  }
+
+  /**
+   * Inicia la revisión periódica de la cola
+   */
+  startWorker() {
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.processDue().catch(error => console.error('❌ Error procesando la cola de pedidos:', error.message));
+      this._limpiarFinalizados();
+    }, this.INTERVALO_REVISION);
+  }
+
+  /**
+   * Obtiene estadísticas de la cola
+   * @returns {Object}
+   */
+  getStats() {
+    const porEstado = { pendiente: 0, enviado: 0, fallido: 0 };
+
+    for (const [, pedido] of this.pedidos.entries()) {
+      porEstado[pedido.estado]++;
+    }
+
+    return {
+      ...porEstado,
+      maxReintentos: this.MAX_REINTENTOS,
+      esperaBaseSegundos: this.ESPERA_BASE / 1000,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Intenta enviar un pedido de la cola y avisa al cliente del resultado
+  async _enviar(pedido) {
+    const intento = pedido.intentos + 1;
+    console.log(`📤 Reenviando pedido ${pedido.referencia} (intento ${intento}/${this.MAX_REINTENTOS})`);
+
+    let idPedido;
+    try {
+      idPedido = await orderIdempotencyService.submitOrder(pedido.telefono, pedido.payload, pedido.total);
+    } catch (error) {
+      const reintentable = error instanceof BackendUnavailableError || error instanceof OrderTimeoutError;
+
+      if (reintentable && intento < this.MAX_REINTENTOS) {
+        const espera = Math.min(this.ESPERA_BASE * 2 ** intento, ESPERA_MAXIMA);
+        this._actualizar(pedido, { intentos: intento, proximoIntento: Date.now() + espera, ultimoError: error.message });
+        console.warn(`🔁 Pedido ${pedido.referencia} sin enviar (${error.message}), próximo intento en ${espera / 1000}s`);
+        return;
+      }
+
+      this._actualizar(pedido, { estado: 'fallido', intentos: intento, ultimoError: error.message });
+      await this._avisarFallo(pedido, error, reintentable);
+      return;
+    }
+
+    this._actualizar(pedido, { estado: 'enviado', intentos: intento, id_pedido: idPedido, ultimoError: null });
+    console.log(`✅ Pedido ${pedido.referencia} creado en el backend como #${idPedido}`);
+
+    if (idPedido) {
+      setPendingPayment(pedido.telefono, { id_pedido: idPedido, total: pedido.total });
+    }
+
+    await this._notificar(pedido.telefono, `✅ *¡Tu pedido quedó registrado!*
+
+Tu pedido con referencia provisional *${pedido.referencia}* ya está en nuestro sistema.
+
+📋 *Número de pedido:* #${idPedido || 'N/A'}
+💰 *Total:* $${pedido.total.toLocaleString('es-CL')}
+
+━━━━━━━━━━━━━━━━━━━━
+
+💳 *INSTRUCCIONES DE PAGO:*
+
+1️⃣ Realiza una transferencia bancaria por el monto total
+2️⃣ Envía el comprobante al correo:
+   📧 *elamanicerolucas@gmail.com*
+3️⃣ En el asunto del correo escribe:
+   *Pedido #${idPedido || pedido.referencia}*
+
+📸 También puedes enviar la foto del comprobante por este chat.
+
+¡Gracias por tu compra! 😊`);
+  }
+
+  // Explica al cliente por qué no se pudo crear su pedido y genera una alerta
+  async _avisarFallo(pedido, error, reintentosAgotados) {
+    const motivo = reintentosAgotados
+      ? 'Nuestro sistema siguió sin responder después de varios intentos.'
+      : `El sistema rechazó el pedido: ${error.message}`;
+
+    await this._notificar(pedido.telefono, `❌ *No pudimos registrar tu pedido*
+
+Lo sentimos, tu pedido con referencia *${pedido.referencia}* no se pudo crear.
+
+${motivo}
+
+No se realizó ningún cobro. Puedes volver a hacer tu pedido desde el menú principal escribiendo *menu*.`);
+
+    const alerta = `🚨 *Pedido en cola no enviado*\n\nReferencia: ${pedido.referencia}\nCliente: ${pedido.telefono}\nIntentos: ${pedido.intentos}\nMotivo: ${error.message}`;
+    console.error(alerta.replace(/\*/g, '').replace(/\n+/g, ' | '));
+
+    if (process.env.ALERT_PHONE) {
+      await this._notificar(process.env.ALERT_PHONE, alerta);
+    }
+  }
+
+  // Un fallo al avisar no debe detener la cola
+  async _notificar(telefono, mensaje) {
+    try {
+      await sendMessage(telefono, mensaje);
+    } catch (error) {
+      console.error(`❌ No se pudo avisar a ${telefono} sobre la cola de pedidos:`, error.message);
+    }
+  }
+
+  _actualizar(pedido, campos) {
+    Object.assign(pedido, campos, { actualizadoEn: Date.now() });
+    this.pedidos.set(pedido.referencia, pedido);
+  }
+
+  // Elimina los pedidos enviados o fallidos más antiguos que la retención
+  _limpiarFinalizados() {
+    const limite = Date.now() - RETENCION_FINALIZADOS;
+    for (const [referencia, pedido] of this.pedidos.entries()) {
+      if (pedido.estado !== 'pendiente' && pedido.actualizadoEn < limite) {
+        this.pedidos.delete(referencia);
+      }
+    }
+  }
+
+  // Referencia provisional corta y legible para el cliente (sin 0/O ni 1/I)
+  _nuevaReferencia() {
+    const alfabeto = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let referencia;
+    do {
+      const bytes = crypto.randomBytes(6);
+      referencia = 'P-' + Array.from(bytes, b => alfabeto[b % alfabeto.length]).join('');
+    } while (this.pedidos.has(referencia));
+    return referencia;
+  }
+}
+
+// Instancia singleton de la cola de pedidos
+export const orderOutboxService = new OrderOutboxService();
+
+// Exportar también como default para compatibilidad
+export default orderOutboxService;
@@ -138,6 +138,27 @@ export function formatProductList(productos, searchTerm) {
   return mensaje;
 }
 
+/**
+ * Construye las filas de un mensaje de lista interactivo para seleccionar productos
+ *
+ * El id de cada fila es la posición (1, 2, 3...), igual que el número que
+ * el usuario escribiría al responder a formatProductList.
+ *
+ * @param {Array} productos - Array de productos encontrados
+ * @returns {Array<{id: string, title: string, description: string}>} - Filas para sendList
+ */
+export function buildProductListRows(productos) {
+  if (!Array.isArray(productos)) {
+    return [];
+  }
+
+  return productos.slice(0, 10).map((producto, index) => ({
+    id: String(index + 1),
+    title: producto.nombre,
+    description: `${formatChileanPrice(producto.precio_unitario)} · ${producto.stock_actual > 0 ? `Stock: ${producto.stock_actual}` : 'Sin stock'}`
+  }));
+}
+
 /**
  * Formatea los detalles completos de un producto individual
  *
@@ -338,6 +359,7 @@ export function formatProductSearchWelcome() {
 export default {
   formatChileanPrice,
   formatProductList,
+  buildProductListRows,
   formatProductDetails,
   formatNoResults,
   formatApiError,
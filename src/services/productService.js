@@ -1,5 +1,5 @@
 import { extractProductSearchTerm, detectarProducto } from './mistralService.js';
-import { buscarProductos } from './apiService.js';
+import { catalogService } from './catalogService.js';
 import { buscarProductoPorNombre } from './staticDataService.js';
 import {
   formatProductList,
@@ -37,8 +37,8 @@ export async function buscarProductoConIA(mensaje) {
 
     console.log(`✅ Término de búsqueda extraído: "${searchTerm}"`);
 
-    // 2. Buscar productos en la API del backend
-    const productos = await buscarProductos(searchTerm, 3);
+    // 2. Buscar productos en el catálogo local (o en la API si no está cargado)
+    const productos = await catalogService.buscarProductos(searchTerm, 3);
 
     // 3. Formatear respuesta según resultados
     if (productos.length === 0) {
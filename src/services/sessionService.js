@@ -1,10 +1,15 @@
 import { sendMessage } from './messageService.js';
+import { createStore } from '../storage/storageAdapter.js';
+
+// Los avisos de sesión solo tienen sentido dentro de la ventana de 24 horas:
+// fuera de ella no se reemplazan por una plantilla (el envío falla y se registra)
+const SIN_PLANTILLA = { plantilla: false };
 
 // Servicio de gestión de sesiones con expiración automática
 export class SessionService {
   constructor() {
-    // Almacén de sesiones en memoria con timestamps
-    this.sessions = new Map();
+    // Almacén de sesiones con timestamps (persistente, ver storage/storageAdapter.js)
+    this.sessions = createStore('sessions');
 
     // Duración de la sesión en milisegundos (15 minutos)
     this.SESSION_DURATION = 15 * 60 * 1000; // 15 minutos
@@ -54,70 +59,82 @@ export class SessionService {
     const { mostrarMenuPrincipal } = await import('../flows/menuFlow.js');
 
     for (const [userId, session] of this.sessions.entries()) {
-      const timeSinceLastActivity = now - session.lastActivity;
+      try {
+        const timeSinceLastActivity = now - session.lastActivity;
 
-      // 1. Verificar si debe finalizar automáticamente (15 minutos)
-      if (timeSinceLastActivity >= this.SESSION_DURATION) {
-        if (!session.finishMessageShown) {
-          console.log(`🔚 Finalizando sesión automáticamente para ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
+        // 1. Verificar si debe finalizar automáticamente (15 minutos)
+        if (timeSinceLastActivity >= this.SESSION_DURATION) {
+          if (!session.finishMessageShown) {
+            console.log(`🔚 Finalizando sesión automáticamente para ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
 
-          // Marcar como notificado
-          session.finishMessageShown = true;
-          this.sessions.set(userId, session);
+            // Marcar como notificado
+            session.finishMessageShown = true;
+            this.sessions.set(userId, session);
 
-          // Verificar si tenía un carrito activo
-          const cart = cartService.getCart(userId);
-          const hadCart = cart && cart.items && cart.items.length > 0;
+            // Verificar si tenía un carrito activo
+            const cart = cartService.getCart(userId);
+            const hadCart = cart && cart.items && cart.items.length > 0;
 
-          let mensajeFinal = `🔚 *Conversación Finalizada*
+            let mensajeFinal = `🔚 *Conversación Finalizada*
 
 Tu sesión ha sido finalizada automáticamente por inactividad.`;
 
-          if (hadCart) {
-            mensajeFinal += `\n\n⚠️ *Nota:* Tu carrito de compras ha sido eliminado por inactividad.`;
-          }
+            if (hadCart) {
+              mensajeFinal += `\n\n⚠️ *Nota:* Tu carrito de compras ha sido eliminado por inactividad.`;
+            }
 
-          mensajeFinal += `\n\n¡Gracias por contactarnos! Si necesitas ayuda nuevamente, simplemente envía un mensaje.`;
+            mensajeFinal += `\n\n¡Gracias por contactarnos! Si necesitas ayuda nuevamente, simplemente envía un mensaje.`;
 
-          await sendMessage(userId, mensajeFinal);
+            // Reiniciar la sesión completamente antes de avisar: si el aviso
+            // falla (ej: ventana de 24 horas cerrada) la sesión igual expira
+            this.resetSession(userId);
 
-          // Reiniciar la sesión completamente
-          this.resetSession(userId);
+            try {
+              await sendMessage(userId, mensajeFinal, SIN_PLANTILLA);
+            } catch (error) {
+              console.error(`❌ No se pudo avisar a ${userId} el fin de la sesión:`, error.message);
+            }
+          }
+          continue; // Pasar a la siguiente sesión
         }
-        continue; // Pasar a la siguiente sesión
-      }
 
-      // 2. Verificar advertencia (12 minutos)
-      if (timeSinceLastActivity >= this.WARNING_TIME && !session.warningShown) {
-        console.log(`⚠️ Enviando advertencia a ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
+        // 2. Verificar advertencia (12 minutos)
+        if (timeSinceLastActivity >= this.WARNING_TIME && !session.warningShown) {
+          console.log(`⚠️ Enviando advertencia a ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
 
-        session.warningShown = true;
-        this.sessions.set(userId, session);
+          session.warningShown = true;
+          this.sessions.set(userId, session);
 
-        await sendMessage(userId, `⚠️ *Advertencia de Sesión*
+          await sendMessage(userId, `⚠️ *Advertencia de Sesión*
 
 Tu conversación será finalizada automáticamente en *3 minutos* por inactividad.
 
-Si deseas continuar, simplemente envía cualquier mensaje.`);
-        continue;
-      }
+Si deseas continuar, simplemente envía cualquier mensaje.`, SIN_PLANTILLA);
+          continue;
+        }
 
-      // 3. Verificar reinicio de contexto (8 minutos)
-      if (timeSinceLastActivity >= this.CONTEXT_RESET_TIME && !session.contextResetShown) {
-        console.log(`🔄 Reiniciando contexto para ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
+        // 3. Verificar reinicio de contexto (8 minutos)
+        if (timeSinceLastActivity >= this.CONTEXT_RESET_TIME && !session.contextResetShown) {
+          console.log(`🔄 Reiniciando contexto para ${userId} - Inactivo por ${Math.round(timeSinceLastActivity / 1000 / 60)} minutos`);
 
-        session.contextResetShown = true;
-        this.sessions.set(userId, session);
+          session.contextResetShown = true;
+          this.sessions.set(userId, session);
+
+          // Reiniciar contexto (estado) pero mantener sesión y carrito, antes de
+          // avisar para que un envío fallido no deje el estado anterior
+          // NO actualizamos la actividad para que el tiempo siga corriendo hacia la expiración
+          this.resetContext(userId, false);
 
-        await sendMessage(userId, `⏳ *Reinicio por Inactividad*
+          await sendMessage(userId, `⏳ *Reinicio por Inactividad*
     
 Por inactividad (8 min), hemos vuelto al menú principal.
-Tu sesión sigue activa y tu carrito (si tienes uno) se mantiene guardado.`);
+Tu sesión sigue activa y tu carrito (si tienes uno) se mantiene guardado.`, SIN_PLANTILLA);
 
-        // Reiniciar contexto (estado) pero mantener sesión y carrito
-        // NO actualizamos la actividad para que el tiempo siga corriendo hacia la expiración
-        this.resetContext(userId, false);
-        await mostrarMenuPrincipal(userId);
+          await mostrarMenuPrincipal(userId);
+        }
+      } catch (error) {
+        // Un envío fallido no debe detener la revisión del resto de las sesiones
+        console.error(`❌ Error revisando la sesión de ${userId}:`, error.message);
       }
     }
   }
@@ -249,11 +266,12 @@ Tu sesión sigue activa y tu carrito (si tienes uno) se mantiene guardado.`);
     this.removeSession(userId);
 
     // Importar y limpiar estado de conversación, datos del cliente, y datos de pedido
-    import('./conversationStateService.js').then(({ clearState, clearTempData, clearClientData, clearOrderData }) => {
+    import('./conversationStateService.js').then(({ clearState, clearTempData, clearClientData, clearOrderData, clearPendingContinuation }) => {
       clearState(userId);
       clearTempData(userId);
       clearClientData(userId);
       clearOrderData(userId);
+      clearPendingContinuation(userId);
       console.log(`🔄 Sesión reiniciada completamente para ${userId}`);
     });
 
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { reconocerProductos } from '../utils/productMatcher.js';
 
 // Obtener la ruta del directorio actual
 const __filename = fileURLToPath(import.meta.url);
@@ -35,21 +36,38 @@ export function registrarUsuario(telefono, nombre, apellido) {
   return nuevoUsuario;
 }
 
-// Buscar producto por nombre exacto (simulación de endpoint)
+// Productos activos del catálogo local (respaldo cuando no hay catálogo del backend)
+export function listarProductosActivos() {
+  return productos.filter((p) => p.activo);
+}
+
+// Buscar producto por nombre (simulación de endpoint)
+// Sin coincidencia exacta, acepta el nombre más parecido: sin tildes, en
+// singular, con sinónimos o errores de tipeo (utils/productMatcher.js)
 export function buscarProductoPorNombre(nombreProducto) {
-  const producto = productos.find((p) => 
+  let producto = productos.find((p) =>
     p.nombre.toLowerCase() === nombreProducto.toLowerCase() && p.activo
   );
-  
+  let confianza = 1;
+
+  if (!producto) {
+    const [mejor] = reconocerProductos(nombreProducto, listarProductosActivos(), { limite: 1 });
+    if (mejor) {
+      producto = mejor.producto;
+      confianza = mejor.confianza;
+    }
+  }
+
   if (!producto) {
     return null;
   }
-  
-  // Retornar solo nombre, precio_minorista y disponibilidad de stock
+
+  // Retornar solo nombre, precio_minorista, disponibilidad de stock y confianza de la coincidencia
   return {
     nombre: producto.nombre,
     precio_minorista: producto.precio_minorista,
-    hay_stock: producto.stock > 0
+    hay_stock: producto.stock > 0,
+    confianza
   };
 }
 
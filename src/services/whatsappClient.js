@@ -0,0 +1,139 @@
+/**
+ * Cliente de la API de WhatsApp Cloud
+ *
+ * Único punto de salida de mensajes hacia Meta. Centraliza:
+ * - Versión de la API y URL base configurables (META_API_VERSION, META_API_BASE_URL)
+ * - Autenticación (ACCESS_TOKEN; META_TOKEN se acepta por compatibilidad)
+ * - Errores tipados según el código de Meta (ver utils/errors.js)
+ * - Reintentos con backoff exponencial para errores transitorios
+ *   (límites de envío, errores 5xx, fallas de conexión)
+ *
+ * Sin respuesta de Meta solo se reintenta si la petición no llegó a
+ * enviarse (sin conexión, DNS). Si se agota el tiempo esperando la
+ * respuesta, Meta pudo haber aceptado el mensaje: reintentar lo duplicaría.
+ */
+
+import axios from 'axios';
+import { META_CONFIG } from '../config/meta.js';
+import {
+  WhatsAppError,
+  RateLimitError,
+  InvalidRecipientError,
+  WindowExpiredError
+} from '../utils/errors.js';
+
+// Códigos de error de Meta agrupados por tipo
+const RATE_LIMIT_CODES = [4, 80007, 130429, 131048, 131056];
+const INVALID_RECIPIENT_CODES = [131026, 131030, 131045];
+const WINDOW_EXPIRED_CODES = [131047];
+const TRANSIENT_CODES = [1, 2, 131000, 131016];
+
+// Errores de red en los que la petición no llegó a Meta
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+class WhatsAppClient {
+  constructor() {
+    this.MAX_RETRIES = META_CONFIG.MAX_RETRIES;
+    this.RETRY_BASE_DELAY = META_CONFIG.RETRY_BASE_DELAY_MS;
+
+    this.http = axios.create({
+      baseURL: `${META_CONFIG.API_BASE_URL}/${META_CONFIG.API_VERSION}`,
+      timeout: META_CONFIG.TIMEOUT,
+      headers: {
+        Authorization: `Bearer ${META_CONFIG.ACCESS_TOKEN}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Envía un mensaje a la API de WhatsApp
+   *
+   * @param {Object} payload - Contenido del mensaje (to, type, text/interactive/template...)
+   * @returns {Promise<string|null>} - wamid del mensaje aceptado por Meta
+   * @throws {RateLimitError} Si se superó un límite de envío y se agotaron los reintentos
+   * @throws {InvalidRecipientError} Si el destinatario no puede recibir mensajes
+   * @throws {WindowExpiredError} Si la ventana de 24 horas está cerrada
+   * @throws {WhatsAppError} Para cualquier otro error de la API o de red
+   */
+  async sendMessage(payload) {
+    const body = { messaging_product: 'whatsapp', ...payload };
+
+    for (let intento = 0; ; intento++) {
+      try {
+        const response = await this.http.post(`/${META_CONFIG.PHONE_NUMBER_ID}/messages`, body);
+        return response.data?.messages?.[0]?.id || null;
+      } catch (error) {
+        const whatsappError = this.toWhatsAppError(error);
+
+        if (whatsappError.retryable && intento < this.MAX_RETRIES) {
+          const espera = this.getBackoffDelay(intento);
+          console.warn(`🔁 WhatsApp: ${whatsappError.name} (${whatsappError.code ?? whatsappError.status ?? 'red'}) enviando a ${payload.to}, reintento ${intento + 1}/${this.MAX_RETRIES} en ${espera}ms`);
+          await new Promise(resolve => setTimeout(resolve, espera));
+          continue;
+        }
+
+        console.error(`❌ WhatsApp: ${whatsappError.name} enviando ${payload.type} a ${payload.to}: ${whatsappError.message}`);
+        throw whatsappError;
+      }
+    }
+  }
+
+  /**
+   * Calcula la espera antes de un reintento (exponencial con variación aleatoria)
+   * @param {number} intento - Número de reintento (desde 0)
+   * @returns {number} - Milisegundos de espera
+   */
+  getBackoffDelay(intento) {
+    const base = this.RETRY_BASE_DELAY * 2 ** intento;
+    return Math.round(base + Math.random() * base * 0.2);
+  }
+
+  /**
+   * Convierte un error de axios en un error tipado
+   * @param {Error} error - Error de axios
+   * @returns {WhatsAppError}
+   */
+  toWhatsAppError(error) {
+    // Sin respuesta: solo se reintenta si no se pudo conectar (un timeout de
+    // respuesta, ECONNABORTED, pudo llegar a Meta)
+    if (!error.response) {
+      const sinConexion = CONNECTION_ERROR_CODES.includes(error.code) ||
+        (error.code === 'ETIMEDOUT' && error.syscall === 'connect');
+      return new WhatsAppError(`Sin respuesta de WhatsApp: ${error.message}`, { retryable: sinConexion });
+    }
+
+    const status = error.response.status;
+    const metaError = error.response.data?.error || {};
+    const code = metaError.code ?? null;
+    const data = {
+      code,
+      status,
+      details: metaError.error_data?.details || null
+    };
+    const message = metaError.message || `Error HTTP ${status}`;
+
+    if (RATE_LIMIT_CODES.includes(code) || status === 429) {
+      return new RateLimitError(message, data);
+    }
+
+    if (INVALID_RECIPIENT_CODES.includes(code)) {
+      return new InvalidRecipientError(message, data);
+    }
+
+    if (WINDOW_EXPIRED_CODES.includes(code)) {
+      return new WindowExpiredError(message, data);
+    }
+
+    return new WhatsAppError(message, {
+      ...data,
+      retryable: status >= 500 || TRANSIENT_CODES.includes(code)
+    });
+  }
+}
+
+// Instancia singleton del cliente de WhatsApp
+export const whatsappClient = new WhatsAppClient();
+
+// Exportar también como default para compatibilidad
+export default whatsappClient;
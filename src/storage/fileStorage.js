@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Almacenamiento en archivos JSON
+ *
+ * Cada almacén es un Map que se guarda completo en `<directorio>/<namespace>.json`.
+ * - Al crearse carga el archivo si existe
+ * - Cada set/delete/clear programa una escritura (agrupadas cada WRITE_DELAY ms)
+ * - La escritura es atómica: se escribe un archivo temporal y se renombra
+ *
+ * Los valores deben ser serializables a JSON (objetos planos, arrays, números,
+ * strings). Si un valor se modifica en el lugar, llamar a `set` de nuevo para
+ * que el cambio se guarde.
+ */
+
+// Tiempo para agrupar escrituras consecutivas
+const WRITE_DELAY = 200;
+
+export class FileStore extends Map {
+  /**
+   * @param {string} namespace - Nombre del almacén (nombre del archivo)
+   * @param {string} directorio - Directorio donde se guardan los archivos
+   */
+  constructor(namespace, directorio) {
+    super();
+    this.namespace = namespace;
+    this.filePath = path.join(directorio, `${namespace}.json`);
+    this.writeTimer = null;
+    this.dirty = false;
+
+    fs.mkdirSync(directorio, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Carga los datos guardados (se usa Map.prototype.set para no programar escrituras)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, value] of entries) {
+        super.set(key, value);
+      }
+      if (this.size > 0) {
+        console.log(`💾 Almacén "${this.namespace}" cargado: ${this.size} registro(s)`);
+      }
+    } catch (error) {
+      // Un archivo corrupto no debe impedir iniciar el bot: se respalda y se empieza vacío
+      const respaldo = `${this.filePath}.corrupto-${Date.now()}`;
+      console.error(`❌ No se pudo leer el almacén "${this.namespace}" (${error.message}), respaldo en ${respaldo}`);
+      fs.renameSync(this.filePath, respaldo);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleWrite();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleWrite();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleWrite();
+  }
+
+  /**
+   * Programa una escritura del almacén completo
+   */
+  scheduleWrite() {
+    this.dirty = true;
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, WRITE_DELAY);
+  }
+
+  /**
+   * Escribe el almacén en disco si tiene cambios pendientes
+   * (sincrónico, seguro al cerrar el proceso)
+   */
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+
+    if (!this.dirty) return;
+    this.dirty = false;
+
+    const tmpPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify([...this.entries()]));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`❌ Error guardando el almacén "${this.namespace}":`, error.message);
+    }
+  }
+}
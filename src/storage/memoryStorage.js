@@ -0,0 +1,20 @@
+/**
+ * Almacenamiento en memoria
+ *
+ * Es un Map normal: los datos se pierden al reiniciar el proceso. Se usa en
+ * desarrollo con STORAGE_DRIVER=memory y en simulaciones/pruebas.
+ */
+export class MemoryStore extends Map {
+  /**
+   * @param {string} namespace - Nombre del almacén (solo informativo)
+   */
+  constructor(namespace) {
+    super();
+    this.namespace = namespace;
+  }
+
+  /**
+   * Sin efecto: no hay nada que escribir
+   */
+  flush() {}
+}
@@ -0,0 +1,99 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { MemoryStore } from './memoryStorage.js';
+import { FileStore } from './fileStorage.js';
+
+dotenv.config();
+
+/**
+ * Adaptador de almacenamiento
+ *
+ * Los servicios piden un almacén con `createStore(namespace)` y reciben un
+ * objeto con la misma API de un Map (get, set, has, delete, entries, size...).
+ * El driver se elige con STORAGE_DRIVER:
+ * - 'file' (default): archivos JSON en STORAGE_DIR (default: .data/), los datos
+ *   sobreviven a reinicios y despliegues
+ * - 'memory': Map en memoria, se pierde al reiniciar
+ *
+ * Para agregar otro driver (ej: SQLite) basta con una clase que extienda Map
+ * y guarde en `set`/`delete`/`clear`, con un método `flush()`.
+ *
+ * @example
+ * import { createStore } from '../storage/storageAdapter.js';
+ * const carts = createStore('carts');
+ * carts.set(telefono, items);
+ */
+
+export const STORAGE_CONFIG = {
+  DRIVER: process.env.STORAGE_DRIVER || 'file',
+  DIR: path.resolve(process.env.STORAGE_DIR || '.data')
+};
+
+const DRIVERS = {
+  memory: (namespace) => new MemoryStore(namespace),
+  file: (namespace) => new FileStore(namespace, STORAGE_CONFIG.DIR)
+};
+
+// Almacenes creados (para guardarlos todos al cerrar el proceso)
+const stores = new Map();
+
+/**
+ * Crea (u obtiene) un almacén con API de Map
+ * @param {string} namespace - Nombre único del almacén (ej: 'carts', 'sessions')
+ * @returns {Map} - Almacén del driver configurado
+ */
+export function createStore(namespace) {
+  if (stores.has(namespace)) {
+    return stores.get(namespace);
+  }
+
+  const driver = DRIVERS[STORAGE_CONFIG.DRIVER];
+  if (!driver) {
+    throw new Error(`STORAGE_DRIVER desconocido: "${STORAGE_CONFIG.DRIVER}" (opciones: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const store = driver(namespace);
+  stores.set(namespace, store);
+  return store;
+}
+
+/**
+ * Guarda de inmediato todos los almacenes pendientes de escritura
+ */
+export function flushAllStores() {
+  for (const store of stores.values()) {
+    store.flush();
+  }
+}
+
+/**
+ * Vacía todos los almacenes creados (usado por el simulador entre conversaciones)
+ */
+export function clearAllStores() {
+  for (const store of stores.values()) {
+    store.clear();
+  }
+}
+
+/**
+ * Obtiene estadísticas de los almacenes creados
+ * @returns {Object}
+ */
+export function getStorageStats() {
+  return {
+    driver: STORAGE_CONFIG.DRIVER,
+    directorio: STORAGE_CONFIG.DRIVER === 'file' ? STORAGE_CONFIG.DIR : null,
+    almacenes: Object.fromEntries([...stores.entries()].map(([namespace, store]) => [namespace, store.size])),
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Guardar todo antes de que el proceso termine (Ctrl+C, despliegue o reinicio de nodemon)
+for (const signal of ['SIGINT', 'SIGTERM', 'SIGUSR2']) {
+  process.once(signal, () => {
+    flushAllStores();
+    process.kill(process.pid, signal);
+  });
+}
+
+process.on('exit', flushAllStores);
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { verificarFirma } from './webhookSignature.js';
+
+/**
+ * Autenticación de las rutas internas
+ *
+ * - Las rutas de consulta interna (historial de entregas, estado del
+ *   catálogo) exigen el encabezado Authorization: Bearer <ADMIN_API_TOKEN>
+ * - La invalidación del catálogo, que llama el backend, exige el cuerpo
+ *   firmado con CATALOG_WEBHOOK_SECRET en X-Catalog-Signature (mismo
+ *   formato que X-Hub-Signature-256 de Meta: "sha256=<hex>")
+ *
+ * Sin el secreto configurado se rechazan todas las peticiones (401), así
+ * un despliegue sin configurar no queda abierto.
+ */
+
+// Prefijo del encabezado Authorization
+const BEARER_PREFIX = /^Bearer\s+/i;
+
+/**
+ * Compara un token recibido con el configurado sin filtrar su largo por tiempo
+ * @param {string|undefined} recibido - Token del encabezado
+ * @param {string|undefined} esperado - ADMIN_API_TOKEN
+ * @returns {boolean}
+ */
+export function tokenValido(recibido, esperado) {
+  if (!recibido || !esperado) return false;
+
+  const a = crypto.createHash('sha256').update(recibido).digest();
+  const b = crypto.createHash('sha256').update(esperado).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware: exige Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+export function requerirTokenAdmin(req, res, next) {
+  const esperado = process.env.ADMIN_API_TOKEN;
+
+  if (!esperado) {
+    console.error(`❌ ${req.method} ${req.path} rechazado: ADMIN_API_TOKEN no está configurado`);
+    return res.sendStatus(401);
+  }
+
+  const recibido = (req.get('authorization') || '').replace(BEARER_PREFIX, '');
+  if (!tokenValido(recibido, esperado)) {
+    console.warn(`❌ ${req.method} ${req.path} rechazado: token inválido desde ${req.ip}`);
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
+/**
+ * Middleware: exige X-Catalog-Signature con el cuerpo firmado con CATALOG_WEBHOOK_SECRET
+ */
+export function requerirFirmaCatalogo(req, res, next) {
+  const secreto = process.env.CATALOG_WEBHOOK_SECRET;
+
+  if (!secreto) {
+    console.error(`❌ ${req.method} ${req.path} rechazado: CATALOG_WEBHOOK_SECRET no está configurado`);
+    return res.sendStatus(401);
+  }
+
+  // Sin cuerpo (POST vacío) se firma la cadena vacía
+  const rawBody = req.rawBody || Buffer.alloc(0);
+  if (!verificarFirma(rawBody, req.get('x-catalog-signature'), [secreto])) {
+    console.warn(`❌ ${req.method} ${req.path} rechazado: firma inválida desde ${req.ip}`);
+    return res.sendStatus(401);
+  }
+
+  next();
+}
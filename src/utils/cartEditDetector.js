@@ -0,0 +1,145 @@
+/**
+ * Detector de ediciones del carrito
+ *
+ * Reconoce cuando el cliente quiere modificar lo que ya tiene en el carrito
+ * durante el flujo de pedidos:
+ * - Vaciar: "vacía el carrito", "borra todo", "empezar de nuevo"
+ * - Quitar: "quita las nueces", "saca el maní y las pasas", "saca 2 almendras"
+ * - Cambiar cantidad: "cambia las almendras a 5", "mejor 3 almendras"
+ *
+ * Solo identifica la intención y el texto de cada producto; el flujo de
+ * pedidos (procesarEdicionCarrito) resuelve qué línea del carrito es.
+ */
+export class CartEditDetector {
+  constructor() {
+    // Vaciar el carrito completo
+    this.clearPatterns = [
+      /\b(vac[ií]a(r|me)?|v[aá]ciame|limpia(r)?|borra(r)?|elimina(r)?)\s+(el\s+|mi\s+|todo\s+el\s+)?(carrito|pedido)\b/i,
+      /^(por\s+favor\s+)?(borra(r)?|elimina(r)?|quita(r)?|saca(r)?)\s+todo\b/i,
+      /\bempezar\s+de\s+(nuevo|cero)\b/i
+    ];
+
+    // Quitar productos: el grupo 1 es el texto de los productos
+    this.removePattern = /^(?:por\s+favor\s+)?(?:qu[ií]ta(?:r|me|le)?|qu[ií]tame|qu[ií]tale|s[aá]ca(?:r|me|le)?|s[aá]came|s[aá]cale|elimina(?:r)?|b[oó]rra(?:r|me)?|remueve)\s+(.+)$/i;
+
+    // Cambiar cantidades: el grupo 1 es el texto con productos y cantidades
+    this.changePattern = /^(?:por\s+favor\s+)?(?:c[aá]mbia(?:r|me)?|modifica(?:r)?|actualiza(?:r)?|d[eé]ja(?:r|me)?)\s+(.+)$/i;
+
+    // Corrección de cantidad sin verbo: "mejor 3 almendras", "que sean 5 almendras"
+    this.correctionPattern = /^(?:mejor|solo|s[oó]lo|que\s+sean)\s+(\d+\s+.+)$/i;
+
+    // Separadores entre productos de una misma edición
+    this.separator = /\s*,\s*|\s+y\s+|\s+e\s+/i;
+
+    // Referencias al carrito que sobran al final ("quita las nueces del carrito")
+    this.cartSuffix = /\s+(del|de\s+mi|en\s+el|en\s+mi)\s+(carrito|pedido)$/i;
+  }
+
+  /**
+   * Detecta una edición del carrito en el mensaje
+   *
+   * @param {string} message - Mensaje del usuario
+   * @returns {Object|null} - Edición detectada o null:
+   *   { accion: 'vaciar' }
+   *   { accion: 'quitar', productos: [{ texto: 'las nueces', cantidad: null }, { texto: 'almendras', cantidad: 2 }] }
+   *   (cantidad: unidades a quitar; null quita la línea completa)
+   *   { accion: 'cambiar', cambios: [{ texto: 'las almendras', cantidad: 5 }] }
+   *
+   * @example
+   * cartEditDetector.detectEdit('cambia las almendras a 5');
+   * // { accion: 'cambiar', cambios: [{ texto: 'las almendras', cantidad: 5 }] }
+   */
+  detectEdit(message) {
+    const texto = this.normalizeMessage(message);
+    if (!texto) return null;
+
+    if (this.clearPatterns.some(pattern => pattern.test(texto))) {
+      return { accion: 'vaciar' };
+    }
+
+    const removeMatch = texto.match(this.removePattern);
+    if (removeMatch) {
+      const productos = this.splitProducts(removeMatch[1]).map(parte => this.parseRemoval(parte));
+      return productos.length > 0 ? { accion: 'quitar', productos } : null;
+    }
+
+    const changeMatch = texto.match(this.changePattern) || texto.match(this.correctionPattern);
+    if (changeMatch) {
+      const cambios = this.splitProducts(changeMatch[1]).map(parte => this.parseChange(parte));
+      // Todas las partes deben tener cantidad ("cambia la dirección" no es una edición)
+      return cambios.length > 0 && cambios.every(Boolean) ? { accion: 'cambiar', cambios } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Separa el texto en productos ("las nueces y el maní" → ["las nueces", "el maní"])
+   * @param {string} texto
+   * @returns {Array<string>}
+   */
+  splitProducts(texto) {
+    return texto
+      .replace(this.cartSuffix, '')
+      .split(this.separator)
+      .map(parte => parte.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Interpreta un producto con su nueva cantidad
+   * "las almendras a 5", "las almendras a 5 kilos", "5 almendras", "5 kilos de almendras"
+   *
+   * @param {string} parte - Texto de un producto
+   * @returns {{ texto: string, cantidad: number }|null}
+   */
+  parseChange(parte) {
+    const despues = parte.match(/^(.+?)\s+(?:a|en|por)\s+(\d+)(?:\s+\w+)?$/i);
+    if (despues) {
+      return { texto: despues[1], cantidad: parseInt(despues[2]) };
+    }
+
+    return this.parseLeadingQuantity(parte);
+  }
+
+  /**
+   * Interpreta un producto a quitar: con cantidad al inicio ("2 almendras",
+   * "2 kilos de almendras") se quitan esas unidades; sin cantidad, la línea
+   *
+   * @param {string} parte - Texto de un producto
+   * @returns {{ texto: string, cantidad: number|null }}
+   */
+  parseRemoval(parte) {
+    return this.parseLeadingQuantity(parte) || { texto: parte, cantidad: null };
+  }
+
+  /**
+   * Interpreta un producto con la cantidad al inicio: "5 almendras", "5 kilos de almendras"
+   *
+   * @param {string} parte - Texto de un producto
+   * @returns {{ texto: string, cantidad: number }|null}
+   */
+  parseLeadingQuantity(parte) {
+    const antes = parte.match(/^(?:a\s+)?(\d+)\s+(?:(?:kilos?|kg|unidades?|paquetes?|bolsas?)\s+)?(?:de\s+)?(.+)$/i);
+    if (antes) {
+      return { texto: antes[2], cantidad: parseInt(antes[1]) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Normaliza el mensaje: espacios y puntuación final
+   * @param {string} message - Mensaje original
+   * @returns {string}
+   */
+  normalizeMessage(message) {
+    return String(message || '')
+      .trim()
+      .replace(/[.!¡¿?]+$/g, '')
+      .replace(/\s+/g, ' ');
+  }
+}
+
+// Instancia singleton del detector
+export const cartEditDetector = new CartEditDetector();
@@ -0,0 +1,140 @@
+/**
+ * Circuit breaker para llamadas a servicios externos
+ *
+ * Evita esperar un timeout en cada petición mientras un servicio está caído:
+ * - cerrado: las peticiones pasan normalmente; tras `umbralFallos` fallos
+ *   consecutivos el circuito se abre
+ * - abierto: las peticiones se rechazan de inmediato durante `tiempoApertura`
+ * - semiabierto: pasado ese tiempo se deja pasar una sola petición de prueba;
+ *   si responde el circuito se cierra, si falla se vuelve a abrir
+ *
+ * Solo decide si una petición puede salir y cuenta los resultados; quien lo
+ * usa define qué es un fallo (ver apiService.js).
+ *
+ * @example
+ * const circuito = new CircuitBreaker({ nombre: 'backend', umbralFallos: 5, tiempoApertura: 30000 });
+ * if (!circuito.permitirSolicitud()) throw new CircuitOpenError(...);
+ * // ... petición ...
+ * circuito.registrarExito(); // o circuito.registrarFallo(error)
+ */
+
+export const ESTADOS_CIRCUITO = {
+  CERRADO: 'cerrado',
+  ABIERTO: 'abierto',
+  SEMIABIERTO: 'semiabierto'
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {string} options.nombre - Nombre del servicio (para los logs)
+   * @param {number} [options.umbralFallos=5] - Fallos consecutivos que abren el circuito
+   * @param {number} [options.tiempoApertura=30000] - Milisegundos que el circuito queda abierto
+   */
+  constructor({ nombre, umbralFallos = 5, tiempoApertura = 30000 }) {
+    this.nombre = nombre;
+    this.umbralFallos = umbralFallos;
+    this.tiempoApertura = tiempoApertura;
+    this.reiniciar();
+  }
+
+  /**
+   * Indica si una petición puede salir
+   * Pasado el tiempo de apertura, la primera petición sale como prueba
+   * @returns {boolean}
+   */
+  permitirSolicitud() {
+    if (this.estado === ESTADOS_CIRCUITO.CERRADO) return true;
+
+    if (this.estado === ESTADOS_CIRCUITO.ABIERTO) {
+      if (Date.now() < this.abiertoHasta) return false;
+
+      this.estado = ESTADOS_CIRCUITO.SEMIABIERTO;
+      this.pruebaEnCurso = false;
+      console.log(`🟡 Circuito ${this.nombre} semiabierto: probando si el servicio responde`);
+    }
+
+    // Semiabierto: una sola petición de prueba a la vez
+    if (this.pruebaEnCurso) return false;
+    this.pruebaEnCurso = true;
+    return true;
+  }
+
+  /**
+   * Indica si el circuito está rechazando peticiones (abierto y sin cumplir el tiempo de apertura)
+   * @returns {boolean}
+   */
+  estaAbierto() {
+    return this.estado === ESTADOS_CIRCUITO.ABIERTO && Date.now() < this.abiertoHasta;
+  }
+
+  /**
+   * Registra una respuesta del servicio: el circuito se cierra
+   */
+  registrarExito() {
+    if (this.estado !== ESTADOS_CIRCUITO.CERRADO) {
+      console.log(`🟢 Circuito ${this.nombre} cerrado: el servicio volvió a responder`);
+    }
+
+    this.estado = ESTADOS_CIRCUITO.CERRADO;
+    this.fallosConsecutivos = 0;
+    this.pruebaEnCurso = false;
+    this.abiertoHasta = null;
+  }
+
+  /**
+   * Registra un fallo del servicio; abre el circuito al llegar al umbral
+   * o si falla la petición de prueba
+   * @param {Error} [error] - Error de la petición (para los logs)
+   */
+  registrarFallo(error) {
+    this.fallosConsecutivos++;
+    this.ultimoFallo = { mensaje: error?.message || null, fecha: new Date().toISOString() };
+    this.pruebaEnCurso = false;
+
+    if (this.estado === ESTADOS_CIRCUITO.SEMIABIERTO || this.fallosConsecutivos >= this.umbralFallos) {
+      this._abrir();
+    }
+  }
+
+  /**
+   * Estado actual del circuito
+   * @returns {Object}
+   */
+  getEstado() {
+    // Refleja el paso a semiabierto aunque aún no haya salido la petición de prueba
+    const estado = this.estado === ESTADOS_CIRCUITO.ABIERTO && !this.estaAbierto()
+      ? ESTADOS_CIRCUITO.SEMIABIERTO
+      : this.estado;
+
+    return {
+      nombre: this.nombre,
+      estado,
+      fallosConsecutivos: this.fallosConsecutivos,
+      umbralFallos: this.umbralFallos,
+      tiempoAperturaSegundos: this.tiempoApertura / 1000,
+      abiertoHasta: this.abiertoHasta ? new Date(this.abiertoHasta).toISOString() : null,
+      aperturas: this.aperturas,
+      ultimoFallo: this.ultimoFallo
+    };
+  }
+
+  /**
+   * Vuelve al estado inicial (cerrado y sin fallos)
+   */
+  reiniciar() {
+    this.estado = ESTADOS_CIRCUITO.CERRADO;
+    this.fallosConsecutivos = 0;
+    this.pruebaEnCurso = false;
+    this.abiertoHasta = null;
+    this.aperturas = 0;
+    this.ultimoFallo = null;
+  }
+
+  _abrir() {
+    this.estado = ESTADOS_CIRCUITO.ABIERTO;
+    this.abiertoHasta = Date.now() + this.tiempoApertura;
+    this.aperturas++;
+    console.warn(`🔴 Circuito ${this.nombre} abierto tras ${this.fallosConsecutivos} fallo(s): se rechazan las peticiones por ${this.tiempoApertura / 1000}s`);
+  }
+}
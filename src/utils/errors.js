@@ -0,0 +1,140 @@
+/**
+ * Errores tipados del bot
+ *
+ * Permiten que quien llama distinga el motivo de un fallo (ej: límite de
+ * envío vs. ventana de 24 horas cerrada) sin revisar códigos de Meta.
+ */
+
+/**
+ * Error al enviar un mensaje por la API de WhatsApp Cloud
+ */
+export class WhatsAppError extends Error {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {Object} [data] - Detalle del error de Meta
+   * @param {number|null} [data.code] - Código de error de Meta
+   * @param {number|null} [data.status] - Status HTTP de la respuesta
+   * @param {string|null} [data.details] - Detalle adicional (error_data.details)
+   * @param {boolean} [data.retryable] - Si tiene sentido reintentar el envío
+   */
+  constructor(message, { code = null, status = null, details = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'WhatsAppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Se superó un límite de envío de Meta (por app, cuenta o destinatario)
+ */
+export class RateLimitError extends WhatsAppError {
+  constructor(message, data = {}) {
+    super(message, { ...data, retryable: true });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * El destinatario no puede recibir mensajes (número sin WhatsApp, no permitido, etc.)
+ */
+export class InvalidRecipientError extends WhatsAppError {
+  constructor(message, data = {}) {
+    super(message, { ...data, retryable: false });
+    this.name = 'InvalidRecipientError';
+  }
+}
+
+/**
+ * Pasaron más de 24 horas desde el último mensaje del cliente:
+ * solo se pueden enviar plantillas aprobadas
+ */
+export class WindowExpiredError extends WhatsAppError {
+  constructor(message, data = {}) {
+    super(message, { ...data, retryable: false });
+    this.name = 'WindowExpiredError';
+  }
+}
+
+/**
+ * Una plantilla no coincide con su definición en config/templates.js
+ * (se detecta antes de enviar)
+ */
+export class TemplateValidationError extends Error {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {string} templateName - Nombre de la plantilla
+   */
+  constructor(message, templateName) {
+    super(message);
+    this.name = 'TemplateValidationError';
+    this.templateName = templateName;
+  }
+}
+
+/**
+ * Un flujo intentó pasar a un estado que la máquina de estados no permite
+ * desde el estado actual (solo se lanza con STATE_MACHINE_STRICT=true)
+ */
+export class InvalidTransitionError extends Error {
+  /**
+   * @param {string} desde - Estado actual
+   * @param {string} hacia - Estado solicitado
+   */
+  constructor(desde, hacia) {
+    super(`Transición no permitida: ${desde} → ${hacia}`);
+    this.name = 'InvalidTransitionError';
+    this.desde = desde;
+    this.hacia = hacia;
+  }
+}
+
+/**
+ * El backend no respondió a tiempo al crear un pedido: no se sabe si el
+ * pedido quedó creado (hay que verificarlo antes de reintentar)
+ */
+export class OrderTimeoutError extends Error {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {string|null} claveIdempotencia - Clave enviada con el pedido
+   */
+  constructor(message, claveIdempotencia = null) {
+    super(message);
+    this.name = 'OrderTimeoutError';
+    this.claveIdempotencia = claveIdempotencia;
+  }
+}
+
+/**
+ * El backend no está disponible (sin conexión o 502/503/504): la petición
+ * no llegó a procesarse y se puede reintentar más tarde
+ */
+export class BackendUnavailableError extends Error {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {number|null} [status] - Status HTTP de la respuesta, si hubo
+   */
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'BackendUnavailableError';
+    this.status = status;
+  }
+}
+
+/**
+ * El circuito del backend está abierto: la petición se rechazó sin enviarla
+ * porque el backend falló varias veces seguidas (ver utils/circuitBreaker.js)
+ */
+export class CircuitOpenError extends BackendUnavailableError {
+  /**
+   * @param {string} message - Descripción del error
+   * @param {string|null} [abiertoHasta] - Fecha ISO en que se vuelve a probar el backend
+   */
+  constructor(message, abiertoHasta = null) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.abiertoHasta = abiertoHasta;
+  }
+}
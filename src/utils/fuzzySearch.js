@@ -0,0 +1,135 @@
+/**
+ * Búsqueda aproximada por nombre
+ *
+ * Compara textos sin distinguir mayúsculas ni tildes y tolera errores de
+ * tipeo ("almendas" → "Almendras") y palabras incompletas ("almendra").
+ * Cada palabra del término se compara con la palabra más parecida del nombre
+ * usando la distancia de Levenshtein; el puntaje final es el promedio.
+ *
+ * Puntajes (0 a 1):
+ * - 1: el nombre contiene el término completo
+ * - 0.9: una palabra del nombre empieza con la palabra buscada
+ * - 1 - distancia / largo: palabras parecidas
+ */
+
+// Puntaje mínimo para considerar que un nombre coincide
+export const UMBRAL_COINCIDENCIA = 0.7;
+
+// Largo mínimo de una palabra para compararla por prefijo
+const LARGO_MINIMO_PREFIJO = 3;
+
+// Palabras que no aportan a la búsqueda
+const PALABRAS_IGNORADAS = new Set(['de', 'del', 'con', 'sin', 'y', 'el', 'la', 'los', 'las']);
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin tildes ni signos
+ * @param {string} texto
+ * @returns {string}
+ */
+export function normalizarTexto(texto) {
+  return String(texto || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Palabras significativas de un texto ya normalizado
+function palabras(texto) {
+  return texto.split(' ').filter(palabra => palabra && !PALABRAS_IGNORADAS.has(palabra));
+}
+
+/**
+ * Distancia de Levenshtein entre dos textos
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Cantidad mínima de inserciones, eliminaciones o reemplazos
+ */
+export function distanciaLevenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const actual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+      actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+    }
+    anterior = actual;
+  }
+
+  return anterior[b.length];
+}
+
+// Similitud entre dos palabras normalizadas (0 a 1)
+function similitudPalabras(buscada, candidata) {
+  if (buscada === candidata) return 1;
+  if (buscada.length >= LARGO_MINIMO_PREFIJO && candidata.startsWith(buscada)) return 0.9;
+
+  const largo = Math.max(buscada.length, candidata.length);
+  return 1 - distanciaLevenshtein(buscada, candidata) / largo;
+}
+
+/**
+ * Puntaje de coincidencia entre un término de búsqueda y un nombre
+ *
+ * @param {string} termino - Lo que escribió el cliente (ej: "almendas")
+ * @param {string} nombre - Nombre a comparar (ej: "Almendras")
+ * @returns {number} - Puntaje entre 0 y 1
+ *
+ * @example
+ * puntuarCoincidencia('mani', 'Maní con sal');     // 1
+ * puntuarCoincidencia('almendas', 'Almendras');    // ~0.89
+ */
+export function puntuarCoincidencia(termino, nombre) {
+  const terminoNormalizado = normalizarTexto(termino);
+  const nombreNormalizado = normalizarTexto(nombre);
+
+  if (!terminoNormalizado || !nombreNormalizado) return 0;
+  if (nombreNormalizado.includes(terminoNormalizado)) return 1;
+
+  const palabrasTermino = palabras(terminoNormalizado);
+  const palabrasNombre = palabras(nombreNormalizado);
+  if (palabrasTermino.length === 0 || palabrasNombre.length === 0) return 0;
+
+  const total = palabrasTermino.reduce((suma, buscada) => {
+    const mejor = Math.max(...palabrasNombre.map(candidata => similitudPalabras(buscada, candidata)));
+    return suma + mejor;
+  }, 0);
+
+  return total / palabrasTermino.length;
+}
+
+/**
+ * Busca elementos cuyo nombre se parezca al término, ordenados por puntaje
+ *
+ * @param {string} termino - Término de búsqueda
+ * @param {Array<Object>} elementos - Elementos a filtrar
+ * @param {Object} [options]
+ * @param {Function} [options.obtenerNombre] - Extrae el nombre de cada elemento (default: e.nombre)
+ * @param {number} [options.umbral] - Puntaje mínimo (default: UMBRAL_COINCIDENCIA)
+ * @param {number} [options.limite] - Máximo de resultados (default: sin límite)
+ * @returns {Array<{ elemento: Object, puntaje: number }>}
+ *
+ * @example
+ * const resultados = buscarAproximado('almendas', productos, { limite: 3 });
+ * resultados.forEach(({ elemento, puntaje }) => console.log(elemento.nombre, puntaje));
+ */
+export function buscarAproximado(termino, elementos, options = {}) {
+  const {
+    obtenerNombre = (elemento) => elemento.nombre,
+    umbral = UMBRAL_COINCIDENCIA,
+    limite = Infinity
+  } = options;
+
+  return elementos
+    .map(elemento => ({ elemento, puntaje: puntuarCoincidencia(termino, obtenerNombre(elemento)) }))
+    .filter(({ puntaje }) => puntaje >= umbral)
+    .sort((a, b) => b.puntaje - a.puntaje)
+    .slice(0, limite);
+}
@@ -0,0 +1,176 @@
+/**
+ * Modelo de mensajes entrantes de WhatsApp
+ *
+ * Convierte el objeto `message` que envía Meta en el webhook a una estructura
+ * uniforme, independiente del tipo de mensaje (texto, botones, ubicación,
+ * imágenes, audio, documentos, contactos, reacciones...).
+ *
+ * Estructura del mensaje normalizado:
+ * {
+ *   id: string,                 // ID del mensaje en WhatsApp (wamid)
+ *   from: string,               // Número de teléfono del cliente
+ *   timestamp: number,          // Fecha del mensaje en milisegundos
+ *   type: string,               // Uno de MESSAGE_TYPES
+ *   text: string,               // Texto a procesar por los flujos ('' si no aplica)
+ *   interactive: { id, title } | null,
+ *   location: { latitude, longitude, name, address } | null,
+ *   media: { id, mimeType, sha256, caption, filename, voice, animated } | null,
+ *   contacts: Array<{ nombre, telefonos }> | null,
+ *   reaction: { messageId, emoji } | null,
+ *   raw: Object                 // Mensaje original de Meta
+ * }
+ *
+ * El webhook agrega además `trace: { batchId, entryId, indice }` para
+ * identificar el lote y la posición de la que proviene cada mensaje.
+ */
+
+// Tipos de mensaje soportados
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  INTERACTIVE: 'interactive',
+  LOCATION: 'location',
+  IMAGE: 'image',
+  AUDIO: 'audio',
+  VIDEO: 'video',
+  DOCUMENT: 'document',
+  STICKER: 'sticker',
+  CONTACTS: 'contacts',
+  REACTION: 'reaction',
+  UNSUPPORTED: 'unsupported'
+};
+
+// Tipos de Meta que contienen un archivo multimedia
+const MEDIA_TYPES = [
+  MESSAGE_TYPES.IMAGE,
+  MESSAGE_TYPES.AUDIO,
+  MESSAGE_TYPES.VIDEO,
+  MESSAGE_TYPES.DOCUMENT,
+  MESSAGE_TYPES.STICKER
+];
+
+/**
+ * Normaliza un mensaje entrante del webhook de Meta
+ *
+ * @param {Object} message - Objeto `value.messages[i]` del webhook
+ * @returns {Object} - Mensaje normalizado (ver estructura arriba)
+ *
+ * @example
+ * const inbound = parseInboundMessage(body.entry[0].changes[0].value.messages[0]);
+ * if (inbound.type === MESSAGE_TYPES.LOCATION) {
+ *   console.log(inbound.location.latitude, inbound.location.longitude);
+ * }
+ */
+export function parseInboundMessage(message) {
+  const inbound = {
+    id: message.id || null,
+    from: message.from,
+    timestamp: message.timestamp ? parseInt(message.timestamp) * 1000 : Date.now(),
+    type: MESSAGE_TYPES.UNSUPPORTED,
+    text: '',
+    interactive: null,
+    location: null,
+    media: null,
+    contacts: null,
+    reaction: null,
+    raw: message
+  };
+
+  switch (message.type) {
+    case 'text':
+      inbound.type = MESSAGE_TYPES.TEXT;
+      inbound.text = message.text?.body || '';
+      break;
+
+    case 'interactive': {
+      // Respuesta a botones o listas: el id es la opción que espera el flujo
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      if (reply) {
+        inbound.type = MESSAGE_TYPES.INTERACTIVE;
+        inbound.interactive = { id: reply.id, title: reply.title || null };
+        inbound.text = reply.id || '';
+      }
+      break;
+    }
+
+    case 'button':
+      // Botones de respuesta rápida de plantillas
+      inbound.type = MESSAGE_TYPES.INTERACTIVE;
+      inbound.interactive = {
+        id: message.button?.payload || message.button?.text || '',
+        title: message.button?.text || null
+      };
+      inbound.text = inbound.interactive.id;
+      break;
+
+    case 'location':
+      inbound.type = MESSAGE_TYPES.LOCATION;
+      inbound.location = {
+        latitude: message.location?.latitude,
+        longitude: message.location?.longitude,
+        name: message.location?.name || null,
+        address: message.location?.address || null
+      };
+      break;
+
+    case 'contacts':
+      inbound.type = MESSAGE_TYPES.CONTACTS;
+      inbound.contacts = (message.contacts || []).map(contacto => ({
+        nombre: contacto.name?.formatted_name || null,
+        telefonos: (contacto.phones || []).map(p => p.wa_id || p.phone).filter(Boolean)
+      }));
+      break;
+
+    case 'reaction':
+      inbound.type = MESSAGE_TYPES.REACTION;
+      inbound.reaction = {
+        messageId: message.reaction?.message_id || null,
+        emoji: message.reaction?.emoji || null // Vacío cuando se quita la reacción
+      };
+      break;
+
+    default:
+      if (MEDIA_TYPES.includes(message.type)) {
+        const media = message[message.type] || {};
+        inbound.type = message.type;
+        inbound.media = {
+          id: media.id || null,
+          mimeType: media.mime_type || null,
+          sha256: media.sha256 || null,
+          caption: media.caption || null,
+          filename: media.filename || null,
+          voice: media.voice || false,
+          animated: media.animated || false
+        };
+        // El texto que acompaña una imagen o documento se conserva como texto
+        inbound.text = media.caption || '';
+      }
+      break;
+  }
+
+  return inbound;
+}
+
+/**
+ * Genera una descripción corta del mensaje para logs
+ *
+ * @param {Object} inbound - Mensaje normalizado
+ * @returns {string} - Descripción legible del mensaje
+ */
+export function describeInboundMessage(inbound) {
+  switch (inbound.type) {
+    case MESSAGE_TYPES.TEXT:
+      return inbound.text;
+    case MESSAGE_TYPES.INTERACTIVE:
+      return `[opción] ${inbound.interactive.id}${inbound.interactive.title ? ` (${inbound.interactive.title})` : ''}`;
+    case MESSAGE_TYPES.LOCATION:
+      return `[ubicación] ${inbound.location.latitude}, ${inbound.location.longitude}`;
+    case MESSAGE_TYPES.REACTION:
+      return `[reacción] ${inbound.reaction.emoji || '(eliminada)'}`;
+    case MESSAGE_TYPES.CONTACTS:
+      return `[contactos] ${inbound.contacts.length}`;
+    case MESSAGE_TYPES.UNSUPPORTED:
+      return `[no soportado] ${inbound.raw?.type}`;
+    default:
+      return `[${inbound.type}] ${inbound.media?.mimeType || ''}`.trim();
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * División de mensajes largos
+ *
+ * WhatsApp rechaza mensajes de texto de más de 4096 caracteres. Esta utilidad
+ * divide un texto en partes que respetan el límite, cortando de preferencia
+ * entre párrafos, luego entre líneas y, como último recurso, entre palabras.
+ *
+ * Si un corte queda dentro de un texto en *negrita*, la parte se cierra con
+ * `*` y la siguiente se reabre con `*` para que el formato no se rompa.
+ */
+
+// Límite de caracteres de un mensaje de texto de WhatsApp
+export const WHATSAPP_TEXT_LIMIT = 4096;
+
+// Espacio reservado para cerrar/reabrir negrita en cada parte
+const RESERVA_NEGRITA = 2;
+
+/**
+ * Corta un bloque en partes de largo máximo usando un separador
+ *
+ * Las piezas que aún superan el máximo se devuelven tal cual para que el
+ * siguiente nivel (líneas, palabras) las divida.
+ *
+ * @param {string} texto - Texto a dividir
+ * @param {string} separador - Separador preferido ('\n\n', '\n' o ' ')
+ * @param {number} max - Largo máximo de cada parte
+ * @returns {Array<string>}
+ */
+function agrupar(texto, separador, max) {
+  const partes = [];
+  let actual = '';
+
+  for (const pieza of texto.split(separador)) {
+    const candidato = actual ? `${actual}${separador}${pieza}` : pieza;
+
+    if (candidato.length <= max) {
+      actual = candidato;
+      continue;
+    }
+
+    if (actual) partes.push(actual);
+    actual = pieza;
+  }
+
+  if (actual) partes.push(actual);
+  return partes;
+}
+
+/**
+ * Divide un texto respetando párrafos, líneas y palabras
+ * @param {string} texto - Texto a dividir
+ * @param {number} max - Largo máximo de cada parte
+ * @returns {Array<string>}
+ */
+function dividirPorLimites(texto, max) {
+  const resultado = [];
+
+  for (const parrafos of agrupar(texto, '\n\n', max)) {
+    if (parrafos.length <= max) {
+      resultado.push(parrafos);
+      continue;
+    }
+
+    for (const lineas of agrupar(parrafos, '\n', max)) {
+      if (lineas.length <= max) {
+        resultado.push(lineas);
+        continue;
+      }
+
+      for (const palabras of agrupar(lineas, ' ', max)) {
+        // Una "palabra" más larga que el límite (ej: una URL) se corta a la fuerza
+        for (let i = 0; i < palabras.length; i += max) {
+          resultado.push(palabras.slice(i, i + max));
+        }
+      }
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Indica si un texto deja abierta una negrita (cantidad impar de `*`)
+ * @param {string} texto - Texto a revisar
+ * @returns {boolean}
+ */
+function negritaAbierta(texto) {
+  return ((texto.match(/\*/g) || []).length % 2) === 1;
+}
+
+/**
+ * Divide un mensaje en partes que respetan el límite de WhatsApp
+ *
+ * @param {string} texto - Texto completo del mensaje
+ * @param {number} [max] - Largo máximo de cada parte (default: 4096)
+ * @returns {Array<string>} - Partes en orden (una sola si el texto cabe)
+ *
+ * @example
+ * const partes = dividirMensaje(resumenLargo);
+ * for (const parte of partes) {
+ *   await sendMessage(from, parte);
+ * }
+ */
+export function dividirMensaje(texto, max = WHATSAPP_TEXT_LIMIT) {
+  const valor = String(texto ?? '');
+  if (valor.length <= max) return [valor];
+
+  const partes = dividirPorLimites(valor, max - RESERVA_NEGRITA);
+
+  // Cerrar en cada parte la negrita que quedó abierta y reabrirla en la siguiente
+  let abierta = false;
+  return partes
+    .map(parte => parte.trim())
+    .filter(Boolean)
+    .map(parte => {
+      let ajustada = abierta ? `*${parte}` : parte;
+      abierta = negritaAbierta(ajustada);
+      if (abierta) ajustada = `${ajustada}*`;
+      return ajustada;
+    });
+}
@@ -0,0 +1,237 @@
+/**
+ * Reconocimiento local de productos en mensajes del cliente
+ *
+ * Respaldo de la extracción con Mistral: encuentra qué productos del
+ * catálogo menciona un mensaje sin usar la IA. Cada palabra se compara:
+ * - Sin mayúsculas, tildes ni signos ("Maní" = "mani")
+ * - En singular ("almendras" → "almendra", "nueces" → "nuez")
+ * - Con sinónimos ("cacahuate" → "mani", "albaricoque" → "damasco")
+ * - Tolerando errores de tipeo (distancia de Levenshtein)
+ *
+ * Un producto es candidato si el mensaje menciona la primera palabra de su
+ * nombre ("Almendras tostadas" → "almendra"); las demás palabras que
+ * coinciden suben la confianza. Así "mani salado" prefiere "Mani Mix Salado"
+ * a "Maní con sal", y "mani" a secas deja ambos con la misma confianza.
+ *
+ * A diferencia de utils/fuzzySearch.js (que compara un término ya extraído
+ * con nombres), aquí el texto puede ser el mensaje completo del cliente.
+ * buscarPorNombre combina ambos para las búsquedas del catálogo, así un
+ * término que reconoce el respaldo también se encuentra en el catálogo.
+ */
+
+import { normalizarTexto, distanciaLevenshtein, buscarAproximado } from './fuzzySearch.js';
+
+// Confianza mínima para considerar que el mensaje menciona un producto
+export const UMBRAL_CONFIANZA = 0.5;
+
+// Similitud mínima entre dos palabras para considerarlas la misma
+const SIMILITUD_MINIMA = 0.75;
+
+// Las palabras más cortas solo coinciden si son idénticas
+const LARGO_MINIMO_APROXIMADO = 4;
+
+// Peso de la primera palabra del nombre en la confianza
+const PESO_PALABRA_PRINCIPAL = 0.6;
+
+// Palabras que no identifican un producto
+const PALABRAS_IGNORADAS = new Set([
+  'de', 'del', 'con', 'sin', 'y', 'e', 'o', 'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'al', 'en', 'por', 'para'
+]);
+
+// Sinónimos: cada grupo se reduce a su primera palabra (en singular y sin tildes)
+const SINONIMOS = [
+  ['mani', 'cacahuate', 'cacahuete'],
+  ['damasco', 'albaricoque', 'chabacano'],
+  ['caju', 'cashew', 'anacardo', 'maranon'],
+  ['arandano', 'cranberry'],
+  ['pasa', 'pasita']
+];
+
+const FORMA_CANONICA = new Map(
+  SINONIMOS.flatMap(([canonica, ...variantes]) => variantes.map(variante => [variante, canonica]))
+);
+
+/**
+ * Lleva una palabra normalizada a su singular aproximado
+ * No busca el singular correcto sino que ambas formas den lo mismo
+ * @param {string} palabra
+ * @returns {string}
+ *
+ * @example
+ * singularizar('almendras'); // 'almendra'
+ * singularizar('nueces');    // 'nuez'
+ * singularizar('limones');   // 'limon'
+ * singularizar('dulces');    // 'dulce'
+ */
+export function singularizar(palabra) {
+  if (palabra.length <= 3 || !palabra.endsWith('s')) return palabra;
+
+  // nueces → nuez, peces → pez
+  if (/[aeiou]ces$/.test(palabra)) return palabra.slice(0, -3) + 'z';
+
+  // limones → limon, manies → mani (pero cacahuates → cacahuate)
+  if (/[dijlnry]es$/.test(palabra)) return palabra.slice(0, -2);
+
+  return palabra.slice(0, -1);
+}
+
+/**
+ * Palabras de un texto listas para comparar, junto a cómo las escribió el
+ * cliente: `forma` está normalizada, en singular y con sinónimos resueltos;
+ * `original` solo normalizada. Se omiten palabras vacías y números
+ * @param {string} texto
+ * @returns {Array<{ original: string, forma: string }>}
+ *
+ * @example
+ * separarPalabras('Cacahuates con sal');
+ * // [{ original: 'cacahuates', forma: 'mani' }, { original: 'sal', forma: 'sal' }]
+ */
+export function separarPalabras(texto) {
+  return normalizarTexto(texto)
+    .split(' ')
+    .filter(palabra => palabra && !PALABRAS_IGNORADAS.has(palabra) && !/^\d+$/.test(palabra))
+    .map(original => {
+      const singular = singularizar(original);
+      return { original, forma: FORMA_CANONICA.get(singular) || singular };
+    });
+}
+
+/**
+ * Formas comparables de las palabras de un texto (ver separarPalabras)
+ * @param {string} texto
+ * @returns {Array<string>}
+ *
+ * @example
+ * prepararPalabras('Cacahuates con sal'); // ['mani', 'sal']
+ */
+export function prepararPalabras(texto) {
+  return separarPalabras(texto).map(({ forma }) => forma);
+}
+
+// Similitud entre una palabra del mensaje y una del nombre (0 si no alcanza el mínimo)
+function similitud(delMensaje, delNombre) {
+  if (delMensaje === delNombre) return 1;
+  if (delMensaje.length < LARGO_MINIMO_APROXIMADO || delNombre.length < LARGO_MINIMO_APROXIMADO) return 0;
+
+  // Palabra incompleta: "almen" → "almendra"
+  if (delNombre.startsWith(delMensaje)) return 0.9;
+
+  const valor = 1 - distanciaLevenshtein(delMensaje, delNombre) / Math.max(delMensaje.length, delNombre.length);
+  return valor >= SIMILITUD_MINIMA ? valor : 0;
+}
+
+/**
+ * Compara las palabras de un mensaje con el nombre de un producto
+ *
+ * @param {Array<{ original: string, forma: string }>} palabrasMensaje - Resultado de separarPalabras
+ * @param {string} nombre - Nombre del producto
+ * @returns {{ confianza: number, termino: string }|null} - null si el mensaje
+ *   no menciona la palabra principal del nombre. `termino` son las palabras
+ *   del mensaje que coincidieron tal como las escribió el cliente (sin
+ *   tildes), en su orden: sirven para buscar en el catálogo
+ */
+export function compararConNombre(palabrasMensaje, nombre) {
+  const palabrasNombre = prepararPalabras(nombre);
+  if (palabrasNombre.length === 0 || palabrasMensaje.length === 0) return null;
+
+  const usadas = new Set();
+  const mejores = palabrasNombre.map(delNombre => {
+    let mejor = { valor: 0, indice: -1 };
+    palabrasMensaje.forEach(({ forma }, indice) => {
+      const valor = similitud(forma, delNombre);
+      if (valor > mejor.valor) mejor = { valor, indice };
+    });
+    if (mejor.indice !== -1) usadas.add(mejor.indice);
+    return mejor.valor;
+  });
+
+  const [principal, ...resto] = mejores;
+  if (principal === 0) return null;
+
+  const complemento = resto.length > 0
+    ? resto.reduce((suma, valor) => suma + valor, 0) / resto.length
+    : 1;
+
+  const confianza = PESO_PALABRA_PRINCIPAL * principal + (1 - PESO_PALABRA_PRINCIPAL) * complemento;
+
+  return {
+    confianza: Math.round(confianza * 100) / 100,
+    termino: palabrasMensaje
+      .filter((_, indice) => usadas.has(indice))
+      .map(({ original }) => original)
+      .join(' ')
+  };
+}
+
+/**
+ * Productos que menciona un texto, ordenados por confianza
+ *
+ * Con la misma confianza se prefiere el que coincide en más palabras del
+ * mensaje y luego el nombre más corto (el más genérico).
+ *
+ * @param {string} texto - Mensaje del cliente o término de búsqueda
+ * @param {Array<Object>} productos - Productos candidatos
+ * @param {Object} [options]
+ * @param {Function} [options.obtenerNombre] - Extrae el nombre de cada producto (default: p.nombre)
+ * @param {number} [options.umbral] - Confianza mínima (default: UMBRAL_CONFIANZA)
+ * @param {number} [options.limite] - Máximo de resultados (default: sin límite)
+ * @returns {Array<{ producto: Object, confianza: number, termino: string }>}
+ *
+ * @example
+ * reconocerProductos('tienen cacahuates salados?', productos);
+ * // [{ producto: { nombre: 'Mani Mix Salado', ... }, confianza: 0.8, termino: 'cacahuates salados' },
+ * //  { producto: { nombre: 'Maní con sal', ... }, confianza: 0.6, termino: 'cacahuates' }]
+ */
+export function reconocerProductos(texto, productos, options = {}) {
+  const {
+    obtenerNombre = (producto) => producto.nombre,
+    umbral = UMBRAL_CONFIANZA,
+    limite = Infinity
+  } = options;
+
+  const palabrasMensaje = separarPalabras(texto);
+  if (palabrasMensaje.length === 0) return [];
+
+  return productos
+    .map(producto => {
+      const nombre = obtenerNombre(producto);
+      return { producto, nombre, resultado: compararConNombre(palabrasMensaje, nombre) };
+    })
+    .filter(({ resultado }) => resultado && resultado.confianza >= umbral)
+    .sort((a, b) =>
+      b.resultado.confianza - a.resultado.confianza ||
+      b.resultado.termino.split(' ').length - a.resultado.termino.split(' ').length ||
+      prepararPalabras(a.nombre).length - prepararPalabras(b.nombre).length
+    )
+    .slice(0, limite)
+    .map(({ producto, resultado }) => ({ producto, confianza: resultado.confianza, termino: resultado.termino }));
+}
+
+/**
+ * Búsqueda de productos por nombre para el catálogo
+ *
+ * Usa la búsqueda aproximada de utils/fuzzySearch.js y, si no encuentra
+ * nada, reconocerProductos: así los términos en singular, plural o con
+ * sinónimos ("nuez", "cacahuates") encuentran el producto igual que en el
+ * reconocimiento local.
+ *
+ * @param {string} termino - Término de búsqueda
+ * @param {Array<Object>} elementos - Productos candidatos
+ * @param {Object} [options]
+ * @param {Function} [options.obtenerNombre] - Extrae el nombre de cada producto (default: p.nombre)
+ * @param {number} [options.limite] - Máximo de resultados (default: sin límite)
+ * @returns {Array<{ elemento: Object, puntaje: number }>} - Mismo formato que buscarAproximado
+ *
+ * @example
+ * buscarPorNombre('nuez', productos, { limite: 3 });
+ * // [{ elemento: { nombre: 'Nueces mariposa', ... }, puntaje: 1 }]
+ */
+export function buscarPorNombre(termino, elementos, options = {}) {
+  const { obtenerNombre, limite } = options;
+
+  const aproximados = buscarAproximado(termino, elementos, { obtenerNombre, limite });
+  if (aproximados.length > 0) return aproximados;
+
+  return reconocerProductos(termino, elementos, { obtenerNombre, limite })
+    .map(({ producto, confianza }) => ({ elemento: producto, puntaje: confianza }));
+}
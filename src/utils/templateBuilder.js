@@ -0,0 +1,282 @@
+/**
+ * Constructor de mensajes de plantilla de WhatsApp
+ *
+ * Arma el objeto `template` que espera la API (nombre, idioma y componentes
+ * con parámetros) y lo valida contra el registro de config/templates.js.
+ *
+ * @example
+ * import { plantilla, parametros } from '../utils/templateBuilder.js';
+ *
+ * const template = plantilla('recordatorio_pago')
+ *   .body(
+ *     parametros.texto('Lucas'),
+ *     parametros.texto('123'),
+ *     parametros.moneda(15990),
+ *     parametros.fecha(new Date())
+ *   )
+ *   .build();
+ *
+ * await sendTemplate(from, template);
+ */
+
+import { getTemplateDefinition } from '../config/templates.js';
+import { TemplateValidationError } from './errors.js';
+
+// Tipos de header que llevan un archivo
+const HEADER_MEDIA = ['image', 'document', 'video'];
+
+/**
+ * Constructores de parámetros de plantilla
+ */
+export const parametros = {
+  /**
+   * Parámetro de texto
+   * @param {string|number} valor - Texto a reemplazar en {{n}}
+   */
+  texto(valor) {
+    return { type: 'text', text: String(valor ?? '') };
+  },
+
+  /**
+   * Parámetro de moneda (WhatsApp lo muestra según el idioma del cliente)
+   * @param {number} monto - Monto en unidades (ej: 15990 pesos)
+   * @param {string} [codigo] - Código ISO 4217 (default: CLP)
+   * @param {string} [fallback] - Texto si el cliente no soporta el formato
+   */
+  moneda(monto, codigo = 'CLP', fallback = null) {
+    const valor = Number(monto) || 0;
+    return {
+      type: 'currency',
+      currency: {
+        fallback_value: fallback || `$${valor.toLocaleString('es-CL')}`,
+        code: codigo,
+        amount_1000: Math.round(valor * 1000)
+      }
+    };
+  },
+
+  /**
+   * Parámetro de fecha/hora
+   * @param {Date|string|number} fecha - Fecha a mostrar
+   * @param {string} [fallback] - Texto a mostrar (default: fecha en formato es-CL)
+   */
+  fecha(fecha, fallback = null) {
+    const date = fecha instanceof Date ? fecha : new Date(fecha);
+    return {
+      type: 'date_time',
+      date_time: {
+        fallback_value: fallback || date.toLocaleDateString('es-CL', {
+          day: '2-digit',
+          month: '2-digit',
+          year: 'numeric'
+        })
+      }
+    };
+  },
+
+  /**
+   * Imagen para el header (URL pública o id de media subido a Meta)
+   * @param {string} origen - URL (http/https) o id de media
+   */
+  imagen(origen) {
+    return { type: 'image', image: mediaSource(origen) };
+  },
+
+  /**
+   * Documento para el header
+   * @param {string} origen - URL (http/https) o id de media
+   * @param {string} [filename] - Nombre con el que se muestra el archivo
+   */
+  documento(origen, filename = null) {
+    return { type: 'document', document: { ...mediaSource(origen), ...(filename && { filename }) } };
+  },
+
+  /**
+   * Video para el header
+   * @param {string} origen - URL (http/https) o id de media
+   */
+  video(origen) {
+    return { type: 'video', video: mediaSource(origen) };
+  },
+
+  /**
+   * Payload de un botón de respuesta rápida (llega de vuelta al webhook)
+   * @param {string} payload - Valor que recibirá el bot al presionar el botón
+   */
+  payload(payload) {
+    return { type: 'payload', payload: String(payload) };
+  }
+};
+
+/**
+ * Determina si un origen de media es una URL o un id de Meta
+ * @param {string} origen - URL o id de media
+ * @returns {Object} - { link } o { id }
+ */
+function mediaSource(origen) {
+  return /^https?:\/\//i.test(origen) ? { link: origen } : { id: String(origen) };
+}
+
+/**
+ * Constructor de una plantilla (API encadenable)
+ */
+export class TemplateBuilder {
+  /**
+   * @param {string} nombre - Nombre de la plantilla en Meta
+   */
+  constructor(nombre) {
+    this.nombre = nombre;
+    this.definicion = getTemplateDefinition(nombre);
+    this.codigoIdioma = this.definicion?.idioma || 'es';
+    this.headerParams = [];
+    this.bodyParams = [];
+    this.botones = [];
+  }
+
+  /**
+   * Define el idioma (por defecto el del registro)
+   * @param {string} codigo - Código de idioma (ej: 'es', 'es_CL', 'en_US')
+   */
+  idioma(codigo) {
+    this.codigoIdioma = codigo;
+    return this;
+  }
+
+  /**
+   * Parámetros del header (texto o un archivo)
+   * @param {...Object} params - Parámetros creados con `parametros`
+   */
+  header(...params) {
+    this.headerParams = params;
+    return this;
+  }
+
+  /**
+   * Parámetros del cuerpo, en orden ({{1}}, {{2}}, ...)
+   * @param {...Object} params - Parámetros creados con `parametros`
+   */
+  body(...params) {
+    this.bodyParams = params;
+    return this;
+  }
+
+  /**
+   * Parámetro de un botón de la plantilla
+   * @param {number} indice - Posición del botón (desde 0)
+   * @param {string} subTipo - 'quick_reply' o 'url'
+   * @param {Object|string} param - Payload (quick_reply) o sufijo de la URL (url)
+   */
+  boton(indice, subTipo, param) {
+    const parametro = typeof param === 'string'
+      ? (subTipo === 'url' ? parametros.texto(param) : parametros.payload(param))
+      : param;
+
+    this.botones[indice] = { subTipo, parametros: [parametro] };
+    return this;
+  }
+
+  /**
+   * Valida los parámetros contra el registro de plantillas
+   * @throws {TemplateValidationError} Si no coinciden con la definición
+   */
+  validar() {
+    if (!this.definicion) {
+      console.warn(`⚠️ Plantilla "${this.nombre}" no está en config/templates.js, se envía sin validar`);
+      return;
+    }
+
+    const { header, body, botones = [] } = this.definicion;
+    const esperadosHeader = header?.parametros || 0;
+
+    if (this.headerParams.length !== esperadosHeader) {
+      throw new TemplateValidationError(
+        `Plantilla "${this.nombre}": el header espera ${esperadosHeader} parámetro(s), se recibieron ${this.headerParams.length}`,
+        this.nombre
+      );
+    }
+
+    if (header && HEADER_MEDIA.includes(header.tipo) && this.headerParams[0]?.type !== header.tipo) {
+      throw new TemplateValidationError(
+        `Plantilla "${this.nombre}": el header debe ser de tipo ${header.tipo}`,
+        this.nombre
+      );
+    }
+
+    if (this.bodyParams.length !== body.parametros) {
+      throw new TemplateValidationError(
+        `Plantilla "${this.nombre}": el cuerpo espera ${body.parametros} parámetro(s), se recibieron ${this.bodyParams.length}`,
+        this.nombre
+      );
+    }
+
+    botones.forEach((definicionBoton, indice) => {
+      const boton = this.botones[indice];
+      const recibidos = boton?.parametros.length || 0;
+
+      if (recibidos !== definicionBoton.parametros) {
+        throw new TemplateValidationError(
+          `Plantilla "${this.nombre}": el botón ${indice} espera ${definicionBoton.parametros} parámetro(s), se recibieron ${recibidos}`,
+          this.nombre
+        );
+      }
+
+      if (boton && boton.subTipo !== definicionBoton.tipo) {
+        throw new TemplateValidationError(
+          `Plantilla "${this.nombre}": el botón ${indice} es de tipo ${definicionBoton.tipo}, no ${boton.subTipo}`,
+          this.nombre
+        );
+      }
+    });
+
+    if (this.botones.length > botones.length) {
+      throw new TemplateValidationError(
+        `Plantilla "${this.nombre}": tiene ${botones.length} botón(es) con parámetros, se recibieron ${this.botones.length}`,
+        this.nombre
+      );
+    }
+  }
+
+  /**
+   * Valida y genera el objeto `template` para la API de WhatsApp
+   * @returns {Object} - { name, language: { code }, components }
+   * @throws {TemplateValidationError} Si los parámetros no coinciden con el registro
+   */
+  build() {
+    this.validar();
+
+    const components = [];
+
+    if (this.headerParams.length > 0) {
+      components.push({ type: 'header', parameters: this.headerParams });
+    }
+
+    if (this.bodyParams.length > 0) {
+      components.push({ type: 'body', parameters: this.bodyParams });
+    }
+
+    this.botones.forEach((boton, indice) => {
+      if (!boton) return;
+      components.push({
+        type: 'button',
+        sub_type: boton.subTipo,
+        index: String(indice),
+        parameters: boton.parametros
+      });
+    });
+
+    return {
+      name: this.nombre,
+      language: { code: this.codigoIdioma },
+      ...(components.length > 0 && { components })
+    };
+  }
+}
+
+/**
+ * Crea un constructor de plantilla
+ * @param {string} nombre - Nombre de la plantilla en Meta
+ * @returns {TemplateBuilder}
+ */
+export function plantilla(nombre) {
+  return new TemplateBuilder(nombre);
+}
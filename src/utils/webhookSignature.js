@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+/**
+ * Utilidades para la firma X-Hub-Signature-256 de los webhooks de Meta
+ *
+ * Meta firma el cuerpo crudo de cada POST con HMAC-SHA256 usando el
+ * App Secret de la aplicación y lo envía en el encabezado:
+ *   X-Hub-Signature-256: sha256=<hex>
+ */
+
+// Prefijo del encabezado de firma
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Calcula la firma de un cuerpo con el formato del encabezado de Meta
+ *
+ * @param {Buffer|string} rawBody - Cuerpo crudo de la petición
+ * @param {string} secret - Secreto con el que se firma
+ * @returns {string} - Firma con formato "sha256=<hex>"
+ *
+ * @example
+ * const firma = firmarPayload(JSON.stringify(payload), process.env.WEBHOOK_TEST_SECRET);
+ * // "sha256=5f2b..."
+ */
+export function firmarPayload(rawBody, secret) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(rawBody);
+  return `${SIGNATURE_PREFIX}${hmac.digest('hex')}`;
+}
+
+/**
+ * Verifica el encabezado de firma contra uno o más secretos
+ *
+ * @param {Buffer|string} rawBody - Cuerpo crudo de la petición
+ * @param {string|undefined} signatureHeader - Valor de X-Hub-Signature-256
+ * @param {Array<string>} secrets - Secretos aceptados (se ignoran los vacíos)
+ * @returns {boolean} - true si la firma coincide con alguno de los secretos
+ */
+export function verificarFirma(rawBody, signatureHeader, secrets) {
+  if (!rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return false;
+  }
+
+  const recibida = Buffer.from(signatureHeader);
+
+  return secrets.filter(Boolean).some(secret => {
+    const esperada = Buffer.from(firmarPayload(rawBody, secret));
+    // timingSafeEqual exige buffers del mismo largo
+    return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+  });
+}